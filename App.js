@@ -1,12 +1,29 @@
 import React, { useState, useEffect, useRef } from 'react';
 import { initializeApp } from 'firebase/app';
-import { getAuth, signInAnonymously, signInWithCustomToken, onAuthStateChanged } from 'firebase/auth';
+import {
+  getAuth,
+  connectAuthEmulator,
+  signInAnonymously,
+  signInWithCustomToken,
+  onAuthStateChanged,
+  createUserWithEmailAndPassword,
+  signInWithEmailAndPassword,
+  sendPasswordResetEmail,
+  signOut,
+  RecaptchaVerifier,
+  signInWithPhoneNumber,
+  EmailAuthProvider,
+  PhoneAuthProvider,
+  linkWithCredential,
+} from 'firebase/auth';
 import {
   getFirestore,
+  connectFirestoreEmulator,
   doc,
   getDoc,
   setDoc,
   updateDoc,
+  deleteDoc,
   onSnapshot,
   collection,
   query,
@@ -14,7 +31,17 @@ import {
   addDoc,
   getDocs,
   serverTimestamp,
+  runTransaction,
+  collectionGroup,
+  writeBatch,
+  arrayUnion,
+  arrayRemove,
+  orderBy,
+  limit,
+  Timestamp,
+  increment,
 } from 'firebase/firestore';
+import { getStorage, connectStorageEmulator, ref as storageFileRef, uploadBytes, getDownloadURL, deleteObject } from 'firebase/storage';
 import {
   Key,
   PlusCircle,
@@ -22,15 +49,19 @@ import {
   Briefcase,
   Building,
   Package,
+  Pill,
   Users,
   Scan,
   Gift,
   CalendarCheck,
+  Clock,
   CheckCircle,
   XCircle,
   DollarSign,
   Home, // Fallback for Hospital
 } from 'lucide-react';
+import { QRCodeSVG } from 'qrcode.react';
+import jsQR from 'jsqr';
 
 // Ensure Font Awesome for the pill icon is loaded
 // This would typically be in index.html or a global CSS import
@@ -40,9 +71,11 @@ import {
 const appId = typeof __app_id !== 'undefined' ? __app_id : 'default-app-id';
 const firebaseConfig = typeof __firebase_config !== 'undefined' ? JSON.parse(__firebase_config) : {};
 const initialAuthToken = typeof __initial_auth_token !== 'undefined' ? __initial_auth_token : null;
+// When true, Auth and Firestore talk to the local Firebase emulators instead of the live project.
+const useFirebaseEmulators = typeof __use_firebase_emulators !== 'undefined' && __use_firebase_emulators === true;
 
-// Helper function for QR Code generation (simplified for sandbox environment)
-// In a real application, you would use a library like 'qrcode.react'
+// Helper function for QR Code generation
+// The returned string is what gets encoded into the QR matrix by QRCodeDisplay.
 const generateQRCodeContent = (data) => {
   try {
     return JSON.stringify(data);
@@ -52,300 +85,2966 @@ const generateQRCodeContent = (data) => {
   }
 };
 
-const QRCodeDisplay = ({ content }) => {
-  if (!content) return null;
-  return (
-    <div className="p-4 bg-white rounded-lg shadow-md flex flex-col items-center justify-center">
-      <p className="text-sm text-gray-600 mb-2">Scan this QR Code:</p>
-      {/* In a real app, use a QR code library like qrcode.react */}
-      <div className="w-32 h-32 bg-gray-200 flex items-center justify-center rounded-md text-xs text-gray-500">
-        <p className="break-all text-center p-1">{content}</p>
-      </div>
-      <p className="mt-2 text-xs text-gray-500">
-        (Displaying content directly. Use a QR library for actual QR image)
-      </p>
-    </div>
-  );
+// --- Issued QR Envelopes ---
+// Every QR code the app issues is a versioned envelope: { v, purpose, nonce, data }. Issuing one records
+// it under public/data/qrEnvelopes/{nonce}, which firestore.rules only allow for the party handing the
+// item over (the packing pharmacy, the doctor or the delivering salesperson). Scanners trust the recorded
+// copy rather than the scanned one and mark it used in the same write as the handover, so a code cannot
+// be forged, reused or used once it has expired.
+const QR_ENVELOPE_VERSION = 2;
+const QR_DEFAULT_TTL_MS = 15 * 60 * 1000; // 15 minutes; firestore.rules allows at most 20
+
+const QR_PURPOSES = {
+  SALESPERSON_PICKUP: 'salesperson_pickup', // Doctor/Pharmacy -> Salesperson
+  DELIVERY_CONFIRMATION: 'delivery_confirmation', // Salesperson -> Customer/Patient
 };
 
-const App = () => {
-  const [user, setUser] = useState(null);
-  const [userId, setUserId] = useState('');
-  const [userRole, setUserRole] = useState(null);
-  const [loading, setLoading] = useState(true);
-  const [message, setMessage] = useState('');
-  const [messageType, setMessageType] = useState(''); // 'success' or 'error'
-
-  // Firestore Data States
-  const [products, setProducts] = useState([]);
-  const [doctors, setDoctors] = useState([]);
-  const [customers, setCustomers] = useState([]);
-  const [salespersonRequests, setSalespersonRequests] = useState([]);
-  const [approvedSalespersons, setApprovedSalespersons] = useState([]);
-  const [institutionRequests, setInstitutionRequests] = useState([]);
-  const [approvedInstitutions, setApprovedInstitutions] = useState([]);
-  const [customerOrders, setCustomerOrders] = useState([]);
-  const [patientOffers, setPatientOffers] = useState([]);
-  const [institutionCoinBalance, setInstitutionCoinBalance] = useState(0);
-  const [salespersonCoinHistory, setSalespersonCoinHistory] = useState([]);
-  const [institutionCoinHistory, setInstitutionCoinHistory] = useState([]);
+const QR_ERROR_MESSAGES = {
+  malformed: "This is not a valid MediQuick QR code.",
+  unsupported_version: "This QR code was issued by an unsupported app version.",
+  wrong_purpose: "This QR code is not meant for this action.",
+  forged: "This QR code was not issued by MediQuick. It may have been tampered with.",
+  expired: "This QR code has expired. Please ask for a new one.",
+  replayed: "This QR code has already been used.",
+};
 
-  // Firebase instances
-  const appRef = useRef(null);
-  const dbRef = useRef(null);
-  const authRef = useRef(null);
+class QrVerificationError extends Error {
+  constructor(code) {
+    super(QR_ERROR_MESSAGES[code] || "QR code could not be verified.");
+    this.name = 'QrVerificationError';
+    this.code = code;
+  }
+}
+
+const qrEnvelopeRef = (db, nonce) => doc(db, `artifacts/${appId}/public/data/qrEnvelopes`, nonce);
+
+// Records a new envelope issued by `issuedBy` and returns the object to encode in the QR code.
+const createQrEnvelope = async (db, purpose, data, issuedBy, ttlMs = QR_DEFAULT_TTL_MS) => {
+  const nonce = crypto.randomUUID();
+  await setDoc(qrEnvelopeRef(db, nonce), {
+    purpose,
+    data,
+    issuedBy,
+    issuedAt: serverTimestamp(),
+    expiresAt: Timestamp.fromMillis(Date.now() + ttlMs),
+    usedBy: null,
+    usedAt: null,
+  });
+  return { v: QR_ENVELOPE_VERSION, purpose, nonce, data };
+};
 
-  // --- Global Message Display ---
-  const displayMessage = (msg, type) => {
-    setMessage(msg);
-    setMessageType(type);
-    setTimeout(() => {
-      setMessage('');
-      setMessageType('');
-    }, 3000);
-  };
+// Parses a scanned envelope and returns the issued record ({ nonce, purpose, data, issuedBy }).
+// Throws QrVerificationError; replay is checked again inside the handover by prepareQrEnvelopeUse.
+const verifyQrEnvelope = async (db, content, expectedPurpose) => {
+  let envelope;
+  try {
+    envelope = JSON.parse(content);
+  } catch (e) {
+    throw new QrVerificationError('malformed');
+  }
+  if (!envelope || typeof envelope !== 'object' || typeof envelope.nonce !== 'string' || !envelope.nonce) {
+    throw new QrVerificationError('malformed');
+  }
+  if (envelope.v !== QR_ENVELOPE_VERSION) {
+    throw new QrVerificationError('unsupported_version');
+  }
+  if (envelope.purpose !== expectedPurpose) {
+    throw new QrVerificationError('wrong_purpose');
+  }
 
-  // --- Firebase Initialization and Auth ---
-  useEffect(() => {
-    try {
-      if (!appRef.current) {
-        appRef.current = initializeApp(firebaseConfig);
-        dbRef.current = getFirestore(appRef.current);
-        authRef.current = getAuth(appRef.current);
-      }
+  let issuedSnap = null;
+  try {
+    issuedSnap = await getDoc(qrEnvelopeRef(db, envelope.nonce));
+  } catch (e) {
+    issuedSnap = null;
+  }
+  if (!issuedSnap || !issuedSnap.exists() || issuedSnap.data().purpose !== expectedPurpose) {
+    throw new QrVerificationError('forged');
+  }
+  const issued = issuedSnap.data();
+  if (issued.usedBy) {
+    throw new QrVerificationError('replayed');
+  }
+  if (issued.expiresAt.toMillis() < Date.now()) {
+    throw new QrVerificationError('expired');
+  }
+  return { nonce: envelope.nonce, purpose: issued.purpose, data: issued.data, issuedBy: issued.issuedBy };
+};
 
-      const auth = authRef.current;
-      const db = dbRef.current;
+// Re-reads an issued envelope inside the handover transaction and returns a commit function that marks
+// it used. The handover must also set `qrNonce` on the order or appointment (see firestore.rules).
+const prepareQrEnvelopeUse = async (transaction, db, envelope, usedBy) => {
+  const envelopeRef = qrEnvelopeRef(db, envelope.nonce);
+  const envelopeSnap = await transaction.get(envelopeRef);
+  if (!envelopeSnap.exists()) {
+    throw new QrVerificationError('forged');
+  }
+  if (envelopeSnap.data().usedBy) {
+    throw new QrVerificationError('replayed');
+  }
+  return () => transaction.update(envelopeRef, {
+    usedBy: usedBy,
+    usedAt: serverTimestamp(),
+  });
+};
 
-      const unsubscribe = onAuthStateChanged(auth, async (currentUser) => {
-        if (currentUser) {
-          setUser(currentUser);
-          const currentUserId = currentUser.uid;
-          setUserId(currentUserId);
+// --- Order & Appointment State Machines ---
+// Single source of truth for the lifecycle of orders and patientOffers. Each transition lists the
+// statuses it may start from (`null` means the transition creates the document), the status it moves
+// to, the roles allowed to perform it and the fields the caller must set alongside it.
+const ORDER_STATUS = {
+  PENDING_PRESCRIPTION_REVIEW: 'pending_prescription_review',
+  PRESCRIPTION_REJECTED: 'prescription_rejected',
+  PENDING_PHARMACY: 'pending_pharmacy', // Waiting for a pharmacy to take it on
+  PACKING: 'packing',
+  PENDING_SALESPERSON_PICKUP: 'pending_salesperson_pickup', // Packed and waiting at the pharmacy
+  IN_DELIVERY: 'in_delivery',
+  DELIVERED: 'delivered',
+  PURCHASED_BY_DOCTOR: 'purchased_by_doctor',
+};
 
-          // Fetch user role from Firestore
-          const userDocRef = doc(db, `artifacts/${appId}/users/${currentUserId}/profile`, currentUserId);
-          const userDocSnap = await getDoc(userDocRef);
+const OFFER_STATUS = {
+  PENDING: 'pending',
+  ACCEPTED: 'accepted',
+  ASSIGNED_TO_SALESPERSON: 'assigned_to_salesperson',
+  COMPLETED: 'completed',
+  DECLINED: 'declined',
+  CANCELLED: 'cancelled',
+  NO_SHOW: 'no_show',
+};
 
-          if (userDocSnap.exists()) {
-            setUserRole(userDocSnap.data().role);
-          } else {
-            // New user or role not set, prompt for role selection
-            setUserRole(null);
-          }
-        } else {
-          setUser(null);
-          setUserId('');
-          setUserRole(null); // Reset role if logged out
-          // Sign in anonymously if no initial auth token, otherwise use it
-          if (initialAuthToken) {
-            await signInWithCustomToken(auth, initialAuthToken);
-          } else {
-            await signInAnonymously(auth);
-          }
-        }
-        setLoading(false);
-      });
+// Assignments not completed within this window are released by scripts/relistStaleAssignments.mjs
+const ASSIGNMENT_RELIST_AFTER_MS = 60 * 60 * 1000; // 1 hour
 
-      return () => unsubscribe();
-    } catch (error) {
-      console.error("Error initializing Firebase or during authentication:", error);
-      displayMessage(`Firebase initialization error: ${error.message}`, 'error');
-      setLoading(false);
-    }
-  }, []); // Empty dependency array ensures this runs once on mount
+const STATEMENT_STATUS = {
+  OPEN: 'open',
+  SETTLED: 'settled',
+};
 
-  // --- Firestore Data Listeners ---
-  useEffect(() => {
-    if (!dbRef.current || !userId || loading) return;
+const WITHDRAWAL_STATUS = {
+  REQUESTED: 'requested',
+  APPROVED: 'approved',
+  REJECTED: 'rejected',
+  PAID: 'paid',
+};
 
-    const db = dbRef.current;
+// Salesperson, institution, doctor and pharmacy applications (see ROLE_REQUEST_COLLECTIONS)
+const ROLE_REQUEST_STATUS = {
+  PENDING: 'pending',
+  APPROVED: 'approved',
+  REJECTED: 'rejected',
+  SUSPENDED: 'suspended',
+  REVOKED: 'revoked',
+};
 
-    // Products (Public)
-    const productsQuery = query(collection(db, `artifacts/${appId}/public/data/products`));
-    const unsubscribeProducts = onSnapshot(productsQuery, (snapshot) => {
-      const productsData = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
-      setProducts(productsData);
-    }, (error) => console.error("Error fetching products:", error));
+const STATE_MACHINES = {
+  order: {
+    label: 'Order',
+    transitions: {
+      place: {
+        description: 'place order',
+        from: [null],
+        to: ORDER_STATUS.PENDING_PHARMACY,
+        roles: ['customer'],
+        requiredFields: ['orderId', 'customerId', 'items', 'subtotal', 'coinsTotal', 'deliveryCity', 'orderDate'],
+      },
+      // Orders with prescription-only products and an uploaded prescription wait for review
+      place_for_prescription_review: {
+        description: 'place order',
+        from: [null],
+        to: ORDER_STATUS.PENDING_PRESCRIPTION_REVIEW,
+        roles: ['customer'],
+        requiredFields: ['orderId', 'customerId', 'items', 'subtotal', 'coinsTotal', 'deliveryCity', 'orderDate', 'prescription'],
+      },
+      approve_prescription: {
+        description: 'approve prescription',
+        from: [ORDER_STATUS.PENDING_PRESCRIPTION_REVIEW],
+        to: ORDER_STATUS.PENDING_PHARMACY,
+        roles: ['admin', 'pharmacy'],
+        requiredFields: ['prescriptionReviewedBy', 'prescriptionReviewedAt'],
+      },
+      reject_prescription: {
+        description: 'reject prescription',
+        from: [ORDER_STATUS.PENDING_PRESCRIPTION_REVIEW],
+        to: ORDER_STATUS.PRESCRIPTION_REJECTED,
+        roles: ['admin', 'pharmacy'],
+        requiredFields: ['prescriptionReviewedBy', 'prescriptionReviewedAt', 'prescriptionRejectionReason'],
+      },
+      purchase_by_doctor: {
+        description: 'purchase product',
+        from: [null],
+        to: ORDER_STATUS.PURCHASED_BY_DOCTOR,
+        roles: ['doctor'],
+        requiredFields: ['orderId', 'customerId', 'doctorId', 'items', 'subtotal', 'coinsTotal', 'orderDate'],
+      },
+      accept_for_packing: {
+        description: 'accept order for packing',
+        from: [ORDER_STATUS.PENDING_PHARMACY],
+        to: ORDER_STATUS.PACKING,
+        roles: ['pharmacy'],
+        requiredFields: ['pharmacyId', 'pharmacyName', 'acceptedForPackingAt'],
+      },
+      // A pharmacy that cannot fill an order hands it back to the queue for another one
+      return_to_queue: {
+        description: 'return order to the queue',
+        from: [ORDER_STATUS.PACKING],
+        to: ORDER_STATUS.PENDING_PHARMACY,
+        roles: ['pharmacy'],
+        requiredFields: ['pharmacyReturnReason'],
+      },
+      pack: {
+        description: 'mark order packed',
+        from: [ORDER_STATUS.PACKING],
+        to: ORDER_STATUS.PENDING_SALESPERSON_PICKUP,
+        roles: ['pharmacy'],
+        requiredFields: ['packedBy', 'packedAt'],
+      },
+      take: {
+        description: 'take order for delivery',
+        from: [ORDER_STATUS.PENDING_SALESPERSON_PICKUP],
+        to: ORDER_STATUS.IN_DELIVERY,
+        roles: ['salesperson'],
+        requiredFields: ['salespersonId', 'pickupTime'],
+      },
+      // Performed by scripts/relistStaleAssignments.mjs when a delivery stalls
+      relist: {
+        description: 'relist order',
+        from: [ORDER_STATUS.IN_DELIVERY],
+        to: ORDER_STATUS.PENDING_SALESPERSON_PICKUP,
+        roles: ['system'],
+        requiredFields: ['lastRelistedAt'],
+      },
+      deliver: {
+        description: 'confirm delivery',
+        from: [ORDER_STATUS.IN_DELIVERY],
+        to: ORDER_STATUS.DELIVERED,
+        roles: ['customer'],
+        requiredFields: ['deliveredDate', 'cashReceived', 'qrContent'],
+      },
+    },
+  },
+  patientOffer: {
+    label: 'Appointment',
+    transitions: {
+      request: {
+        description: 'request checkup',
+        from: [null],
+        to: OFFER_STATUS.PENDING,
+        roles: ['customer'],
+        requiredFields: ['patientId', 'doctorId', 'reason', 'scheduledFor', 'slotId', 'offeredOn'],
+      },
+      accept: {
+        description: 'accept checkup',
+        from: [OFFER_STATUS.PENDING],
+        to: OFFER_STATUS.ACCEPTED,
+        roles: ['doctor'],
+        requiredFields: ['acceptedOn'],
+      },
+      // Moving a checkup to another slot also accepts it at the new time
+      reschedule: {
+        description: 'reschedule checkup',
+        from: [OFFER_STATUS.PENDING, OFFER_STATUS.ACCEPTED],
+        to: OFFER_STATUS.ACCEPTED,
+        roles: ['doctor'],
+        requiredFields: ['scheduledFor', 'slotId', 'rescheduledAt', 'rescheduledBy', 'rescheduleReason'],
+      },
+      // The patient picks another slot; the doctor has to accept the new time
+      request_reschedule: {
+        description: 'request a new time',
+        from: [OFFER_STATUS.PENDING, OFFER_STATUS.ACCEPTED],
+        to: OFFER_STATUS.PENDING,
+        roles: ['customer'],
+        requiredFields: ['scheduledFor', 'slotId', 'rescheduledAt', 'rescheduledBy', 'rescheduleReason'],
+      },
+      cancel: {
+        description: 'cancel checkup',
+        from: [OFFER_STATUS.PENDING, OFFER_STATUS.ACCEPTED, OFFER_STATUS.ASSIGNED_TO_SALESPERSON],
+        to: OFFER_STATUS.CANCELLED,
+        roles: ['customer'],
+        requiredFields: ['cancelledAt', 'cancellationReason'],
+      },
+      decline: {
+        description: 'decline checkup',
+        from: [OFFER_STATUS.PENDING, OFFER_STATUS.ACCEPTED],
+        to: OFFER_STATUS.DECLINED,
+        roles: ['doctor'],
+        requiredFields: ['declinedAt', 'declineReason'],
+      },
+      assign: {
+        description: 'take appointment',
+        from: [OFFER_STATUS.ACCEPTED],
+        to: OFFER_STATUS.ASSIGNED_TO_SALESPERSON,
+        roles: ['salesperson'],
+        requiredFields: ['salespersonId', 'pickupTime'],
+      },
+      // A salesperson who can't make the visit hands it back to the pool
+      release: {
+        description: 'release appointment',
+        from: [OFFER_STATUS.ASSIGNED_TO_SALESPERSON],
+        to: OFFER_STATUS.ACCEPTED,
+        roles: ['salesperson'],
+        requiredFields: ['releasedAt', 'releaseReason'],
+      },
+      // Performed by scripts/relistStaleAssignments.mjs when a checkup visit stalls
+      relist: {
+        description: 'relist appointment',
+        from: [OFFER_STATUS.ASSIGNED_TO_SALESPERSON],
+        to: OFFER_STATUS.ACCEPTED,
+        roles: ['system'],
+        requiredFields: ['lastRelistedAt'],
+      },
+      mark_no_show: {
+        description: 'mark patient as no-show',
+        from: [OFFER_STATUS.ACCEPTED, OFFER_STATUS.ASSIGNED_TO_SALESPERSON],
+        to: OFFER_STATUS.NO_SHOW,
+        roles: ['doctor'],
+        requiredFields: ['noShowAt'],
+      },
+      complete: {
+        description: 'confirm checkup',
+        from: [OFFER_STATUS.ASSIGNED_TO_SALESPERSON],
+        to: OFFER_STATUS.COMPLETED,
+        roles: ['customer'],
+        requiredFields: ['deliveredDate', 'paymentConfirmed', 'chargeLedgerEntryId', 'qrContent'],
+      },
+    },
+  },
+  statement: {
+    label: 'Statement',
+    transitions: {
+      generate: {
+        description: 'generate statement',
+        from: [null],
+        to: STATEMENT_STATUS.OPEN,
+        roles: ['admin'],
+        requiredFields: ['salespersonId', 'periodStart', 'periodEnd', 'entries', 'totalCoins', 'netPayable'],
+      },
+      settle: {
+        description: 'settle statement',
+        from: [STATEMENT_STATUS.OPEN],
+        to: STATEMENT_STATUS.SETTLED,
+        roles: ['admin'],
+        requiredFields: ['settledBy', 'settledAt', 'payoutReference', 'settlementLedgerEntryId'],
+      },
+    },
+  },
+  withdrawal: {
+    label: 'Withdrawal request',
+    transitions: {
+      request: {
+        description: 'request withdrawal',
+        from: [null],
+        to: WITHDRAWAL_STATUS.REQUESTED,
+        roles: ['institution'],
+        requiredFields: ['institutionId', 'amount', 'bankDetails', 'requestDate', 'holdLedgerEntryId'],
+      },
+      approve: {
+        description: 'approve withdrawal',
+        from: [WITHDRAWAL_STATUS.REQUESTED],
+        to: WITHDRAWAL_STATUS.APPROVED,
+        roles: ['admin'],
+        requiredFields: ['approvedBy', 'approvedAt'],
+      },
+      reject: {
+        description: 'reject withdrawal',
+        from: [WITHDRAWAL_STATUS.REQUESTED, WITHDRAWAL_STATUS.APPROVED],
+        to: WITHDRAWAL_STATUS.REJECTED,
+        roles: ['admin'],
+        requiredFields: ['rejectedBy', 'rejectedAt', 'rejectionReason'],
+      },
+      mark_paid: {
+        description: 'mark withdrawal paid',
+        from: [WITHDRAWAL_STATUS.APPROVED],
+        to: WITHDRAWAL_STATUS.PAID,
+        roles: ['admin'],
+        requiredFields: ['paidBy', 'paidAt', 'payoutReference'],
+      },
+    },
+  },
+  roleRequest: {
+    label: 'Application',
+    transitions: {
+      submit: {
+        description: 'submit application',
+        from: [null],
+        to: ROLE_REQUEST_STATUS.PENDING,
+        roles: ['salesperson', 'institution', 'doctor', 'pharmacy'],
+        requiredFields: ['userId', 'name', 'documents', 'requestDate'],
+        schema: (role) => `${role}Application`,
+      },
+      // Rejected applicants may correct their details and apply again
+      resubmit: {
+        description: 're-apply',
+        from: [ROLE_REQUEST_STATUS.REJECTED],
+        to: ROLE_REQUEST_STATUS.PENDING,
+        roles: ['salesperson', 'institution', 'doctor', 'pharmacy'],
+        requiredFields: ['name', 'documents', 'requestDate'],
+        schema: (role) => `${role}Application`,
+      },
+      approve: {
+        description: 'approve application',
+        from: [ROLE_REQUEST_STATUS.PENDING],
+        to: ROLE_REQUEST_STATUS.APPROVED,
+        roles: ['admin'],
+        requiredFields: ['approvedBy', 'approvedAt'],
+      },
+      reject: {
+        description: 'reject application',
+        from: [ROLE_REQUEST_STATUS.PENDING],
+        to: ROLE_REQUEST_STATUS.REJECTED,
+        roles: ['admin'],
+        requiredFields: ['rejectedBy', 'rejectedAt', 'rejectionReason'],
+      },
+      suspend: {
+        description: 'suspend account',
+        from: [ROLE_REQUEST_STATUS.APPROVED],
+        to: ROLE_REQUEST_STATUS.SUSPENDED,
+        roles: ['admin'],
+        requiredFields: ['suspendedBy', 'suspendedAt', 'suspensionReason'],
+      },
+      reactivate: {
+        description: 'reactivate account',
+        from: [ROLE_REQUEST_STATUS.SUSPENDED],
+        to: ROLE_REQUEST_STATUS.APPROVED,
+        roles: ['admin'],
+        requiredFields: ['reactivatedBy', 'reactivatedAt'],
+      },
+      revoke: {
+        description: 'revoke account',
+        from: [ROLE_REQUEST_STATUS.APPROVED, ROLE_REQUEST_STATUS.SUSPENDED],
+        to: ROLE_REQUEST_STATUS.REVOKED,
+        roles: ['admin'],
+        requiredFields: ['revokedBy', 'revokedAt', 'revocationReason'],
+      },
+    },
+  },
+};
 
-    // Doctors (Public)
-    const doctorsQuery = query(collection(db, `artifacts/${appId}/public/data/doctors`));
-    const unsubscribeDoctors = onSnapshot(doctorsQuery, (snapshot) => {
-      const doctorsData = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
-      setDoctors(doctorsData);
-    }, (error) => console.error("Error fetching doctors:", error));
+class StateTransitionError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'StateTransitionError';
+  }
+}
 
-    // Customers (Public - assuming customer profiles are public for admin view)
-    const customersQuery = query(collection(db, `artifacts/${appId}/public/data/customers`));
-    const unsubscribeCustomers = onSnapshot(customersQuery, (snapshot) => {
-      const customersData = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
-      setCustomers(customersData);
-    }, (error) => console.error("Error fetching customers:", error));
+const formatStatus = (status) => (status ? status.replace(/_/g, ' ') : 'new');
 
-    // Salesperson Requests (Public - for Admin approval)
-    const salespersonReqQuery = query(
-      collection(db, `artifacts/${appId}/public/data/salespersonRequests`),
-      where('status', '==', 'pending')
-    );
-    const unsubscribeSalespersonReq = onSnapshot(salespersonReqQuery, (snapshot) => {
-      const reqs = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
-      setSalespersonRequests(reqs);
-    }, (error) => console.error("Error fetching salesperson requests:", error));
-
-    // Approved Salespersons (Public)
-    const approvedSalespersonQuery = query(
-      collection(db, `artifacts/${appId}/public/data/salespersonRequests`),
-      where('status', '==', 'approved')
-    );
-    const unsubscribeApprovedSalesperson = onSnapshot(approvedSalespersonQuery, (snapshot) => {
-      const approved = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
-      setApprovedSalespersons(approved);
-    }, (error) => console.error("Error fetching approved salespersons:", error));
-
-    // Institution Requests (Public - for Admin approval)
-    const institutionReqQuery = query(
-      collection(db, `artifacts/${appId}/public/data/institutionRequests`),
-      where('status', '==', 'pending')
-    );
-    const unsubscribeInstitutionReq = onSnapshot(institutionReqQuery, (snapshot) => {
-      const reqs = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
-      setInstitutionRequests(reqs);
-    }, (error) => console.error("Error fetching institution requests:", error));
-
-    // Approved Institutions (Public)
-    const approvedInstitutionQuery = query(
-      collection(db, `artifacts/${appId}/public/data/institutionRequests`),
-      where('status', '==', 'approved')
+// Returns the transition definition, or throws if the status, role or fields do not allow it.
+const assertTransition = (machineName, action, currentStatus, role, fields) => {
+  const machine = STATE_MACHINES[machineName];
+  const transition = machine && machine.transitions[action];
+  if (!transition) {
+    throw new StateTransitionError(`Unknown ${machineName} transition '${action}'.`);
+  }
+  if (!transition.from.includes(currentStatus === undefined ? null : currentStatus)) {
+    throw new StateTransitionError(
+      `Cannot ${transition.description}: ${machine.label.toLowerCase()} is currently '${formatStatus(currentStatus)}'.`
     );
-    const unsubscribeApprovedInstitution = onSnapshot(approvedInstitutionQuery, (snapshot) => {
-      const approved = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
-      setApprovedInstitutions(approved);
-    }, (error) => console.error("Error fetching approved institutions:", error));
-
-    // --- Role-specific data listeners ---
-    let unsubscribeCustomerOrders;
-    let unsubscribePatientOffers;
-    let unsubscribeInstitutionCoins;
-    let unsubscribeSalespersonCoins;
+  }
+  if (!transition.roles.includes(role)) {
+    throw new StateTransitionError(`Your role (${role}) is not allowed to ${transition.description}.`);
+  }
+  if (fields) {
+    const missing = transition.requiredFields.filter(field => fields[field] === undefined || fields[field] === null);
+    if (missing.length > 0) {
+      throw new StateTransitionError(`Cannot ${transition.description}: missing ${missing.join(', ')}.`);
+    }
+    // Transitions with a `schema` also check the field values against VALIDATION_SCHEMAS
+    if (transition.schema) {
+      assertValid(transition.schema(role), fields);
+    }
+  }
+  return transition;
+};
 
-    if (userRole === 'customer') {
-      const customerOrdersQuery = query(
-        collection(db, `artifacts/${appId}/users/${userId}/orders`),
-        where('customerId', '==', userId)
-      );
-      unsubscribeCustomerOrders = onSnapshot(customerOrdersQuery, (snapshot) => {
-        const orders = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
-        // Filter for last 30 days
-        const thirtyDaysAgo = new Date();
-        thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
-        const recentOrders = orders.filter(order =>
-          order.orderDate && order.orderDate.toDate() >= thirtyDaysAgo
-        );
-        setCustomerOrders(recentOrders);
-      }, (error) => console.error("Error fetching customer orders:", error));
+const buildStatusHistoryEntry = (action, fromStatus, toStatus, actor, note = null) => ({
+  action,
+  from: fromStatus,
+  to: toStatus,
+  by: actor.id,
+  role: actor.role,
+  note,
+  // serverTimestamp() is not allowed inside arrays, so history entries use the client clock
+  at: Timestamp.now(),
+});
+
+// Builds the initial document for a transition that creates an order or patientOffer.
+const buildInitialDocument = (machineName, action, actor, fields) => {
+  const transition = assertTransition(machineName, action, null, actor.role, fields);
+  return {
+    ...fields,
+    status: transition.to,
+    statusHistory: [buildStatusHistoryEntry(action, null, transition.to, actor)],
+  };
+};
 
-      const patientOffersQuery = query(
-        collection(db, `artifacts/${appId}/public/data/patientOffers`),
-        where('patientId', '==', userId)
-      );
-      unsubscribePatientOffers = onSnapshot(patientOffersQuery, (snapshot) => {
-        const offers = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
-        setPatientOffers(offers);
-      }, (error) => console.error("Error fetching patient offers:", error));
-    } else if (userRole === 'institution') {
-      const institutionDocRef = doc(db, `artifacts/${appId}/users/${userId}/profile`, userId);
-      unsubscribeInstitutionCoins = onSnapshot(institutionDocRef, (docSnap) => {
-        if (docSnap.exists()) {
-          setInstitutionCoinBalance(docSnap.data().coins || 0);
-        } else {
-          setInstitutionCoinBalance(0);
-        }
-      }, (error) => console.error("Error fetching institution coin balance:", error));
+// Reads the document inside a Firestore transaction and checks that `action` is allowed from its
+// current status. Returns the current data and a commit function that writes the new status, the
+// transition's fields and a statusHistory entry. Firestore requires all reads before any writes,
+// so callers prepare every document first and commit afterwards.
+const prepareTransition = async (transaction, ref, machineName, action, actor) => {
+  const snap = await transaction.get(ref);
+  if (!snap.exists()) {
+    throw new StateTransitionError(`${STATE_MACHINES[machineName].label} not found.`);
+  }
+  const data = snap.data();
+  assertTransition(machineName, action, data.status, actor.role);
+  return {
+    data,
+    commit: (fields, note) => {
+      const transition = assertTransition(machineName, action, data.status, actor.role, fields);
+      transaction.update(ref, {
+        ...fields,
+        status: transition.to,
+        statusHistory: arrayUnion(buildStatusHistoryEntry(action, data.status, transition.to, actor, note)),
+      });
+    },
+  };
+};
 
-      const institutionCoinHistoryQuery = query(
-        collection(db, `artifacts/${appId}/users/${userId}/transactions`),
-        where('targetId', '==', userId),
-        where('type', '==', 'donation')
-      );
-      unsubscribeInstitutionCoinHistory = onSnapshot(institutionCoinHistoryQuery, (snapshot) => {
-        const history = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
-        const thirtyDaysAgo = new Date();
-        thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
-        const recentHistory = history.filter(item =>
-          item.date && item.date.toDate() >= thirtyDaysAgo
-        );
-        setInstitutionCoinHistory(recentHistory);
-      }, (error) => console.error("Error fetching institution coin history:", error));
+// Like prepareTransition, for a party that may not read the document until the transition is through:
+// a salesperson taking a checkup holds only the doctor's pickup code. Writes the transition from
+// `fromStatus` without reading; firestore.rules refuses it if the document has moved on.
+const prepareBlindTransition = (transaction, ref, machineName, action, fromStatus, actor) => {
+  assertTransition(machineName, action, fromStatus, actor.role);
+  return {
+    commit: (fields, note) => {
+      const transition = assertTransition(machineName, action, fromStatus, actor.role, fields);
+      transaction.update(ref, {
+        ...fields,
+        status: transition.to,
+        statusHistory: arrayUnion(buildStatusHistoryEntry(action, fromStatus, transition.to, actor, note)),
+      });
+    },
+  };
+};
 
-    } else if (userRole === 'salesperson') {
-      const salespersonOffersQuery = query(
-        collection(db, `artifacts/${appId}/public/data/patientOffers`),
-        where('salespersonId', '==', userId),
-        where('status', 'in', ['assigned_to_salesperson']) // Only show assigned and in-progress
-      );
-      const salespersonOrdersQuery = query(
-        collection(db, `artifacts/${appId}/users/${userId}/orders`), // Assuming salesperson's orders are stored under their user path
-        where('salespersonId', '==', userId),
-        where('status', 'in', ['in_delivery'])
-      );
+// Applies a single transition atomically when no other documents are involved.
+const applyTransition = (db, ref, machineName, action, actor, fields) =>
+  runTransaction(db, async (transaction) => {
+    const { commit } = await prepareTransition(transaction, ref, machineName, action, actor);
+    commit(fields);
+  });
 
-      unsubscribePatientOffers = onSnapshot(salespersonOffersQuery, (snapshot) => {
-        const offers = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
-        setPatientOffers(offers);
-      }, (error) => console.error("Error fetching salesperson patient offers:", error));
+// Read-only timeline of a document's statusHistory.
+const StatusTimeline = ({ history }) => {
+  if (!history || history.length === 0) return <span className="text-gray-400">No history</span>;
+  return (
+    <details className="text-xs">
+      <summary className="cursor-pointer text-indigo-600">{history.length} event(s)</summary>
+      <ol className="mt-1 space-y-1">
+        {history.map((entry, index) => (
+          <li key={index} className="text-gray-600">
+            <span className="font-semibold capitalize">{formatStatus(entry.to)}</span>
+            {' '}by {entry.role} {entry.at?.toDate().toLocaleString()}
+            {entry.note && <span className="block text-gray-500">{entry.note}</span>}
+          </li>
+        ))}
+      </ol>
+    </details>
+  );
+};
 
-      unsubscribeCustomerOrders = onSnapshot(salespersonOrdersQuery, (snapshot) => {
-        const orders = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
-        setCustomerOrders(orders);
-      }, (error) => console.error("Error fetching salesperson orders:", error));
+// --- Input Validation ---
+// Named schemas shared by the form handlers (which show the messages under each field) and by the
+// helpers that build Firestore documents, so malformed values are refused even if a form is bypassed.
+class ValidationError extends Error {
+  constructor(fieldErrors) {
+    super(Object.values(fieldErrors)[0] || 'Invalid input.');
+    this.name = 'ValidationError';
+    this.fieldErrors = fieldErrors;
+  }
+}
+
+const CNIC_PATTERN = /^\d{5}-\d{7}-\d$/;
+// Mobile (03XX-XXXXXXX) or landline (0XX-XXXXXXX) numbers, written with a 0, +92 or 0092 prefix
+const PK_PHONE_PATTERN = /^(?:\+92|0092|0)(?:3\d{2}-?\d{7}|[1-9]\d{1,3}-?\d{6,8})$/;
+const PRICE_PATTERN = /^\d+(\.\d{1,2})?$/;
+const BLOOD_PRESSURE_PATTERN = /^\d{2,3}\/\d{2,3}$/;
+const WHOLE_NUMBER_PATTERN = /^\d+$/;
+
+const isBlank = (value) => value === undefined || value === null || String(value).trim() === '';
+
+// Each rule returns an error message or null. Every rule except `required` lets blank values through.
+const VALIDATION_RULES = {
+  required: (value) => (isBlank(value) ? 'This field is required.' : null),
+  cnic: (value) => (isBlank(value) || CNIC_PATTERN.test(String(value).trim()) ? null : 'CNIC must be in the format 12345-1234567-1.'),
+  phone: (value) => (isBlank(value) || PK_PHONE_PATTERN.test(String(value).trim())
+    ? null
+    : 'Enter a Pakistani phone number, e.g. 03001234567 or +923001234567.'),
+  price: (value) => {
+    if (isBlank(value)) return null;
+    if (!PRICE_PATTERN.test(String(value).trim())) return 'Enter an amount with at most 2 decimal places.';
+    return Number(value) > 0 ? null : 'Amount must be greater than 0.';
+  },
+  bloodPressure: (value) => (isBlank(value) || BLOOD_PRESSURE_PATTERN.test(String(value).trim())
+    ? null
+    : 'Enter blood pressure as systolic/diastolic, e.g. 120/80.'),
+  coins: (value) => (isBlank(value) || WHOLE_NUMBER_PATTERN.test(String(value).trim()) ? null : 'Coins must be a whole number of 0 or more.'),
+  wholeNumber: (value) => (isBlank(value) || WHOLE_NUMBER_PATTERN.test(String(value).trim()) ? null : 'Enter a whole number of 0 or more.'),
+  positiveCoins: (value) => (isBlank(value) || (WHOLE_NUMBER_PATTERN.test(String(value).trim()) && Number(value) > 0)
+    ? null
+    : 'Enter a whole number of coins greater than 0.'),
+  integerBetween: (min, max) => (value) => (isBlank(value) || (WHOLE_NUMBER_PATTERN.test(String(value).trim()) && Number(value) >= min && Number(value) <= max)
+    ? null
+    : `Enter a whole number between ${min} and ${max}.`),
+  numberBetween: (min, max) => (value) => (isBlank(value) || (Number.isFinite(Number(value)) && Number(value) >= min && Number(value) <= max)
+    ? null
+    : `Enter a number between ${min} and ${max}.`),
+};
 
-      const salespersonCoinHistoryQuery = query(
-        collection(db, `artifacts/${appId}/users/${userId}/transactions`),
-        where('targetId', '==', userId),
-        where('type', 'in', ['coin_transfer', 'checkup_payment']) // Coins from products or checkups
-      );
-      unsubscribeSalespersonCoins = onSnapshot(salespersonCoinHistoryQuery, (snapshot) => {
-        const history = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
-        const thirtyDaysAgo = new Date();
-        thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
-        const recentHistory = history.filter(item =>
-          item.date && item.date.toDate() >= thirtyDaysAgo
-        );
-        setSalespersonCoinHistory(recentHistory);
-      }, (error) => console.error("Error fetching salesperson coin history:", error));
+const { required, cnic, phone, price, bloodPressure, coins, wholeNumber, positiveCoins, integerBetween, numberBetween } = VALIDATION_RULES;
+
+const VALIDATION_SCHEMAS = {
+  product: {
+    name: [required],
+    price: [required, price],
+    serialNumber: [required],
+    coinsAssigned: [required, coins],
+    stock: [required, wholeNumber],
+    category: [required],
+    dosageForm: [required],
+  },
+  salespersonApplication: {
+    name: [required],
+    contactNumber: [required, phone],
+    cnic: [required, cnic],
+    age: [required, integerBetween(18, 70)],
+    address: [required],
+    bankDetails: [required],
+  },
+  institutionApplication: {
+    name: [required],
+    registrationNumber: [required],
+    contactNumber: [required, phone],
+    address: [required],
+    cnic: [required, cnic],
+    bankDetails: [required],
+  },
+  doctorApplication: {
+    name: [required],
+    contactNumber: [required, phone],
+    cnic: [required, cnic],
+    specialty: [required],
+    licenseNumber: [required],
+    clinicAddress: [required],
+  },
+  pharmacyApplication: {
+    name: [required],
+    licenseNumber: [required],
+    contactNumber: [required, phone],
+    address: [required],
+    cnic: [required, cnic],
+  },
+  pharmacyStock: {
+    quantity: [required, wholeNumber],
+  },
+  deliveryAddress: {
+    label: [required],
+    recipientName: [required],
+    phone: [required, phone],
+    line1: [required],
+    city: [required],
+  },
+  visitNote: {
+    diagnosis: [required],
+    bloodPressure: [bloodPressure],
+    pulse: [integerBetween(20, 250)],
+    temperature: [numberBetween(30, 45)],
+    weight: [numberBetween(0.5, 400)],
+  },
+  coinMovement: {
+    amount: [required, positiveCoins],
+  },
+  walletTopUp: {
+    amount: [required, positiveCoins],
+    paymentReference: [required],
+  },
+  donation: {
+    institutionId: [required],
+    amount: [required, positiveCoins],
+  },
+  withdrawal: {
+    amount: [required, positiveCoins],
+  },
+  checkupFees: {
+    consultationFee: [required, coins],
+    salespersonCommission: [required, coins],
+  },
+  payoutSettings: {
+    cycleDays: [required, integerBetween(1, 365)],
+    coinValue: [required, price],
+    serviceFeePercent: [required, numberBetween(0, 100)],
+  },
+};
 
-    } else if (userRole === 'doctor') {
-      const doctorOffersQuery = query(
-        collection(db, `artifacts/${appId}/public/data/patientOffers`),
-        where('doctorId', '==', userId),
-        where('status', 'in', ['pending', 'accepted']) // Doctor sees pending and accepted
-      );
-      unsubscribePatientOffers = onSnapshot(doctorOffersQuery, (snapshot) => {
-        const offers = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
-        setPatientOffers(offers);
-      }, (error) => console.error("Error fetching doctor patient offers:", error));
+// Returns { field: message } for every field in the schema that fails a rule (empty when valid).
+const validateFields = (schemaName, values) => {
+  const fieldErrors = {};
+  Object.entries(VALIDATION_SCHEMAS[schemaName]).forEach(([field, fieldRules]) => {
+    for (const rule of fieldRules) {
+      const message = rule(values[field]);
+      if (message) {
+        fieldErrors[field] = message;
+        break;
+      }
     }
+  });
+  return fieldErrors;
+};
 
-    return () => {
-      unsubscribeProducts();
-      unsubscribeDoctors();
-      unsubscribeCustomers();
-      unsubscribeSalespersonReq();
-      unsubscribeApprovedSalesperson();
-      unsubscribeInstitutionReq();
-      unsubscribeApprovedInstitution();
-      if (unsubscribeCustomerOrders) unsubscribeCustomerOrders();
-      if (unsubscribePatientOffers) unsubscribePatientOffers();
-      if (unsubscribeInstitutionCoins) unsubscribeInstitutionCoins();
-      if (unsubscribeSalespersonCoins) unsubscribeSalespersonCoins();
-      if (unsubscribeInstitutionCoinHistory) unsubscribeInstitutionCoinHistory();
-    };
-  }, [userId, userRole, loading]); // Re-run when userId or userRole changes
+const assertValid = (schemaName, values) => {
+  const fieldErrors = validateFields(schemaName, values);
+  if (Object.keys(fieldErrors).length > 0) {
+    throw new ValidationError(fieldErrors);
+  }
+};
 
-  // --- Role Switching Logic ---
-  const handleRoleSwitch = async (e) => {
-    const newRole = e.target.value;
-    if (!userId || !dbRef.current) {
+// --- Product Catalogue ---
+const PRODUCT_CATEGORIES = [
+  'Pain Relief',
+  'Antibiotics',
+  'Cardiovascular',
+  'Diabetes',
+  'Respiratory',
+  'Gastrointestinal',
+  'Vitamins & Supplements',
+  'Skin Care',
+  'Medical Devices',
+  'Other',
+];
+
+const DOSAGE_FORMS = ['Tablet', 'Capsule', 'Syrup', 'Injection', 'Cream / Ointment', 'Drops', 'Inhaler', 'Device', 'Other'];
+
+const PRODUCT_IMAGE_MAX_BYTES = 5 * 1024 * 1024;
+const PRODUCT_IMAGE_TYPES = ['image/jpeg', 'image/png'];
+
+const validateProductImage = (file) => {
+  if (!PRODUCT_IMAGE_TYPES.includes(file.type)) return 'Upload a JPG or PNG image.';
+  if (file.size > PRODUCT_IMAGE_MAX_BYTES) return 'Images must be 5 MB or smaller.';
+  return null;
+};
+
+// A product's `stock` is the platform's own inventory, which only doctors buy from directly; customer
+// orders are filled from pharmacy shelves (see Pharmacy Fulfilment).
+// Products added before stock was tracked have no `stock` field and are treated as always in stock.
+const isProductInStock = (product) => typeof product.stock !== 'number' || product.stock > 0;
+
+const isProductAvailable = (product) => !product.archived && isProductInStock(product);
+
+// Validates a product form and returns the document to store (price rounded to paisa, counts as numbers).
+const buildProductDocument = (values) => {
+  assertValid('product', values);
+  return {
+    name: String(values.name).trim(),
+    price: Math.round(Number(values.price) * 100) / 100,
+    serialNumber: String(values.serialNumber).trim(),
+    coinsAssigned: Number(values.coinsAssigned),
+    stock: Number(values.stock),
+    category: values.category,
+    manufacturer: String(values.manufacturer || '').trim(),
+    dosageForm: values.dosageForm,
+    strength: String(values.strength || '').trim(),
+    prescriptionRequired: Boolean(values.prescriptionRequired),
+  };
+};
+
+// --- Orders & Cart ---
+// firestore.rules checks every line item against the catalogue without loops, so it handles a fixed
+// number of distinct products per order. Keep in sync with hasValidLineItems() there.
+const MAX_ORDER_LINE_ITEMS = 8;
+
+// Orders placed before carts were added hold a single product and no quantity.
+const getOrderLineItems = (order) => order.items || [{
+  productId: order.productId,
+  productName: order.productName,
+  price: order.price,
+  quantity: 1,
+}];
+
+const describeOrderItems = (order) => getOrderLineItems(order)
+  .map(item => (item.quantity > 1 ? `${item.productName} × ${item.quantity}` : item.productName))
+  .join(', ');
+
+const getOrderSubtotal = (order) => (order.items ? order.subtotal : order.price);
+
+// Returns why a cart line cannot be ordered, or null. `cartItem` is { productId, quantity }.
+const getCartItemProblem = (cartItem, product) => {
+  if (!product || product.archived) return 'This product is no longer available.';
+  if (!Number.isInteger(cartItem.quantity) || cartItem.quantity < 1) return 'Quantity must be a whole number of at least 1.';
+  return null;
+};
+
+// Most units of a product any one pharmacy has on its shelf. A single pharmacy packs the whole order,
+// so shelves don't add up. `shelfStock` holds pharmacies/{uid}/stock docs.
+const getUnitsOnShelf = (shelfStock, productId) => shelfStock
+  .reduce((most, item) => (item.id === productId ? Math.max(most, item.quantity || 0) : most), 0);
+
+// Returns why no pharmacy could pack a customer's cart line from its shelf, or null
+const getShelfStockProblem = (cartItem, unitsOnShelf) => {
+  if (cartItem.quantity > unitsOnShelf) {
+    return unitsOnShelf > 0 ? `Only ${unitsOnShelf} left in stock.` : 'Out of stock.';
+  }
+  return null;
+};
+
+// Returns why a direct doctor purchase can't come out of the platform's stock, or null
+const getPlatformStockProblem = (cartItem, product) => {
+  if (typeof product.stock === 'number' && cartItem.quantity > product.stock) {
+    return product.stock > 0 ? `Only ${product.stock} left in stock.` : 'Out of stock.';
+  }
+  return null;
+};
+
+// Snapshots each product's name, price and coins onto the order so later catalogue edits don't change
+// it. Totals are summed in line order, the same way firestore.rules recomputes them.
+const buildOrderLineItems = (cartItems, products) => {
+  const items = cartItems.map(({ productId, quantity }) => {
+    const product = products.find(p => p.id === productId);
+    return {
+      productId: productId,
+      productName: product.name,
+      price: product.price,
+      coinsAssigned: product.coinsAssigned || 0,
+      prescriptionRequired: Boolean(product.prescriptionRequired),
+      quantity: quantity,
+    };
+  });
+  return {
+    items: items,
+    subtotal: items.reduce((sum, item) => sum + item.price * item.quantity, 0),
+    coinsTotal: items.reduce((sum, item) => sum + item.coinsAssigned * item.quantity, 0),
+  };
+};
+
+class InsufficientStockError extends Error {
+  constructor(shortages) {
+    super(`Not enough stock for this order: ${shortages.map(line => `${line.productName} (${line.available} of ${line.quantity})`).join(', ')}.`);
+    this.name = 'InsufficientStockError';
+    this.shortages = shortages;
+  }
+}
+
+// Platform stock leaves the catalogue when a doctor purchases directly. Reads each product inside
+// the transaction and returns a commit function that takes the order's quantities off it; throws
+// InsufficientStockError if another order got there first.
+// `lastStockOrderId` and `lastStockLineItem` let the security rules tie each decrement to a line of that order.
+const prepareStockDecrements = async (transaction, db, order, orderId) => {
+  const items = getOrderLineItems(order);
+  const refs = items.map(item => doc(db, `artifacts/${appId}/public/data/products`, item.productId));
+  const snaps = await Promise.all(refs.map(ref => transaction.get(ref)));
+  // Products deleted since, or added before stock was tracked, have nothing to decrement
+  const tracked = items
+    .map((item, index) => ({ item, index, stock: snaps[index].exists() ? snaps[index].data().stock : undefined }))
+    .filter(line => typeof line.stock === 'number');
+  const shortages = tracked
+    .filter(line => line.stock < line.item.quantity)
+    .map(line => ({ productName: line.item.productName, quantity: line.item.quantity, available: line.stock }));
+  if (shortages.length > 0) {
+    throw new InsufficientStockError(shortages);
+  }
+  return () => {
+    tracked.forEach(({ item, index }) => {
+      transaction.update(refs[index], {
+        stock: increment(-item.quantity),
+        lastStockOrderId: orderId,
+        lastStockLineItem: index,
+      });
+    });
+  };
+};
+
+// --- Pharmacy Fulfilment ---
+// New orders wait in a shared queue until an approved pharmacy accepts them, ticks off each line as
+// it is packed and hands the parcel to a salesperson with a pickup QR. Every pharmacy keeps its own
+// shelf counts under pharmacies/{uid}/stock/{productId}; these are the only stock customer orders
+// use, and packing an order takes its lines off that shelf. Queued orders carry only their line items
+// and city: the address and any uploaded prescription live in the order's private subcollection.
+const LOW_PHARMACY_STOCK = 5;
+
+const pharmacyStockPath = (pharmacyId) => `artifacts/${appId}/public/data/pharmacies/${pharmacyId}/stock`;
+
+// `packedItems` holds the indexes of the order's line items that have been ticked off
+const isOrderFullyPacked = (order) => {
+  const packedItems = order.packedItems || [];
+  return getOrderLineItems(order).every((item, index) => packedItems.includes(index));
+};
+
+// Lines of `order` the shelf cannot cover. `quantityOf(productId)` returns the units on hand.
+const getStockShortages = (order, quantityOf) => getOrderLineItems(order)
+  .map(item => ({ productName: item.productName, quantity: item.quantity, available: quantityOf(item.productId) }))
+  .filter(line => line.available < line.quantity);
+
+// Reads the pharmacy's shelf count for every line inside a Firestore transaction and returns a commit
+// function that takes the packed quantities off it. Throws InsufficientStockError if any line is short.
+const preparePharmacyStockDecrements = async (transaction, db, pharmacyId, order) => {
+  const items = getOrderLineItems(order);
+  const refs = items.map(item => doc(db, pharmacyStockPath(pharmacyId), item.productId));
+  const snaps = await Promise.all(refs.map(ref => transaction.get(ref)));
+  const onHand = Object.fromEntries(snaps.map(snap => [snap.id, snap.exists() ? snap.data().quantity : 0]));
+  const shortages = getStockShortages(order, productId => onHand[productId] || 0);
+  if (shortages.length > 0) {
+    throw new InsufficientStockError(shortages);
+  }
+  return () => {
+    items.forEach((item, index) => {
+      transaction.update(refs[index], { quantity: increment(-item.quantity), updatedAt: serverTimestamp() });
+    });
+  };
+};
+
+// --- Delivery Addresses ---
+// Customers keep an address book under users/{uid}/addresses. Checkout copies the chosen address to
+// orders/{orderId}/private/delivery, which only the customer, admins and the salesperson who takes
+// the order can read; the order itself only carries the city.
+const ADDRESS_FIELDS = ['label', 'recipientName', 'phone', 'line1', 'line2', 'city', 'landmark'];
+
+const orderDeliveryRef = (db, orderId) => doc(db, `artifacts/${appId}/public/data/orders/${orderId}/private`, 'delivery');
+
+const orderPrescriptionRef = (db, orderId) => doc(db, `artifacts/${appId}/public/data/orders/${orderId}/private`, 'prescription');
+
+const formatAddress = (address) => [address.line1, address.line2, address.landmark, address.city]
+  .filter(Boolean)
+  .join(', ');
+
+// Directions to the saved map pin when there is one, otherwise a search for the address text
+const getDirectionsUrl = (address) => {
+  const destination = address.location
+    ? `${address.location.lat},${address.location.lng}`
+    : formatAddress(address);
+  return `https://www.google.com/maps/dir/?api=1&destination=${encodeURIComponent(destination)}`;
+};
+
+// Resolves with { lat, lng } from the browser, rounded to about 10 m
+const getCurrentLocation = () => new Promise((resolve, reject) => {
+  if (!navigator.geolocation) {
+    reject(new Error('Location is not available in this browser.'));
+    return;
+  }
+  navigator.geolocation.getCurrentPosition(
+    ({ coords }) => resolve({
+      lat: Math.round(coords.latitude * 10000) / 10000,
+      lng: Math.round(coords.longitude * 10000) / 10000,
+    }),
+    (error) => reject(new Error(error.message || 'Could not get your location.')),
+    { enableHighAccuracy: true, timeout: 15000 }
+  );
+});
+
+// --- Appointment Scheduling ---
+// Doctors publish one window per weekday and a slot length on their directory entry:
+//   availability: { slotMinutes: 30, days: { '1': { start: '09:00', end: '13:00' }, ... } }
+// with days keyed by Date#getDay() and times in clinic time (PKT), whatever the viewer's time zone.
+// Time is cut into fixed SLOT_GRID_MINUTES cells, and a booking claims every cell it covers as
+// doctorSlots/{doctorId}_{cellStartMillis} in the same transaction as the appointment, so two
+// appointments can never overlap even after the doctor changes their slot length. The appointment's
+// slotId is its first cell.
+const SLOT_GRID_MINUTES = 15;
+const SLOT_LENGTH_OPTIONS = [15, 30, 45, 60];
+const DEFAULT_SLOT_MINUTES = 30;
+const BOOKING_WINDOW_DAYS = 14;
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const SCHEDULE_TIME_ZONE = 'Asia/Karachi';
+const SCHEDULE_UTC_OFFSET_HOURS = 5;
+
+const getSlotId = (doctorId, start) => `${doctorId}_${start.getTime()}`;
+
+// Slot lengths saved before the grid (20 minutes) round up to the next whole number of cells
+const getSlotMinutes = (availability) =>
+  Math.ceil((availability?.slotMinutes || DEFAULT_SLOT_MINUTES) / SLOT_GRID_MINUTES) * SLOT_GRID_MINUTES;
+
+// IDs of the grid cells an appointment of `slotMinutes` starting at `start` occupies
+const getSlotCellIds = (doctorId, start, slotMinutes) => {
+  const cellIds = [];
+  for (let minute = 0; minute < slotMinutes; minute += SLOT_GRID_MINUTES) {
+    cellIds.push(getSlotId(doctorId, new Date(start.getTime() + minute * 60 * 1000)));
+  }
+  return cellIds;
+};
+
+const minutesFromTimeOfDay = (value) => {
+  const [hours, minutes] = value.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// Start times of every slot in the doctor's availability over the booking window whose cells are
+// all free. Windows are walked in clinic time, with starts rounded up onto the grid.
+const getOpenSlots = (doctor, takenSlotIds, now = new Date()) => {
+  const availability = doctor?.availability;
+  if (!availability) return [];
+  const slotMinutes = getSlotMinutes(availability);
+  const clinicNow = new Date(now.getTime() + SCHEDULE_UTC_OFFSET_HOURS * 60 * 60 * 1000);
+  const slots = [];
+  for (let dayOffset = 0; dayOffset < BOOKING_WINDOW_DAYS; dayOffset++) {
+    // Midnight clinic time, as a UTC instant
+    const dayStart = Date.UTC(clinicNow.getUTCFullYear(), clinicNow.getUTCMonth(), clinicNow.getUTCDate() + dayOffset)
+      - SCHEDULE_UTC_OFFSET_HOURS * 60 * 60 * 1000;
+    const window = availability.days?.[String(new Date(dayStart + SCHEDULE_UTC_OFFSET_HOURS * 60 * 60 * 1000).getUTCDay())];
+    if (!window) continue;
+    const end = minutesFromTimeOfDay(window.end);
+    const firstStart = Math.ceil(minutesFromTimeOfDay(window.start) / SLOT_GRID_MINUTES) * SLOT_GRID_MINUTES;
+    for (let minute = firstStart; minute + slotMinutes <= end; minute += slotMinutes) {
+      const start = new Date(dayStart + minute * 60 * 1000);
+      if (start > now && getSlotCellIds(doctor.id, start, slotMinutes).every(cellId => !takenSlotIds.has(cellId))) {
+        slots.push(start);
+      }
+    }
+  }
+  return slots;
+};
+
+// Coins when a checkup ends without taking place. Only completed checkups pay the salesperson the
+// checkup fee; if one was already on the way when the patient cancelled or didn't show up, the app
+// pays them this call-out fee instead. Declines, releases and cancellations before a salesperson
+// is assigned move no coins.
+const CHECKUP_CALLOUT_COINS = 10;
+
+// Appointments in these statuses are over and shown in the history views
+const CLOSED_OFFER_STATUSES = [OFFER_STATUS.COMPLETED, OFFER_STATUS.DECLINED, OFFER_STATUS.CANCELLED, OFFER_STATUS.NO_SHOW];
+
+const describeAppointmentOutcome = (offer) => {
+  switch (offer.status) {
+    case OFFER_STATUS.COMPLETED:
+      return 'Checkup completed';
+    case OFFER_STATUS.DECLINED:
+      return `Declined by the doctor: ${offer.declineReason}`;
+    case OFFER_STATUS.CANCELLED:
+      return `Cancelled by the patient: ${offer.cancellationReason}`;
+    case OFFER_STATUS.NO_SHOW:
+      return 'Patient did not show up';
+    default:
+      return formatStatus(offer.status);
+  }
+};
+
+// Reads for the call-out fee owed on `offer` (its data before this transaction). Resolves to a commit
+// function, or null when no salesperson was on the way.
+const prepareCheckupCallout = async (transaction, db, offer, offerId, initiatedBy, description) => {
+  if (offer.status !== OFFER_STATUS.ASSIGNED_TO_SALESPERSON || !offer.salespersonId) return null;
+  return prepareCoinMovement(transaction, db, {
+    type: 'checkup_callout',
+    amount: CHECKUP_CALLOUT_COINS,
+    debitAccountId: SYSTEM_ACCOUNTS.PLATFORM,
+    creditAccountId: offer.salespersonId,
+    initiatedBy: initiatedBy,
+    description: description,
+    references: { patientOfferId: offerId },
+  });
+};
+
+const formatSlot = (date) => date.toLocaleString([], { weekday: 'short', day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit', timeZone: SCHEDULE_TIME_ZONE });
+
+const slotCellRef = (db, cellId) => doc(db, `artifacts/${appId}/public/data/doctorSlots`, cellId);
+
+// Reads the slot's cells inside a transaction and returns a commit that claims the ones the
+// appointment doesn't already hold. Throws if another appointment holds any of them; call before
+// any transaction writes.
+const prepareSlotClaim = async (transaction, db, doctorId, start, slotMinutes, patientOfferId) => {
+  const cellIds = getSlotCellIds(doctorId, start, slotMinutes);
+  const cellSnaps = await Promise.all(cellIds.map(cellId => transaction.get(slotCellRef(db, cellId))));
+  if (cellSnaps.some(snap => snap.exists() && snap.data().patientOfferId !== patientOfferId)) {
+    throw new StateTransitionError(`The ${formatSlot(start)} slot has just been booked. Please pick another time.`);
+  }
+  return () => cellSnaps.forEach((snap, index) => {
+    if (snap.exists()) return;
+    transaction.set(snap.ref, {
+      doctorId: doctorId,
+      start: Timestamp.fromDate(new Date(start.getTime() + index * SLOT_GRID_MINUTES * 60 * 1000)),
+      patientOfferId: patientOfferId,
+    });
+  });
+};
+
+// Reads the cells held by `offer` (its data before this transaction) and returns a commit that frees
+// them, except `keepCellIds` when it is moving onto overlapping cells. Call before any transaction writes.
+const prepareSlotRelease = async (transaction, db, offer, offerId, keepCellIds = []) => {
+  const cellIds = offer.scheduledFor && offer.slotMinutes
+    ? getSlotCellIds(offer.doctorId, offer.scheduledFor.toDate(), offer.slotMinutes)
+    : [offer.slotId].filter(Boolean);
+  const cellSnaps = await Promise.all(cellIds
+    .filter(cellId => !keepCellIds.includes(cellId))
+    .map(cellId => transaction.get(slotCellRef(db, cellId))));
+  return () => cellSnaps.forEach((snap) => {
+    if (snap.exists() && snap.data().patientOfferId === offerId) transaction.delete(snap.ref);
+  });
+};
+
+// Open slots grouped by day, as buttons
+const SlotPicker = ({ slots, selectedSlot, onSelect }) => {
+  if (slots.length === 0) {
+    return <p className="text-sm text-gray-500">No open slots in the next {BOOKING_WINDOW_DAYS} days.</p>;
+  }
+  const days = [];
+  slots.forEach((slot) => {
+    const label = slot.toLocaleDateString([], { weekday: 'long', day: 'numeric', month: 'short', timeZone: SCHEDULE_TIME_ZONE });
+    if (days.length === 0 || days[days.length - 1].label !== label) days.push({ label, slots: [] });
+    days[days.length - 1].slots.push(slot);
+  });
+  return (
+    <div className="space-y-3 max-h-64 overflow-y-auto">
+      {days.map((day) => (
+        <div key={day.label}>
+          <p className="text-sm font-semibold text-gray-700 mb-1">{day.label}</p>
+          <div className="flex flex-wrap gap-2">
+            {day.slots.map((slot) => (
+              <button
+                key={slot.getTime()}
+                type="button"
+                onClick={() => onSelect(slot)}
+                className={`px-2 py-1 rounded text-xs border ${selectedSlot?.getTime() === slot.getTime() ? 'bg-blue-600 text-white border-blue-600' : 'bg-white text-gray-700 hover:bg-blue-50'}`}
+              >
+                {slot.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', timeZone: SCHEDULE_TIME_ZONE })}
+              </button>
+            ))}
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+// --- Medical Records ---
+// Each patient's record lives under public/data/medicalRecords/{patientId}: a `visits` document per
+// checkup, keyed by its patientOffer ID, and a `careTeam` document per doctor allowed to read them.
+// A doctor joins the care team when they accept a checkup and leaves it again if that checkup is
+// declined, cancelled or missed; patients can also remove them at any time.
+const VITAL_SIGNS = [
+  { field: 'bloodPressure', label: 'Blood Pressure', unit: 'mmHg' },
+  { field: 'pulse', label: 'Pulse', unit: 'bpm' },
+  { field: 'temperature', label: 'Temperature', unit: '°C' },
+  { field: 'weight', label: 'Weight', unit: 'kg' },
+];
+
+// Doctors write visit notes once they have accepted the checkup, and may amend them afterwards
+const VISIT_NOTE_STATUSES = [OFFER_STATUS.ACCEPTED, OFFER_STATUS.ASSIGNED_TO_SALESPERSON, OFFER_STATUS.COMPLETED];
+
+const careTeamRef = (db, patientId, doctorId) =>
+  doc(db, `artifacts/${appId}/public/data/medicalRecords/${patientId}/careTeam`, doctorId);
+
+// Shares the patient's record with the doctor of `offer` (its data before this transaction) as the
+// doctor accepts it
+const grantCareTeamAccess = (transaction, db, offer, offerId) => {
+  transaction.set(careTeamRef(db, offer.patientId, offer.doctorId), {
+    doctorId: offer.doctorId,
+    doctorName: offer.doctorName,
+    patientOfferId: offerId,
+    addedAt: serverTimestamp(),
+  });
+};
+
+// Reads the doctor's care team entry inside a transaction and returns a commit that removes it when
+// it was granted for this checkup. Call before any transaction writes.
+const prepareCareTeamRevoke = async (transaction, db, offer, offerId) => {
+  const memberRef = careTeamRef(db, offer.patientId, offer.doctorId);
+  const memberSnap = await transaction.get(memberRef);
+  return () => {
+    if (memberSnap.exists() && memberSnap.data().patientOfferId === offerId) transaction.delete(memberRef);
+  };
+};
+
+const formatVitals = (vitals) => VITAL_SIGNS
+  .filter(({ field }) => vitals?.[field] !== undefined && vitals?.[field] !== null)
+  .map(({ field, label, unit }) => `${label} ${vitals[field]} ${unit}`)
+  .join(' · ');
+
+// Read-only list of visit notes, newest first
+const MedicalHistory = ({ visits }) => {
+  if (visits.length === 0) return <p className="text-gray-500">No visits recorded yet.</p>;
+  return (
+    <ul className="space-y-3">
+      {[...visits]
+        .sort((a, b) => (b.visitDate?.toMillis() || 0) - (a.visitDate?.toMillis() || 0))
+        .map((visit) => (
+          <li key={visit.id} className="p-3 border rounded-lg bg-white text-sm">
+            <div className="flex justify-between items-center">
+              <p className="font-semibold text-gray-800">{visit.diagnosis}</p>
+              <span className="text-xs text-gray-500">{visit.visitDate?.toDate().toLocaleDateString()}</span>
+            </div>
+            <p className="text-gray-600">Dr. {visit.doctorName}{visit.specialty ? ` (${visit.specialty})` : ''} — {visit.reason}</p>
+            {formatVitals(visit.vitals) && <p className="text-gray-600 mt-1">{formatVitals(visit.vitals)}</p>}
+            {visit.notes && <p className="text-gray-700 mt-1 whitespace-pre-line">{visit.notes}</p>}
+            {visit.prescribedProducts?.length > 0 && (
+              <ul className="mt-1 text-gray-700 list-disc list-inside">
+                {visit.prescribedProducts.map((item) => (
+                  <li key={item.productId}>
+                    {item.productName} × {item.quantity}
+                    {item.instructions && <span className="text-gray-500"> — {item.instructions}</span>}
+                  </li>
+                ))}
+              </ul>
+            )}
+          </li>
+        ))}
+    </ul>
+  );
+};
+
+// --- Checkup Fees ---
+// The consultation fee is what the patient pays for a checkup; the salesperson keeps their commission
+// out of it and the doctor gets the rest. A doctor's own fees (set by an admin on their directory entry)
+// win over the defaults for their specialty in `public/data/settings/checkupFees`, which win over these.
+const DEFAULT_CHECKUP_FEES = { consultationFee: 500, salespersonCommission: 50 };
+
+const DEFAULT_CHECKUP_FEE_SETTINGS = {
+  defaultFees: DEFAULT_CHECKUP_FEES,
+  specialtyFees: {}, // { [specialty]: { consultationFee, salespersonCommission } }
+};
+
+// Appointments requested before fees were configurable paid the salesperson a flat 50 coins
+const LEGACY_CHECKUP_FEES = { consultationFee: 50, salespersonCommission: 50 };
+
+const getCheckupFees = (doctor, feeSettings) =>
+  doctor?.checkupFees
+  || feeSettings.specialtyFees?.[doctor?.specialty]
+  || feeSettings.defaultFees
+  || DEFAULT_CHECKUP_FEES;
+
+// Fees fixed on the appointment when it was requested
+const getAppointmentFees = (offer) => ('consultationFee' in offer
+  ? { consultationFee: offer.consultationFee, salespersonCommission: offer.salespersonCommission }
+  : LEGACY_CHECKUP_FEES);
+
+// Field errors for a fee form, including the commission fitting inside the fee
+const validateCheckupFees = (values) => {
+  const fieldErrors = validateFields('checkupFees', values);
+  if (Object.keys(fieldErrors).length === 0 && Number(values.salespersonCommission) > Number(values.consultationFee)) {
+    fieldErrors.salespersonCommission = 'Commission cannot be more than the consultation fee.';
+  }
+  return fieldErrors;
+};
+
+// --- Prescriptions ---
+// Orders containing prescription-only products need either an uploaded prescription, which an admin
+// or pharmacy reviews before the order is released, or an e-prescription issued by a doctor. An
+// e-prescription covers the prescribed quantities for a single order.
+const PRESCRIPTION_MAX_FILE_BYTES = 5 * 1024 * 1024;
+const PRESCRIPTION_FILE_TYPES = ['image/jpeg', 'image/png', 'application/pdf'];
+const E_PRESCRIPTION_VALID_DAYS = 30;
+
+const validatePrescriptionFile = (file) => {
+  if (!PRESCRIPTION_FILE_TYPES.includes(file.type)) return 'Upload the prescription as a JPG, PNG or PDF file.';
+  if (file.size > PRESCRIPTION_MAX_FILE_BYTES) return 'Prescription files must be 5 MB or smaller.';
+  return null;
+};
+
+const isEPrescriptionValid = (ePrescription) => Boolean(ePrescription.validUntil) && ePrescription.validUntil.toDate() > new Date();
+
+const isEPrescriptionUsable = (ePrescription) => isEPrescriptionValid(ePrescription) && !ePrescription.usedByOrderId;
+
+// Names of the prescription-only products in `lines` ({ productId, product, quantity }) that the
+// e-prescription doesn't cover, or covers for fewer units than ordered
+const getUncoveredPrescriptionItems = (lines, ePrescription) => lines
+  .filter(line => {
+    if (!line.product?.prescriptionRequired) return false;
+    const prescribed = (ePrescription?.items || []).find(item => item.productId === line.productId);
+    return !prescribed || line.quantity > prescribed.quantity;
+  })
+  .map(line => line.product.name);
+
+// --- Roles ---
+// Anyone may open these dashboards, but they only work once an admin approves the user's application
+// and adds the role to the profile's `grantedRoles`. Firestore rules enforce the same split.
+const APPROVAL_REQUIRED_ROLES = ['institution', 'salesperson', 'doctor', 'pharmacy'];
+
+// Applications are stored under the applicant's UID in these collections
+const ROLE_REQUEST_COLLECTIONS = {
+  salesperson: 'salespersonRequests',
+  institution: 'institutionRequests',
+  doctor: 'doctorRequests',
+  pharmacy: 'pharmacyRequests',
+};
+
+const isRoleApproved = (role, grantedRoles) =>
+  !APPROVAL_REQUIRED_ROLES.includes(role) || (grantedRoles || []).includes(role);
+
+// --- Coin Ledger ---
+// Every coin movement is a double-entry record in `public/data/ledger`: `amount` leaves
+// `debitAccountId` and arrives at `creditAccountId`. User accounts are user IDs whose cached
+// balance lives in the profile's `coins` field; system accounts (prefixed `system:`) only exist in
+// the ledger. The balance update, the ledger entry and the user-facing `transactions` history are
+// always written in the same Firestore transaction, so they cannot drift apart.
+const SYSTEM_ACCOUNTS = {
+  PLATFORM: 'system:platform', // Issues coins earned for deliveries and call-outs
+  CHECKUP_CLEARING: 'system:checkup_clearing', // A patient's consultation fee until it is split between salesperson and doctor
+  WITHDRAWAL_HOLD: 'system:withdrawal_hold', // Coins reserved by a pending withdrawal request
+  PAYOUTS_APPROVED: 'system:payouts_approved', // Approved withdrawals awaiting bank transfer
+  PAID_OUT: 'system:paid_out', // Coins settled to a bank account and removed from circulation
+};
+
+const isSystemAccount = (accountId) => accountId.startsWith('system:');
+
+// Customers earn this share of an order's price back as wallet coins once it is delivered.
+const CUSTOMER_PURCHASE_REWARD_PERCENT = 5;
+const calculatePurchaseReward = (price) => Math.floor(((price || 0) * CUSTOMER_PURCHASE_REWARD_PERCENT) / 100);
+
+const userProfileRef = (db, uid) => doc(db, `artifacts/${appId}/users/${uid}/profile`, uid);
+
+class InsufficientFundsError extends Error {
+  constructor(available, requested) {
+    super(`Insufficient coin balance: ${available} available, ${requested} requested.`);
+    this.name = 'InsufficientFundsError';
+    this.available = available;
+    this.requested = requested;
+  }
+}
+
+// Reads whatever a coin movement needs inside a Firestore transaction (the debited balance) and
+// returns a commit function that writes the balances, the ledger entry and the history record.
+// Like prepareTransition, call every prepare* before any commit.
+const prepareCoinMovement = async (transaction, db, {
+  type,
+  amount,
+  debitAccountId,
+  creditAccountId,
+  initiatedBy,
+  description,
+  references = {},
+}) => {
+  assertValid('coinMovement', { amount });
+  if (!Number.isInteger(amount)) {
+    throw new ValidationError({ amount: `Coin amount must be a whole number (got ${amount}).` });
+  }
+  if (debitAccountId === creditAccountId) {
+    throw new Error("Cannot move coins to the same account.");
+  }
+
+  const debitRef = isSystemAccount(debitAccountId) ? null : userProfileRef(db, debitAccountId);
+  const creditRef = isSystemAccount(creditAccountId) ? null : userProfileRef(db, creditAccountId);
+
+  if (debitRef) {
+    const debitSnap = await transaction.get(debitRef);
+    const available = (debitSnap.exists() && debitSnap.data().coins) || 0;
+    if (available < amount) {
+      throw new InsufficientFundsError(available, amount);
+    }
+  }
+
+  return () => {
+    const entryRef = doc(collection(db, `artifacts/${appId}/public/data/ledger`));
+    transaction.set(entryRef, {
+      type,
+      amount,
+      debitAccountId,
+      creditAccountId,
+      initiatedBy,
+      description,
+      ...references,
+      createdAt: serverTimestamp(),
+    });
+
+    if (debitRef) {
+      transaction.update(debitRef, { coins: increment(-amount), lastLedgerEntryId: entryRef.id });
+      transaction.set(doc(collection(db, `artifacts/${appId}/users/${debitAccountId}/transactions`)), {
+        type,
+        amount: -amount,
+        sourceId: debitAccountId,
+        targetId: creditAccountId,
+        ledgerEntryId: entryRef.id,
+        ...references,
+        date: serverTimestamp(),
+        description,
+      });
+    }
+    if (creditRef) {
+      transaction.set(creditRef, { coins: increment(amount), lastLedgerEntryId: entryRef.id }, { merge: true });
+      transaction.set(doc(collection(db, `artifacts/${appId}/users/${creditAccountId}/transactions`)), {
+        type,
+        amount,
+        sourceId: initiatedBy,
+        targetId: creditAccountId,
+        ledgerEntryId: entryRef.id,
+        ...references,
+        date: serverTimestamp(),
+        description,
+      });
+    }
+    return entryRef.id;
+  };
+};
+
+// Moves coins atomically when no other documents are involved.
+const moveCoins = (db, movement) =>
+  runTransaction(db, async (transaction) => {
+    const commit = await prepareCoinMovement(transaction, db, movement);
+    return commit();
+  });
+
+// Derives an account's balance from the ledger alone: everything credited minus everything debited.
+const getLedgerBalance = async (db, accountId) => {
+  const ledgerRef = collection(db, `artifacts/${appId}/public/data/ledger`);
+  const [credits, debits] = await Promise.all([
+    getDocs(query(ledgerRef, where('creditAccountId', '==', accountId))),
+    getDocs(query(ledgerRef, where('debitAccountId', '==', accountId))),
+  ]);
+  const sum = (snapshot) => snapshot.docs.reduce((total, entry) => total + (entry.data().amount || 0), 0);
+  return sum(credits) - sum(debits);
+};
+
+// Compares the cached profile balance with the ledger-derived balance.
+const reconcileAccount = async (db, accountId) => {
+  const [ledgerBalance, profileSnap] = await Promise.all([
+    getLedgerBalance(db, accountId),
+    getDoc(userProfileRef(db, accountId)),
+  ]);
+  const storedBalance = (profileSnap.exists() && profileSnap.data().coins) || 0;
+  return { accountId, ledgerBalance, storedBalance, difference: storedBalance - ledgerBalance };
+};
+
+// Resets the cached profile balance to the ledger-derived balance.
+const adoptLedgerBalance = async (db, accountId, adminId) => {
+  const ledgerBalance = await getLedgerBalance(db, accountId);
+  await updateDoc(userProfileRef(db, accountId), {
+    coins: ledgerBalance,
+    reconciledAt: serverTimestamp(),
+    reconciledBy: adminId,
+  });
+  return ledgerBalance;
+};
+
+// Records an opening-balance entry so the ledger matches a balance that predates the ledger.
+// Only the ledger is written; the cached profile balance is already correct.
+const recordOpeningBalance = async (db, accountId, difference, adminId) => {
+  if (difference === 0) return null;
+  const entryRef = doc(collection(db, `artifacts/${appId}/public/data/ledger`));
+  await setDoc(entryRef, {
+    type: 'opening_balance',
+    amount: Math.abs(difference),
+    debitAccountId: difference > 0 ? SYSTEM_ACCOUNTS.PLATFORM : accountId,
+    creditAccountId: difference > 0 ? accountId : SYSTEM_ACCOUNTS.PLATFORM,
+    initiatedBy: adminId,
+    description: 'Opening balance recorded during reconciliation',
+    createdAt: serverTimestamp(),
+  });
+  return entryRef.id;
+};
+
+// --- Institution Withdrawals ---
+// Institutions may file withdrawal requests only inside the monthly window: from the 1st of the
+// month through WITHDRAWAL_WINDOW_LAST_DAY. Requests are then paid out by an admin.
+// The window follows Pakistan Standard Time so the client agrees with firestore.rules.
+const WITHDRAWAL_WINDOW_LAST_DAY = 1;
+const WITHDRAWAL_WINDOW_UTC_OFFSET_HOURS = 5;
+
+const isWithdrawalWindowOpen = (date = new Date()) => (
+  new Date(date.getTime() + WITHDRAWAL_WINDOW_UTC_OFFSET_HOURS * 60 * 60 * 1000).getUTCDate() <= WITHDRAWAL_WINDOW_LAST_DAY
+);
+
+const getNextWithdrawalDate = () => {
+  const today = new Date();
+  let nextMonth = today.getMonth() + 1;
+  let year = today.getFullYear();
+
+  if (nextMonth > 11) { // If next month is January of next year
+    nextMonth = 0;
+    year++;
+  }
+
+  const firstDayOfNextMonth = new Date(year, nextMonth, 1);
+  return firstDayOfNextMonth.toLocaleDateString();
+};
+
+// --- Salesperson Payout Cycle ---
+// Earnings are settled in statements covering one payout cycle. Admins configure the cycle in
+// `public/data/settings/payoutCycle`; these defaults apply until they do.
+const SALESPERSON_EARNING_TYPES = ['coin_transfer', 'checkup_payment', 'checkup_callout'];
+
+const DEFAULT_PAYOUT_SETTINGS = {
+  cycleDays: 14,
+  coinValue: 1, // PKR paid out per coin
+  serviceFeePercent: 0, // Deducted from the gross amount before payout
+  lastStatementPeriodEnd: null,
+};
+
+// Payouts are made in Pakistani rupees
+const formatPayoutAmount = (amount) => `PKR ${(amount ?? 0).toFixed(2)}`;
+
+const getNextStatementDate = (settings) => {
+  if (!settings.lastStatementPeriodEnd) return new Date();
+  const next = settings.lastStatementPeriodEnd.toDate();
+  next.setDate(next.getDate() + settings.cycleDays);
+  return next;
+};
+
+// Groups the earning ledger entries of one period into a statement per salesperson.
+const buildSalespersonStatements = (ledgerEntries, settings) => {
+  const bySalesperson = {};
+  ledgerEntries.forEach((entry) => {
+    const data = entry.data();
+    if (!bySalesperson[data.creditAccountId]) bySalesperson[data.creditAccountId] = [];
+    bySalesperson[data.creditAccountId].push({
+      ledgerEntryId: entry.id,
+      type: data.type,
+      amount: data.amount,
+      orderId: data.orderId || null,
+      patientOfferId: data.patientOfferId || null,
+      description: data.description,
+    });
+  });
+
+  return Object.entries(bySalesperson).map(([salespersonId, entries]) => {
+    const totalCoins = entries.reduce((total, entry) => total + entry.amount, 0);
+    const grossPayable = totalCoins * settings.coinValue;
+    const serviceFee = Math.round(grossPayable * settings.serviceFeePercent) / 100;
+    return {
+      salespersonId,
+      entries,
+      totalCoins,
+      coinValue: settings.coinValue,
+      grossPayable,
+      serviceFee,
+      netPayable: grossPayable - serviceFee,
+    };
+  });
+};
+
+// --- Legacy Order Migration ---
+// Orders used to live under `users/{uid}/orders`. The canonical store is now `public/data/orders`,
+// keyed by order ID. These helpers copy legacy documents across (keeping their IDs) and flag the
+// originals so they are never migrated twice.
+const LEGACY_ORDER_MIGRATION_BATCH_SIZE = 200; // Two writes per order keeps each batch under Firestore's 500 limit
+
+const migrateLegacyOrderDocs = async (db, legacyDocs) => {
+  const pending = legacyDocs.filter(legacyDoc => !legacyDoc.data().migratedToCentralStore);
+  for (let i = 0; i < pending.length; i += LEGACY_ORDER_MIGRATION_BATCH_SIZE) {
+    const batch = writeBatch(db);
+    pending.slice(i, i + LEGACY_ORDER_MIGRATION_BATCH_SIZE).forEach((legacyDoc) => {
+      const data = legacyDoc.data();
+      const ownerId = legacyDoc.ref.parent.parent.id;
+      batch.set(doc(db, `artifacts/${appId}/public/data/orders`, legacyDoc.id), {
+        ...data,
+        orderId: legacyDoc.id,
+        customerId: data.customerId || ownerId,
+        doctorId: data.doctorId || (data.status === ORDER_STATUS.PURCHASED_BY_DOCTOR ? ownerId : null),
+        salespersonId: data.salespersonId || null,
+        migratedFrom: legacyDoc.ref.path,
+      }, { merge: true });
+      batch.update(legacyDoc.ref, {
+        migratedToCentralStore: true,
+        migratedAt: serverTimestamp(),
+      });
+    });
+    await batch.commit();
+  }
+  return pending.length;
+};
+
+// Migrates a single user's legacy orders. Safe to call on every sign-in.
+const migrateLegacyOrdersForUser = async (db, uid) => {
+  const snapshot = await getDocs(collection(db, `artifacts/${appId}/users/${uid}/orders`));
+  return migrateLegacyOrderDocs(db, snapshot.docs);
+};
+
+// Migrates every user's legacy orders for this app (admin only).
+const migrateAllLegacyOrders = async (db) => {
+  const snapshot = await getDocs(collectionGroup(db, 'orders'));
+  const legacyDocs = snapshot.docs.filter(orderDoc => orderDoc.ref.path.startsWith(`artifacts/${appId}/users/`));
+  return migrateLegacyOrderDocs(db, legacyDocs);
+};
+
+const QRCodeDisplay = ({ content, size = 192 }) => {
+  if (!content) return null;
+  return (
+    <div className="p-4 bg-white rounded-lg shadow-md flex flex-col items-center justify-center">
+      <p className="text-sm text-gray-600 mb-2">Scan this QR Code:</p>
+      <div className="p-2 bg-white rounded-md border border-gray-200">
+        <QRCodeSVG value={content} size={size} level="M" includeMargin />
+      </div>
+    </div>
+  );
+};
+
+// Decodes a QR code from the pixels currently drawn on a canvas. Returns the text or null.
+const decodeQrFromCanvas = (canvas) => {
+  const context = canvas.getContext('2d', { willReadFrequently: true });
+  const imageData = context.getImageData(0, 0, canvas.width, canvas.height);
+  const code = jsQR(imageData.data, imageData.width, imageData.height, { inversionAttempts: 'attemptBoth' });
+  return code ? code.data : null;
+};
+
+// Reusable QR scanner: decodes from the device camera or from an uploaded image
+// and hands the decoded text to onScan. Falls back to image upload when no camera is available.
+const QRScanner = ({ onScan, buttonLabel = 'Scan QR Code' }) => {
+  const [scanning, setScanning] = useState(false);
+  const [scanError, setScanError] = useState('');
+  const videoRef = useRef(null);
+  const canvasRef = useRef(null);
+  const streamRef = useRef(null);
+  const frameRef = useRef(null);
+
+  const stopCamera = () => {
+    if (frameRef.current) cancelAnimationFrame(frameRef.current);
+    frameRef.current = null;
+    if (streamRef.current) {
+      streamRef.current.getTracks().forEach(track => track.stop());
+      streamRef.current = null;
+    }
+    setScanning(false);
+  };
+
+  // Always release the camera when the scanner unmounts
+  useEffect(() => stopCamera, []);
+
+  const scanFrame = () => {
+    const video = videoRef.current;
+    const canvas = canvasRef.current;
+    if (!video || !canvas || !streamRef.current) return;
+
+    if (video.readyState === video.HAVE_ENOUGH_DATA) {
+      canvas.width = video.videoWidth;
+      canvas.height = video.videoHeight;
+      canvas.getContext('2d', { willReadFrequently: true }).drawImage(video, 0, 0, canvas.width, canvas.height);
+      const result = decodeQrFromCanvas(canvas);
+      if (result) {
+        stopCamera();
+        onScan(result);
+        return;
+      }
+    }
+    frameRef.current = requestAnimationFrame(scanFrame);
+  };
+
+  const startCamera = async () => {
+    setScanError('');
+    if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
+      setScanError('Camera is not available on this device. Upload a photo of the QR code instead.');
+      return;
+    }
+    try {
+      const stream = await navigator.mediaDevices.getUserMedia({ video: { facingMode: 'environment' } });
+      streamRef.current = stream;
+      setScanning(true);
+      videoRef.current.srcObject = stream;
+      await videoRef.current.play();
+      frameRef.current = requestAnimationFrame(scanFrame);
+    } catch (error) {
+      console.error("Error starting camera:", error);
+      stopCamera();
+      setScanError(`Could not access camera: ${error.message}`);
+    }
+  };
+
+  const handleImageUpload = (e) => {
+    const file = e.target.files && e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    setScanError('');
+
+    const image = new Image();
+    const objectUrl = URL.createObjectURL(file);
+    image.onload = () => {
+      const canvas = canvasRef.current;
+      canvas.width = image.naturalWidth;
+      canvas.height = image.naturalHeight;
+      canvas.getContext('2d', { willReadFrequently: true }).drawImage(image, 0, 0);
+      URL.revokeObjectURL(objectUrl);
+      const result = decodeQrFromCanvas(canvas);
+      if (result) {
+        onScan(result);
+      } else {
+        setScanError('No QR code found in the selected image.');
+      }
+    };
+    image.onerror = () => {
+      URL.revokeObjectURL(objectUrl);
+      setScanError('Could not read the selected image.');
+    };
+    image.src = objectUrl;
+  };
+
+  return (
+    <div className="mb-4">
+      <div className={`${scanning ? 'block' : 'hidden'} mb-3 rounded-lg overflow-hidden bg-black`}>
+        <video ref={videoRef} className="w-full max-h-72 object-cover" playsInline muted />
+      </div>
+      <canvas ref={canvasRef} className="hidden" />
+      <div className="flex flex-wrap gap-2">
+        {scanning ? (
+          <button
+            type="button"
+            onClick={stopCamera}
+            className="bg-gray-500 hover:bg-gray-600 text-white font-bold py-2 px-4 rounded-lg shadow-md transition-all duration-300 font-inter"
+          >
+            Stop Camera
+          </button>
+        ) : (
+          <button
+            type="button"
+            onClick={startCamera}
+            className="bg-indigo-600 hover:bg-indigo-700 text-white font-bold py-2 px-4 rounded-lg shadow-md transition-all duration-300 font-inter"
+          >
+            {buttonLabel}
+          </button>
+        )}
+        <label className="bg-white border border-indigo-600 text-indigo-700 hover:bg-indigo-50 font-bold py-2 px-4 rounded-lg shadow-md transition-all duration-300 cursor-pointer font-inter">
+          Upload QR Image
+          <input type="file" accept="image/*" capture="environment" onChange={handleImageUpload} className="hidden" />
+        </label>
+      </div>
+      {scanError && <p className="mt-2 text-sm text-red-600">{scanError}</p>}
+    </div>
+  );
+};
+
+// --- Standalone Form Controls ---
+// Used by screens that live outside App (so their in-progress state survives App re-renders).
+const formInputClassName = "shadow appearance-none border rounded-lg w-full py-2 px-3 text-gray-700 leading-tight focus:outline-none focus:ring-2 focus:ring-blue-400 transition-all duration-200 font-inter";
+const formButtonClassName = "w-full bg-blue-600 hover:bg-blue-700 text-white font-bold py-2 px-4 rounded-lg shadow-md transition-all duration-300 focus:outline-none focus:ring-2 focus:ring-blue-400 focus:ring-offset-2 font-inter";
+
+const FormInput = ({ label, type = 'text', value, onChange, placeholder, required = false, error }) => (
+  <div className="mb-4">
+    <label className="block text-gray-700 text-sm font-bold mb-2 font-inter">{label}</label>
+    <input type={type} value={value} onChange={onChange} placeholder={placeholder} required={required} className={`${formInputClassName} ${error ? 'border-red-500' : ''}`} />
+    {error && <p className="mt-1 text-xs text-red-600">{error}</p>}
+  </div>
+);
+
+// --- Authentication Screens ---
+// These live outside App so their in-progress state (e.g. a pending phone OTP) survives App re-renders.
+
+// Friendlier wording for the Firebase Auth errors users actually hit
+const AUTH_ERROR_MESSAGES = {
+  'auth/invalid-email': "That email address is not valid.",
+  'auth/invalid-credential': "Incorrect email or password.",
+  'auth/wrong-password': "Incorrect email or password.",
+  'auth/user-not-found': "No account exists for that email.",
+  'auth/email-already-in-use': "An account already exists for that email.",
+  'auth/weak-password': "Password must be at least 6 characters.",
+  'auth/invalid-phone-number': "Enter the phone number in international format, e.g. +923001234567.",
+  'auth/invalid-verification-code': "The verification code is incorrect.",
+  'auth/credential-already-in-use': "That email or phone number already belongs to another account.",
+  'auth/too-many-requests': "Too many attempts. Please try again later.",
+};
+
+const describeAuthError = (error) => AUTH_ERROR_MESSAGES[error.code] || error.message;
+
+// Sends an SMS code using an invisible reCAPTCHA attached to `containerId`.
+const sendPhoneVerificationCode = async (auth, phoneNumber, containerId) => {
+  const verifier = new RecaptchaVerifier(auth, containerId, { size: 'invisible' });
+  try {
+    return await signInWithPhoneNumber(auth, phoneNumber, verifier);
+  } finally {
+    verifier.clear();
+  }
+};
+
+const PhoneCodeForm = ({ phoneNumber, setPhoneNumber, codeSent, verificationCode, setVerificationCode, onSendCode, onVerifyCode, containerId }) => (
+  <form onSubmit={codeSent ? onVerifyCode : onSendCode}>
+    <FormInput label="Phone Number" type="tel" value={phoneNumber} onChange={(e) => setPhoneNumber(e.target.value)} placeholder="+923001234567" required />
+    {codeSent && (
+      <FormInput label="Verification Code" value={verificationCode} onChange={(e) => setVerificationCode(e.target.value)} placeholder="6-digit code" required />
+    )}
+    <div id={containerId}></div>
+    <button type="submit" className={formButtonClassName}>{codeSent ? 'Verify Code' : 'Send Code'}</button>
+  </form>
+);
+
+const LoginScreen = ({ auth, onMessage }) => {
+  const [mode, setMode] = useState('signin'); // 'signin' | 'signup' | 'phone' | 'reset'
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [phoneNumber, setPhoneNumber] = useState('');
+  const [verificationCode, setVerificationCode] = useState('');
+  const [confirmationResult, setConfirmationResult] = useState(null);
+
+  const handleEmailSubmit = async (e) => {
+    e.preventDefault();
+    try {
+      if (mode === 'signup') {
+        await createUserWithEmailAndPassword(auth, email, password);
+        onMessage('Account created. Welcome to MediQuick!', 'success');
+      } else {
+        await signInWithEmailAndPassword(auth, email, password);
+      }
+    } catch (error) {
+      console.error("Error signing in with email:", error);
+      onMessage(describeAuthError(error), 'error');
+    }
+  };
+
+  const handlePasswordReset = async (e) => {
+    e.preventDefault();
+    try {
+      await sendPasswordResetEmail(auth, email);
+      onMessage('Password reset email sent. Check your inbox.', 'success');
+      setMode('signin');
+    } catch (error) {
+      console.error("Error sending password reset:", error);
+      onMessage(describeAuthError(error), 'error');
+    }
+  };
+
+  const handleSendCode = async (e) => {
+    e.preventDefault();
+    try {
+      setConfirmationResult(await sendPhoneVerificationCode(auth, phoneNumber, 'login-recaptcha'));
+      onMessage('Verification code sent.', 'success');
+    } catch (error) {
+      console.error("Error sending verification code:", error);
+      onMessage(describeAuthError(error), 'error');
+    }
+  };
+
+  const handleVerifyCode = async (e) => {
+    e.preventDefault();
+    try {
+      await confirmationResult.confirm(verificationCode);
+    } catch (error) {
+      console.error("Error verifying code:", error);
+      onMessage(describeAuthError(error), 'error');
+    }
+  };
+
+  const handleContinueAsGuest = async () => {
+    try {
+      await signInAnonymously(auth);
+    } catch (error) {
+      console.error("Error signing in as guest:", error);
+      onMessage(describeAuthError(error), 'error');
+    }
+  };
+
+  const tabClassName = (tab) =>
+    `flex-1 py-2 rounded-lg text-sm font-semibold font-inter ${mode === tab ? 'bg-blue-600 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'}`;
+
+  return (
+    <div className="flex flex-col items-center justify-center min-h-[calc(100vh-160px)] p-6 bg-gray-50 rounded-xl shadow-inner">
+      <div className="bg-white p-6 rounded-xl shadow-lg border border-gray-100 w-full max-w-md">
+        <h2 className="text-2xl font-bold text-gray-800 mb-6 text-center font-inter">Sign in to MediQuick</h2>
+        <div className="flex space-x-2 mb-6">
+          <button type="button" onClick={() => setMode('signin')} className={tabClassName('signin')}>Email</button>
+          <button type="button" onClick={() => setMode('signup')} className={tabClassName('signup')}>Sign Up</button>
+          <button type="button" onClick={() => setMode('phone')} className={tabClassName('phone')}>Phone</button>
+        </div>
+
+        {(mode === 'signin' || mode === 'signup') && (
+          <form onSubmit={handleEmailSubmit}>
+            <FormInput label="Email" type="email" value={email} onChange={(e) => setEmail(e.target.value)} required />
+            <FormInput label="Password" type="password" value={password} onChange={(e) => setPassword(e.target.value)} required />
+            <button type="submit" className={formButtonClassName}>{mode === 'signup' ? 'Create Account' : 'Sign In'}</button>
+            {mode === 'signin' && (
+              <button type="button" onClick={() => setMode('reset')} className="mt-3 w-full text-sm text-blue-600 hover:underline font-inter">
+                Forgot password?
+              </button>
+            )}
+          </form>
+        )}
+
+        {mode === 'reset' && (
+          <form onSubmit={handlePasswordReset}>
+            <FormInput label="Email" type="email" value={email} onChange={(e) => setEmail(e.target.value)} required />
+            <button type="submit" className={formButtonClassName}>Send Reset Email</button>
+            <button type="button" onClick={() => setMode('signin')} className="mt-3 w-full text-sm text-blue-600 hover:underline font-inter">
+              Back to sign in
+            </button>
+          </form>
+        )}
+
+        {mode === 'phone' && (
+          <PhoneCodeForm
+            phoneNumber={phoneNumber}
+            setPhoneNumber={setPhoneNumber}
+            codeSent={!!confirmationResult}
+            verificationCode={verificationCode}
+            setVerificationCode={setVerificationCode}
+            onSendCode={handleSendCode}
+            onVerifyCode={handleVerifyCode}
+            containerId="login-recaptcha"
+          />
+        )}
+
+        <div className="mt-6 pt-4 border-t border-gray-100 text-center">
+          <button type="button" onClick={handleContinueAsGuest} className="text-sm text-gray-600 hover:underline font-inter">
+            Continue as guest
+          </button>
+          <p className="mt-1 text-xs text-gray-500">Guest data is lost if you clear your browser or switch devices. You can secure it later.</p>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// Upgrades an anonymous account into a permanent one, keeping its UID and therefore all of its data.
+const AccountUpgradePanel = ({ auth, onMessage, onClose }) => {
+  const [method, setMethod] = useState('email');
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [phoneNumber, setPhoneNumber] = useState('');
+  const [verificationCode, setVerificationCode] = useState('');
+  const [verificationId, setVerificationId] = useState(null);
+
+  const finishUpgrade = async (credential) => {
+    try {
+      await linkWithCredential(auth.currentUser, credential);
+      onMessage('Your account is now secured. Sign in with it on any device.', 'success');
+      onClose();
+    } catch (error) {
+      console.error("Error upgrading account:", error);
+      onMessage(describeAuthError(error), 'error');
+    }
+  };
+
+  const handleEmailUpgrade = (e) => {
+    e.preventDefault();
+    finishUpgrade(EmailAuthProvider.credential(email, password));
+  };
+
+  const handleSendCode = async (e) => {
+    e.preventDefault();
+    const verifier = new RecaptchaVerifier(auth, 'upgrade-recaptcha', { size: 'invisible' });
+    try {
+      const provider = new PhoneAuthProvider(auth);
+      setVerificationId(await provider.verifyPhoneNumber(phoneNumber, verifier));
+      onMessage('Verification code sent.', 'success');
+    } catch (error) {
+      console.error("Error sending verification code:", error);
+      onMessage(describeAuthError(error), 'error');
+    } finally {
+      verifier.clear();
+    }
+  };
+
+  const handleVerifyCode = (e) => {
+    e.preventDefault();
+    finishUpgrade(PhoneAuthProvider.credential(verificationId, verificationCode));
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white p-6 rounded-xl shadow-2xl relative w-full max-w-md text-gray-800">
+        <button onClick={onClose} className="absolute top-3 right-3 text-gray-500 hover:text-gray-700 text-xl font-bold">
+          &times;
+        </button>
+        <h3 className="text-xl font-semibold mb-2">Secure Your Account</h3>
+        <p className="text-sm text-gray-600 mb-4">
+          You are using a guest account. Add an email or phone number to keep your orders and coins.
+        </p>
+        <div className="flex space-x-2 mb-4">
+          <button type="button" onClick={() => setMethod('email')} className={`flex-1 py-2 rounded-lg text-sm font-semibold ${method === 'email' ? 'bg-blue-600 text-white' : 'bg-gray-100 text-gray-700'}`}>Email</button>
+          <button type="button" onClick={() => setMethod('phone')} className={`flex-1 py-2 rounded-lg text-sm font-semibold ${method === 'phone' ? 'bg-blue-600 text-white' : 'bg-gray-100 text-gray-700'}`}>Phone</button>
+        </div>
+        {method === 'email' ? (
+          <form onSubmit={handleEmailUpgrade}>
+            <FormInput label="Email" type="email" value={email} onChange={(e) => setEmail(e.target.value)} required />
+            <FormInput label="Password" type="password" value={password} onChange={(e) => setPassword(e.target.value)} required />
+            <button type="submit" className={formButtonClassName}>Secure with Email</button>
+          </form>
+        ) : (
+          <PhoneCodeForm
+            phoneNumber={phoneNumber}
+            setPhoneNumber={setPhoneNumber}
+            codeSent={!!verificationId}
+            verificationCode={verificationCode}
+            setVerificationCode={setVerificationCode}
+            onSendCode={handleSendCode}
+            onVerifyCode={handleVerifyCode}
+            containerId="upgrade-recaptcha"
+          />
+        )}
+      </div>
+    </div>
+  );
+};
+
+// --- Self-Service Registration ---
+const REGISTRATION_FIELDS = {
+  name: { label: 'Full Name' },
+  contactNumber: { label: 'Contact Number', type: 'tel', placeholder: '03001234567' },
+  cnic: { label: 'CNIC', placeholder: '12345-1234567-1' },
+  age: { label: 'Age', type: 'number' },
+  address: { label: 'Address' },
+  bankDetails: { label: 'Bank Details', placeholder: 'Bank name, account title and IBAN' },
+  registrationNumber: { label: 'Registration Number' },
+  specialty: { label: 'Specialty', placeholder: 'e.g., Cardiology, General Physician' },
+  licenseNumber: { label: 'PMDC License Number' },
+  clinicAddress: { label: 'Clinic Address' },
+};
+
+const REGISTRATION_DOCUMENTS = {
+  cnicScan: 'CNIC scan (front and back)',
+  medicalLicense: 'Medical license',
+  registrationCertificate: 'Institution registration certificate',
+  drugSaleLicense: 'Drug sale license',
+};
+
+// Steps for each role's registration wizard; documents are uploaded on the step after these
+const REGISTRATION_FORMS = {
+  salesperson: {
+    steps: [
+      { title: 'Personal Details', fields: ['name', 'contactNumber', 'cnic', 'age', 'address'] },
+      { title: 'Payment Details', fields: ['bankDetails'] },
+    ],
+    documents: ['cnicScan'],
+  },
+  institution: {
+    labels: { name: 'Institution Name', cnic: "Representative's CNIC" },
+    steps: [
+      { title: 'Institution Details', fields: ['name', 'registrationNumber', 'contactNumber', 'address'] },
+      { title: 'Representative & Payment', fields: ['cnic', 'bankDetails'] },
+    ],
+    documents: ['cnicScan', 'registrationCertificate'],
+  },
+  doctor: {
+    steps: [
+      { title: 'Personal Details', fields: ['name', 'contactNumber', 'cnic'] },
+      { title: 'Practice Details', fields: ['specialty', 'licenseNumber', 'clinicAddress'] },
+    ],
+    documents: ['cnicScan', 'medicalLicense'],
+  },
+  pharmacy: {
+    labels: { name: 'Pharmacy Name', licenseNumber: 'Drug Sale License Number', cnic: "Owner's CNIC" },
+    steps: [
+      { title: 'Pharmacy Details', fields: ['name', 'licenseNumber', 'contactNumber', 'address'] },
+      { title: 'Owner Details', fields: ['cnic'] },
+    ],
+    documents: ['cnicScan', 'drugSaleLicense'],
+  },
+};
+
+const REGISTRATION_MAX_FILE_BYTES = 5 * 1024 * 1024;
+const REGISTRATION_FILE_TYPES = ['image/jpeg', 'image/png', 'application/pdf'];
+
+const validateRegistrationFile = (file) => {
+  if (!file) return 'Please upload this document.';
+  if (!REGISTRATION_FILE_TYPES.includes(file.type)) return 'Upload a JPG, PNG or PDF file.';
+  if (file.size > REGISTRATION_MAX_FILE_BYTES) return 'Files must be 5 MB or smaller.';
+  return null;
+};
+
+// Multi-step application form for approval-required roles. Uploads the documents to Storage and
+// files the request under the applicant's UID in the role's pending queue. With `resubmit`, it
+// replaces a rejected application instead.
+const RegistrationWizard = ({ db, storage, userId, role, onMessage, resubmit = false }) => {
+  const form = REGISTRATION_FORMS[role];
+  const labelFor = (field) => form.labels?.[field] || REGISTRATION_FIELDS[field].label;
+  const documentsStep = form.steps.length;
+  const reviewStep = form.steps.length + 1;
+
+  const [step, setStep] = useState(0);
+  const [values, setValues] = useState({});
+  const [files, setFiles] = useState({});
+  const [errors, setErrors] = useState({});
+  const [submitting, setSubmitting] = useState(false);
+
+  const validateStep = (stepIndex) => {
+    const stepErrors = {};
+    if (stepIndex < documentsStep) {
+      const fieldErrors = validateFields(`${role}Application`, values);
+      form.steps[stepIndex].fields.forEach((field) => {
+        if (fieldErrors[field]) stepErrors[field] = fieldErrors[field];
+      });
+    } else if (stepIndex === documentsStep) {
+      form.documents.forEach((documentKey) => {
+        const error = validateRegistrationFile(files[documentKey]);
+        if (error) stepErrors[documentKey] = error;
+      });
+    }
+    setErrors(stepErrors);
+    return Object.keys(stepErrors).length === 0;
+  };
+
+  const handleNext = (e) => {
+    e.preventDefault();
+    if (validateStep(step)) setStep(step + 1);
+  };
+
+  const uploadDocuments = async () => {
+    const uploaded = {};
+    for (const documentKey of form.documents) {
+      const file = files[documentKey];
+      const path = `artifacts/${appId}/registrations/${userId}/${documentKey}-${Date.now()}-${file.name}`;
+      const fileRef = storageFileRef(storage, path);
+      await uploadBytes(fileRef, file, { contentType: file.type });
+      // Only the path is stored; admins resolve it when they open the document, so storage.rules still apply
+      uploaded[documentKey] = { name: file.name, path: path };
+    }
+    return uploaded;
+  };
+
+  const handleSubmit = async () => {
+    // Re-check every step in case the applicant went back and changed something
+    for (let i = 0; i <= documentsStep; i++) {
+      if (!validateStep(i)) {
+        setStep(i);
+        return;
+      }
+    }
+    setSubmitting(true);
+    try {
+      const fields = {};
+      form.steps.forEach(({ fields: stepFields }) => stepFields.forEach((field) => {
+        fields[field] = field === 'age' ? parseInt(values[field]) : values[field].trim();
+      }));
+      const documents = await uploadDocuments();
+      const requestRef = doc(db, `artifacts/${appId}/public/data/${ROLE_REQUEST_COLLECTIONS[role]}`, userId);
+      const actor = { id: userId, role: role };
+      if (resubmit) {
+        await applyTransition(db, requestRef, 'roleRequest', 'resubmit', actor, {
+          ...fields,
+          documents: documents,
+          requestDate: serverTimestamp(),
+        });
+      } else {
+        await setDoc(requestRef, buildInitialDocument('roleRequest', 'submit', actor, {
+          ...fields,
+          userId: userId,
+          documents: documents,
+          requestDate: serverTimestamp(),
+        }));
+      }
+      onMessage('Registration submitted! We will notify you once it is reviewed.', 'success');
+    } catch (error) {
+      console.error("Error submitting registration:", error);
+      onMessage(`Failed to submit registration: ${error.message}`, 'error');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const stepTitles = [...form.steps.map(({ title }) => title), 'Documents', 'Review'];
+
+  return (
+    <div>
+      <ol className="flex flex-wrap gap-2 mb-6 text-xs font-semibold">
+        {stepTitles.map((title, index) => (
+          <li key={title} className={`px-3 py-1 rounded-full ${index === step ? 'bg-blue-600 text-white' : index < step ? 'bg-green-100 text-green-800' : 'bg-gray-100 text-gray-600'}`}>
+            {index + 1}. {title}
+          </li>
+        ))}
+      </ol>
+
+      {step < documentsStep && (
+        <form onSubmit={handleNext}>
+          {form.steps[step].fields.map((field) => (
+            <FormInput
+              key={field}
+              label={labelFor(field)}
+              type={REGISTRATION_FIELDS[field].type}
+              placeholder={REGISTRATION_FIELDS[field].placeholder}
+              value={values[field] || ''}
+              onChange={(e) => setValues({ ...values, [field]: e.target.value })}
+              error={errors[field]}
+            />
+          ))}
+          <div className="flex gap-2">
+            {step > 0 && (
+              <button type="button" onClick={() => setStep(step - 1)} className="px-4 py-2 rounded-lg bg-gray-200 text-gray-700 font-semibold">Back</button>
+            )}
+            <button type="submit" className={formButtonClassName}>Next</button>
+          </div>
+        </form>
+      )}
+
+      {step === documentsStep && (
+        <form onSubmit={handleNext}>
+          <p className="text-sm text-gray-600 mb-4">Upload clear JPG, PNG or PDF copies, up to 5 MB each.</p>
+          {form.documents.map((documentKey) => (
+            <div key={documentKey} className="mb-4">
+              <label className="block text-gray-700 text-sm font-bold mb-2 font-inter">{REGISTRATION_DOCUMENTS[documentKey]}</label>
+              <input
+                type="file"
+                accept={REGISTRATION_FILE_TYPES.join(',')}
+                onChange={(e) => setFiles({ ...files, [documentKey]: e.target.files[0] || null })}
+                className="block w-full text-sm text-gray-700"
+              />
+              {files[documentKey] && <p className="mt-1 text-xs text-gray-500">{files[documentKey].name}</p>}
+              {errors[documentKey] && <p className="mt-1 text-xs text-red-600">{errors[documentKey]}</p>}
+            </div>
+          ))}
+          <div className="flex gap-2">
+            <button type="button" onClick={() => setStep(step - 1)} className="px-4 py-2 rounded-lg bg-gray-200 text-gray-700 font-semibold">Back</button>
+            <button type="submit" className={formButtonClassName}>Next</button>
+          </div>
+        </form>
+      )}
+
+      {step === reviewStep && (
+        <div>
+          <dl className="grid grid-cols-1 sm:grid-cols-2 gap-x-4 gap-y-2 mb-4 text-sm">
+            {form.steps.flatMap(({ fields }) => fields).map((field) => (
+              <div key={field}>
+                <dt className="font-semibold text-gray-600">{labelFor(field)}</dt>
+                <dd className="text-gray-800">{values[field]}</dd>
+              </div>
+            ))}
+            {form.documents.map((documentKey) => (
+              <div key={documentKey}>
+                <dt className="font-semibold text-gray-600">{REGISTRATION_DOCUMENTS[documentKey]}</dt>
+                <dd className="text-gray-800">{files[documentKey]?.name}</dd>
+              </div>
+            ))}
+          </dl>
+          <div className="flex gap-2">
+            <button type="button" onClick={() => setStep(step - 1)} disabled={submitting} className="px-4 py-2 rounded-lg bg-gray-200 text-gray-700 font-semibold">Back</button>
+            <button type="button" onClick={handleSubmit} disabled={submitting} className={formButtonClassName}>
+              {submitting ? 'Submitting...' : 'Submit Registration'}
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Shown instead of a dashboard until the user's role is approved. Lives outside App so the wizard's
+// progress and chosen files survive App re-renders.
+const RoleApplicationScreen = ({ role, application, db, storage, userId, onMessage }) => {
+  const [reapplying, setReapplying] = useState(false);
+  const roleLabel = role.charAt(0).toUpperCase() + role.slice(1);
+  const Icon = role === 'institution' ? Building : role === 'doctor' ? Stethoscope : role === 'pharmacy' ? Pill : Briefcase;
+
+  let content;
+  if (application?.status === ROLE_REQUEST_STATUS.REJECTED && reapplying) {
+    content = (
+      <div>
+        <p className="text-gray-700 mb-4">Update your details and documents, then submit your application again.</p>
+        <RegistrationWizard db={db} storage={storage} userId={userId} role={role} onMessage={onMessage} resubmit />
+      </div>
+    );
+  } else if (application?.status === ROLE_REQUEST_STATUS.PENDING) {
+    content = (
+      <div>
+        <p className="text-xl font-semibold text-yellow-700 mb-2">Pending approval</p>
+        <p className="text-gray-700">
+          Your application was submitted on {application.requestDate?.toDate().toLocaleDateString() || 'just now'}.
+          An admin will review it shortly.
+        </p>
+      </div>
+    );
+  } else if (application?.status === ROLE_REQUEST_STATUS.REJECTED) {
+    content = (
+      <div>
+        <p className="text-xl font-semibold text-red-700 mb-2">Application rejected</p>
+        <p className="text-gray-700 mb-4">{application.rejectionReason || 'Please contact MediQuick support for details.'}</p>
+        <button type="button" onClick={() => setReapplying(true)} className={formButtonClassName}>Re-apply</button>
+      </div>
+    );
+  } else if (application?.status === ROLE_REQUEST_STATUS.SUSPENDED) {
+    content = (
+      <div>
+        <p className="text-xl font-semibold text-orange-700 mb-2">Account suspended</p>
+        <p className="text-gray-700">{application.suspensionReason || 'Please contact MediQuick support for details.'}</p>
+      </div>
+    );
+  } else if (application?.status === ROLE_REQUEST_STATUS.REVOKED) {
+    content = (
+      <div>
+        <p className="text-xl font-semibold text-red-700 mb-2">Access revoked</p>
+        <p className="text-gray-700">{application.revocationReason || 'Please contact MediQuick support for details.'}</p>
+      </div>
+    );
+  } else if (application?.status === ROLE_REQUEST_STATUS.APPROVED) {
+    content = (
+      <p className="text-gray-700">Your application has been approved. Your account is being activated.</p>
+    );
+  } else {
+    content = (
+      <div>
+        <p className="text-gray-700 mb-4">Register for a {roleLabel} account. You can keep using MediQuick as a customer while we review it.</p>
+        <RegistrationWizard db={db} storage={storage} userId={userId} role={role} onMessage={onMessage} />
+      </div>
+    );
+  }
+
+  return (
+    <div className="p-6 bg-gray-50 min-h-[calc(100vh-160px)] rounded-xl shadow-inner">
+      <h2 className="text-3xl font-bold text-gray-800 mb-6 font-inter">{roleLabel} Account</h2>
+      <div className="max-w-2xl bg-white p-6 rounded-xl shadow-lg border border-gray-100">
+        <h2 className="text-2xl font-semibold mb-4 flex items-center text-gray-800 font-inter">
+          <Icon className="mr-3 h-7 w-7 text-indigo-600" />
+          {roleLabel} Registration
+        </h2>
+        {content}
+      </div>
+    </div>
+  );
+};
+
+// Opens a file kept in Storage in a new tab. The download URL is fetched on demand, so only callers
+// storage.rules lets read the file can open it.
+const openStorageFile = async (storage, path) => {
+  const tab = window.open('', '_blank');
+  try {
+    const url = await getDownloadURL(storageFileRef(storage, path));
+    if (tab) tab.location.href = url;
+  } catch (error) {
+    if (tab) tab.close();
+    throw error;
+  }
+};
+
+// Links to an applicant's uploaded registration documents, for the admin review queues
+const RegistrationDocumentLinks = ({ storage, documents, onMessage }) => {
+  const entries = Object.entries(documents || {});
+  if (entries.length === 0) return <span className="text-gray-400">None</span>;
+
+  const handleOpen = async (file) => {
+    try {
+      await openStorageFile(storage, file.path);
+    } catch (error) {
+      console.error("Error opening registration document:", error);
+      onMessage(`Failed to open document: ${error.message}`, 'error');
+    }
+  };
+
+  return (
+    <ul className="space-y-1">
+      {entries.map(([documentKey, file]) => (
+        <li key={documentKey}>
+          <button type="button" onClick={() => handleOpen(file)} className="text-indigo-600 hover:underline text-xs">
+            {REGISTRATION_DOCUMENTS[documentKey] || documentKey}
+          </button>
+        </li>
+      ))}
+    </ul>
+  );
+};
+
+const App = () => {
+  const [user, setUser] = useState(null);
+  const [userId, setUserId] = useState('');
+  const [userRole, setUserRole] = useState(null);
+  const [grantedRoles, setGrantedRoles] = useState([]); // Roles an admin has approved for this user
+  const [cart, setCart] = useState([]); // [{ productId, quantity }]; kept here so it survives dashboard re-renders
+  const [cartPrescription, setCartPrescription] = useState({ ePrescriptionId: '', file: null }); // For prescription-only items in the cart
+  const [cartAddressId, setCartAddressId] = useState(''); // Delivery address chosen at checkout; defaults to the default address
+  const [deliveryAddresses, setDeliveryAddresses] = useState([]);
+  const [medicalVisits, setMedicalVisits] = useState([]); // The patient's own visit notes
+  const [careTeam, setCareTeam] = useState([]); // Doctors the patient has shared their record with
+  const [roleApplication, setRoleApplication] = useState(null); // The user's own salesperson/institution request
+  const [loading, setLoading] = useState(true);
+  const [message, setMessage] = useState('');
+  const [messageType, setMessageType] = useState(''); // 'success' or 'error'
+
+  // Firestore Data States
+  const [products, setProducts] = useState([]);
+  const [doctors, setDoctors] = useState([]);
+  const [customers, setCustomers] = useState([]);
+  const [salespersonRequests, setSalespersonRequests] = useState([]);
+  const [approvedSalespersons, setApprovedSalespersons] = useState([]);
+  const [institutionRequests, setInstitutionRequests] = useState([]);
+  const [approvedInstitutions, setApprovedInstitutions] = useState([]);
+  const [listedInstitutions, setListedInstitutions] = useState([]); // Public directory entries for the donation picker
+  const [suspendedSalespersons, setSuspendedSalespersons] = useState([]);
+  const [suspendedInstitutions, setSuspendedInstitutions] = useState([]);
+  const [doctorRequests, setDoctorRequests] = useState([]);
+  const [doctorAccounts, setDoctorAccounts] = useState([]); // Approved or suspended doctor applications
+  const [pharmacyRequests, setPharmacyRequests] = useState([]);
+  const [pharmacyAccounts, setPharmacyAccounts] = useState([]); // Approved or suspended pharmacy applications
+  const [adminAuditLog, setAdminAuditLog] = useState([]);
+  const [customerOrders, setCustomerOrders] = useState([]);
+  const [allOrders, setAllOrders] = useState([]);
+  const [patientOffers, setPatientOffers] = useState([]);
+  const [ePrescriptions, setEPrescriptions] = useState([]); // Issued to this patient, or by this doctor
+  const [doctorSlots, setDoctorSlots] = useState([]); // Booked appointment slots (see prepareSlotClaim)
+  const [pharmacyOrderQueue, setPharmacyOrderQueue] = useState([]); // Orders no pharmacy has accepted yet
+  const [prescriptionReviewOrders, setPrescriptionReviewOrders] = useState([]); // Uploaded prescriptions a pharmacy can review
+  const [pharmacyStock, setPharmacyStock] = useState([]); // This pharmacy's shelf counts, or every pharmacy's for customers
+  const [institutionCoinBalance, setInstitutionCoinBalance] = useState(0);
+  const [customerWalletBalance, setCustomerWalletBalance] = useState(0);
+  const [customerName, setCustomerName] = useState(''); // From the customer's profile, shown to doctors on checkups
+  const [customerWalletHistory, setCustomerWalletHistory] = useState([]);
+  const [walletTopUpRequests, setWalletTopUpRequests] = useState([]);
+  const [institutionWithdrawals, setInstitutionWithdrawals] = useState([]);
+  const [withdrawalQueue, setWithdrawalQueue] = useState([]);
+  const [payoutSettings, setPayoutSettings] = useState(DEFAULT_PAYOUT_SETTINGS);
+  const [checkupFeeSettings, setCheckupFeeSettings] = useState(DEFAULT_CHECKUP_FEE_SETTINGS);
+  const [salespersonStatements, setSalespersonStatements] = useState([]);
+  const [salespersonCoinHistory, setSalespersonCoinHistory] = useState([]);
+  const [institutionCoinHistory, setInstitutionCoinHistory] = useState([]);
+
+  // Firebase instances
+  const appRef = useRef(null);
+  const dbRef = useRef(null);
+  const authRef = useRef(null);
+  const storageRef = useRef(null);
+  const signedOutRef = useRef(false);
+
+  const [showAccountUpgrade, setShowAccountUpgrade] = useState(false);
+
+  // --- Global Message Display ---
+  const displayMessage = (msg, type) => {
+    setMessage(msg);
+    setMessageType(type);
+    setTimeout(() => {
+      setMessage('');
+      setMessageType('');
+    }, 3000);
+  };
+
+  // --- Firebase Initialization and Auth ---
+  useEffect(() => {
+    try {
+      if (!appRef.current) {
+        appRef.current = initializeApp(firebaseConfig);
+        dbRef.current = getFirestore(appRef.current);
+        authRef.current = getAuth(appRef.current);
+        storageRef.current = getStorage(appRef.current);
+        if (useFirebaseEmulators) {
+          connectAuthEmulator(authRef.current, 'http://localhost:9099', { disableWarnings: true });
+          connectFirestoreEmulator(dbRef.current, 'localhost', 8080);
+          connectStorageEmulator(storageRef.current, 'localhost', 9199);
+        }
+      }
+
+      const auth = authRef.current;
+      const db = dbRef.current;
+
+      const unsubscribe = onAuthStateChanged(auth, async (currentUser) => {
+        if (currentUser) {
+          setUser(currentUser);
+          const currentUserId = currentUser.uid;
+          setUserId(currentUserId);
+
+          // Fetch user role from Firestore
+          const userDocRef = doc(db, `artifacts/${appId}/users/${currentUserId}/profile`, currentUserId);
+          const userDocSnap = await getDoc(userDocRef);
+
+          if (userDocSnap.exists()) {
+            setUserRole(userDocSnap.data().role);
+            setGrantedRoles(userDocSnap.data().grantedRoles || []);
+          } else {
+            // New user or role not set, prompt for role selection
+            setUserRole(null);
+            setGrantedRoles([]);
+          }
+        } else {
+          setUser(null);
+          setUserId('');
+          setUserRole(null); // Reset role if logged out
+          setGrantedRoles([]);
+          // Use the host-provided token once; otherwise (or after sign-out) show the login screen
+          if (initialAuthToken && !signedOutRef.current) {
+            try {
+              await signInWithCustomToken(auth, initialAuthToken);
+              return;
+            } catch (error) {
+              console.error("Error signing in with custom token:", error);
+              signedOutRef.current = true;
+            }
+          }
+        }
+        setLoading(false);
+      });
+
+      return () => unsubscribe();
+    } catch (error) {
+      console.error("Error initializing Firebase or during authentication:", error);
+      displayMessage(`Firebase initialization error: ${error.message}`, 'error');
+      setLoading(false);
+    }
+  }, []); // Empty dependency array ensures this runs once on mount
+
+  const roleApproved = isRoleApproved(userRole, grantedRoles);
+
+  // --- Firestore Data Listeners ---
+  useEffect(() => {
+    if (!dbRef.current || !userId || loading) return;
+
+    const db = dbRef.current;
+
+    // Products (Public)
+    const productsQuery = query(collection(db, `artifacts/${appId}/public/data/products`));
+    const unsubscribeProducts = onSnapshot(productsQuery, (snapshot) => {
+      const productsData = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+      setProducts(productsData);
+    }, (error) => console.error("Error fetching products:", error));
+
+    // Doctors (Public). Only verified doctors are listed; admins also see suspended and legacy entries.
+    const doctorsQuery = userRole === 'admin'
+      ? query(collection(db, `artifacts/${appId}/public/data/doctors`))
+      : query(collection(db, `artifacts/${appId}/public/data/doctors`), where('verified', '==', true));
+    const unsubscribeDoctors = onSnapshot(doctorsQuery, (snapshot) => {
+      const doctorsData = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+      setDoctors(doctorsData);
+    }, (error) => console.error("Error fetching doctors:", error));
+
+    // Customers (Public - assuming customer profiles are public for admin view)
+    const customersQuery = query(collection(db, `artifacts/${appId}/public/data/customers`));
+    const unsubscribeCustomers = onSnapshot(customersQuery, (snapshot) => {
+      const customersData = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+      setCustomers(customersData);
+    }, (error) => console.error("Error fetching customers:", error));
+
+    // Institutions open for donations (Public). Applications themselves hold CNIC and bank details
+    // and are only readable by the applicant and admins.
+    const listedInstitutionQuery = query(
+      collection(db, `artifacts/${appId}/public/data/institutions`),
+      where('listed', '==', true)
+    );
+    const unsubscribeListedInstitutions = onSnapshot(listedInstitutionQuery, (snapshot) => {
+      setListedInstitutions(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+    }, (error) => console.error("Error fetching institutions:", error));
+
+    // Own profile, so an approval or a newly granted role shows up without signing in again
+    const unsubscribeOwnProfile = onSnapshot(userProfileRef(db, userId), (docSnap) => {
+      setGrantedRoles((docSnap.exists() && docSnap.data().grantedRoles) || []);
+    }, (error) => console.error("Error fetching own profile:", error));
+
+    // --- Role-specific data listeners ---
+    let unsubscribeSalespersonReq;
+    let unsubscribeInstitutionReq;
+    let unsubscribeApprovedSalesperson;
+    let unsubscribeApprovedInstitution;
+    let unsubscribeSuspendedSalespersons;
+    let unsubscribeSuspendedInstitutions;
+    let unsubscribeDoctorReq;
+    let unsubscribeDoctorAccounts;
+    let unsubscribePharmacyReq;
+    let unsubscribePharmacyAccounts;
+    let unsubscribeAuditLog;
+    let unsubscribeRoleApplication;
+    let unsubscribeCustomerOrders;
+    let unsubscribePatientOffers;
+    let unsubscribeEPrescriptions;
+    let unsubscribeAddresses;
+    let unsubscribeMedicalVisits;
+    let unsubscribeCareTeam;
+    let unsubscribeDoctorSlots;
+    let unsubscribePharmacyQueue;
+    let unsubscribePrescriptionReview;
+    let unsubscribePharmacyStock;
+    let unsubscribeInstitutionCoins;
+    let unsubscribeInstitutionCoinHistory;
+    let unsubscribeSalespersonCoins;
+
+    let unsubscribeAllOrders;
+    let unsubscribeCustomerWallet;
+    let unsubscribeCustomerWalletHistory;
+    let unsubscribeWalletTopUps;
+    let unsubscribeWithdrawals;
+    let unsubscribePayoutSettings;
+    let unsubscribeCheckupFeeSettings;
+    let unsubscribeStatements;
+
+    // Payout cycle settings (Admin configures, Salesperson sees the next statement date)
+    if (userRole === 'admin' || userRole === 'salesperson') {
+      const payoutSettingsRef = doc(db, `artifacts/${appId}/public/data/settings`, 'payoutCycle');
+      unsubscribePayoutSettings = onSnapshot(payoutSettingsRef, (docSnap) => {
+        setPayoutSettings({ ...DEFAULT_PAYOUT_SETTINGS, ...(docSnap.exists() ? docSnap.data() : {}) });
+      }, (error) => console.error("Error fetching payout settings:", error));
+    }
+
+    // Checkup fee defaults (Admin configures, patients and doctors see the resulting fees)
+    if (userRole === 'admin' || userRole === 'customer' || userRole === 'doctor') {
+      const checkupFeesRef = doc(db, `artifacts/${appId}/public/data/settings`, 'checkupFees');
+      unsubscribeCheckupFeeSettings = onSnapshot(checkupFeesRef, (docSnap) => {
+        setCheckupFeeSettings({ ...DEFAULT_CHECKUP_FEE_SETTINGS, ...(docSnap.exists() ? docSnap.data() : {}) });
+      }, (error) => console.error("Error fetching checkup fee settings:", error));
+    }
+
+    if (userRole === 'customer' || userRole === 'doctor') {
+      // Move any orders still stored in the old per-user subcollection into the central store
+      migrateLegacyOrdersForUser(db, userId).catch((error) => console.error("Error migrating legacy orders:", error));
+    }
+
+    // Applicants see the status of their own request until the role is granted
+    if (ROLE_REQUEST_COLLECTIONS[userRole] && !roleApproved) {
+      const applicationRef = doc(db, `artifacts/${appId}/public/data/${ROLE_REQUEST_COLLECTIONS[userRole]}`, userId);
+      unsubscribeRoleApplication = onSnapshot(applicationRef, (docSnap) => {
+        setRoleApplication(docSnap.exists() ? { id: docSnap.id, ...docSnap.data() } : null);
+      }, (error) => console.error("Error fetching role application:", error));
+    }
+
+    if (userRole === 'admin') {
+      // Salesperson and institution requests awaiting approval
+      const salespersonReqQuery = query(
+        collection(db, `artifacts/${appId}/public/data/salespersonRequests`),
+        where('status', '==', 'pending')
+      );
+      unsubscribeSalespersonReq = onSnapshot(salespersonReqQuery, (snapshot) => {
+        const reqs = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+        setSalespersonRequests(reqs);
+      }, (error) => console.error("Error fetching salesperson requests:", error));
+
+      const institutionReqQuery = query(
+        collection(db, `artifacts/${appId}/public/data/institutionRequests`),
+        where('status', '==', 'pending')
+      );
+      unsubscribeInstitutionReq = onSnapshot(institutionReqQuery, (snapshot) => {
+        const reqs = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+        setInstitutionRequests(reqs);
+      }, (error) => console.error("Error fetching institution requests:", error));
+
+      // Approved salesperson and institution accounts
+      unsubscribeApprovedSalesperson = onSnapshot(
+        query(collection(db, `artifacts/${appId}/public/data/salespersonRequests`), where('status', '==', ROLE_REQUEST_STATUS.APPROVED)),
+        (snapshot) => setApprovedSalespersons(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }))),
+        (error) => console.error("Error fetching approved salespersons:", error)
+      );
+      unsubscribeApprovedInstitution = onSnapshot(
+        query(collection(db, `artifacts/${appId}/public/data/institutionRequests`), where('status', '==', ROLE_REQUEST_STATUS.APPROVED)),
+        (snapshot) => setApprovedInstitutions(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }))),
+        (error) => console.error("Error fetching approved institutions:", error)
+      );
+
+      // Suspended accounts (listed alongside the approved ones so they can be reactivated)
+      unsubscribeSuspendedSalespersons = onSnapshot(
+        query(collection(db, `artifacts/${appId}/public/data/salespersonRequests`), where('status', '==', ROLE_REQUEST_STATUS.SUSPENDED)),
+        (snapshot) => setSuspendedSalespersons(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }))),
+        (error) => console.error("Error fetching suspended salespersons:", error)
+      );
+      unsubscribeSuspendedInstitutions = onSnapshot(
+        query(collection(db, `artifacts/${appId}/public/data/institutionRequests`), where('status', '==', ROLE_REQUEST_STATUS.SUSPENDED)),
+        (snapshot) => setSuspendedInstitutions(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }))),
+        (error) => console.error("Error fetching suspended institutions:", error)
+      );
+
+      // Doctor applications awaiting verification, and verified doctors that can be suspended or revoked
+      unsubscribeDoctorReq = onSnapshot(
+        query(collection(db, `artifacts/${appId}/public/data/doctorRequests`), where('status', '==', ROLE_REQUEST_STATUS.PENDING)),
+        (snapshot) => setDoctorRequests(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }))),
+        (error) => console.error("Error fetching doctor requests:", error)
+      );
+      unsubscribeDoctorAccounts = onSnapshot(
+        query(
+          collection(db, `artifacts/${appId}/public/data/doctorRequests`),
+          where('status', 'in', [ROLE_REQUEST_STATUS.APPROVED, ROLE_REQUEST_STATUS.SUSPENDED])
+        ),
+        (snapshot) => setDoctorAccounts(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }))),
+        (error) => console.error("Error fetching doctor accounts:", error)
+      );
+
+      // Pharmacy applications awaiting approval, and approved pharmacies that can be suspended or revoked
+      unsubscribePharmacyReq = onSnapshot(
+        query(collection(db, `artifacts/${appId}/public/data/pharmacyRequests`), where('status', '==', ROLE_REQUEST_STATUS.PENDING)),
+        (snapshot) => setPharmacyRequests(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }))),
+        (error) => console.error("Error fetching pharmacy requests:", error)
+      );
+      unsubscribePharmacyAccounts = onSnapshot(
+        query(
+          collection(db, `artifacts/${appId}/public/data/pharmacyRequests`),
+          where('status', 'in', [ROLE_REQUEST_STATUS.APPROVED, ROLE_REQUEST_STATUS.SUSPENDED])
+        ),
+        (snapshot) => setPharmacyAccounts(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }))),
+        (error) => console.error("Error fetching pharmacy accounts:", error)
+      );
+
+      // Most recent application decisions
+      const auditLogQuery = query(
+        collection(db, `artifacts/${appId}/public/data/adminAuditLog`),
+        orderBy('performedAt', 'desc'),
+        limit(50)
+      );
+      unsubscribeAuditLog = onSnapshot(auditLogQuery, (snapshot) => {
+        setAdminAuditLog(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+      }, (error) => console.error("Error fetching admin audit log:", error));
+
+      const allOrdersQuery = query(collection(db, `artifacts/${appId}/public/data/orders`));
+      unsubscribeAllOrders = onSnapshot(allOrdersQuery, (snapshot) => {
+        const orders = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+        setAllOrders(orders);
+      }, (error) => console.error("Error fetching all orders:", error));
+
+      const walletTopUpsQuery = query(
+        collection(db, `artifacts/${appId}/public/data/walletTopUps`),
+        where('status', '==', 'pending')
+      );
+      unsubscribeWalletTopUps = onSnapshot(walletTopUpsQuery, (snapshot) => {
+        const requests = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+        setWalletTopUpRequests(requests);
+      }, (error) => console.error("Error fetching wallet top-up requests:", error));
+
+      const withdrawalQueueQuery = query(
+        collection(db, `artifacts/${appId}/public/data/withdrawalRequests`),
+        where('status', 'in', [WITHDRAWAL_STATUS.REQUESTED, WITHDRAWAL_STATUS.APPROVED])
+      );
+      unsubscribeWithdrawals = onSnapshot(withdrawalQueueQuery, (snapshot) => {
+        const requests = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+        setWithdrawalQueue(requests);
+      }, (error) => console.error("Error fetching withdrawal queue:", error));
+
+      const openStatementsQuery = query(
+        collection(db, `artifacts/${appId}/public/data/salespersonStatements`),
+        where('status', '==', STATEMENT_STATUS.OPEN)
+      );
+      unsubscribeStatements = onSnapshot(openStatementsQuery, (snapshot) => {
+        const statements = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+        setSalespersonStatements(statements);
+      }, (error) => console.error("Error fetching open statements:", error));
+    } else if (userRole === 'customer') {
+      const customerOrdersQuery = query(
+        collection(db, `artifacts/${appId}/public/data/orders`),
+        where('customerId', '==', userId)
+      );
+      unsubscribeCustomerOrders = onSnapshot(customerOrdersQuery, (snapshot) => {
+        const orders = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+        // Filter for last 30 days
+        const thirtyDaysAgo = new Date();
+        thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
+        const recentOrders = orders.filter(order =>
+          order.orderDate && order.orderDate.toDate() >= thirtyDaysAgo
+        );
+        setCustomerOrders(recentOrders);
+      }, (error) => console.error("Error fetching customer orders:", error));
+
+      const patientOffersQuery = query(
+        collection(db, `artifacts/${appId}/public/data/patientOffers`),
+        where('patientId', '==', userId)
+      );
+      unsubscribePatientOffers = onSnapshot(patientOffersQuery, (snapshot) => {
+        const offers = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+        setPatientOffers(offers);
+      }, (error) => console.error("Error fetching patient offers:", error));
+
+      // Every pharmacy's shelf, so the cart only takes what some pharmacy can pack
+      unsubscribePharmacyStock = onSnapshot(collectionGroup(db, 'stock'), (snapshot) => {
+        setPharmacyStock(snapshot.docs
+          .filter(doc => doc.ref.path.startsWith(`artifacts/${appId}/public/data/pharmacies/`))
+          .map(doc => ({ id: doc.id, ...doc.data() })));
+      }, (error) => console.error("Error fetching pharmacy stock:", error));
+
+      const patientEPrescriptionsQuery = query(
+        collection(db, `artifacts/${appId}/public/data/ePrescriptions`),
+        where('patientId', '==', userId)
+      );
+      const upcomingSlotsQuery = query(
+        collection(db, `artifacts/${appId}/public/data/doctorSlots`),
+        where('start', '>=', Timestamp.now())
+      );
+      unsubscribeDoctorSlots = onSnapshot(upcomingSlotsQuery, (snapshot) => {
+        setDoctorSlots(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+      }, (error) => console.error("Error fetching booked slots:", error));
+
+      const addressesQuery = query(collection(db, `artifacts/${appId}/users/${userId}/addresses`));
+      unsubscribeAddresses = onSnapshot(addressesQuery, (snapshot) => {
+        const addresses = snapshot.docs
+          .map(doc => ({ id: doc.id, ...doc.data() }))
+          .sort((a, b) => (b.isDefault ? 1 : 0) - (a.isDefault ? 1 : 0) || (a.createdAt?.toMillis() || 0) - (b.createdAt?.toMillis() || 0));
+        setDeliveryAddresses(addresses);
+      }, (error) => console.error("Error fetching delivery addresses:", error));
+
+      const medicalVisitsQuery = query(collection(db, `artifacts/${appId}/public/data/medicalRecords/${userId}/visits`));
+      unsubscribeMedicalVisits = onSnapshot(medicalVisitsQuery, (snapshot) => {
+        setMedicalVisits(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+      }, (error) => console.error("Error fetching medical record:", error));
+
+      const careTeamQuery = query(collection(db, `artifacts/${appId}/public/data/medicalRecords/${userId}/careTeam`));
+      unsubscribeCareTeam = onSnapshot(careTeamQuery, (snapshot) => {
+        setCareTeam(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+      }, (error) => console.error("Error fetching care team:", error));
+
+      unsubscribeEPrescriptions = onSnapshot(patientEPrescriptionsQuery, (snapshot) => {
+        const prescriptions = snapshot.docs
+          .map(doc => ({ id: doc.id, ...doc.data() }))
+          .sort((a, b) => (b.issuedAt?.toMillis() || 0) - (a.issuedAt?.toMillis() || 0));
+        setEPrescriptions(prescriptions);
+      }, (error) => console.error("Error fetching e-prescriptions:", error));
+
+      const customerProfileRef = doc(db, `artifacts/${appId}/users/${userId}/profile`, userId);
+      unsubscribeCustomerWallet = onSnapshot(customerProfileRef, (docSnap) => {
+        setCustomerWalletBalance(docSnap.exists() ? docSnap.data().coins || 0 : 0);
+        setCustomerName((docSnap.exists() && docSnap.data().name) || '');
+      }, (error) => console.error("Error fetching wallet balance:", error));
+
+      // The transactions subcollection holds both credits and debits for this user
+      const customerWalletHistoryQuery = query(collection(db, `artifacts/${appId}/users/${userId}/transactions`));
+      unsubscribeCustomerWalletHistory = onSnapshot(customerWalletHistoryQuery, (snapshot) => {
+        const history = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+        const thirtyDaysAgo = new Date();
+        thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
+        const recentHistory = history
+          .filter(item => item.date && item.date.toDate() >= thirtyDaysAgo)
+          .sort((a, b) => b.date.toMillis() - a.date.toMillis());
+        setCustomerWalletHistory(recentHistory);
+      }, (error) => console.error("Error fetching wallet history:", error));
+    } else if (userRole === 'institution' && roleApproved) {
+      const institutionDocRef = doc(db, `artifacts/${appId}/users/${userId}/profile`, userId);
+      unsubscribeInstitutionCoins = onSnapshot(institutionDocRef, (docSnap) => {
+        if (docSnap.exists()) {
+          setInstitutionCoinBalance(docSnap.data().coins || 0);
+        } else {
+          setInstitutionCoinBalance(0);
+        }
+      }, (error) => console.error("Error fetching institution coin balance:", error));
+
+      const institutionCoinHistoryQuery = query(
+        collection(db, `artifacts/${appId}/users/${userId}/transactions`),
+        where('targetId', '==', userId),
+        where('type', '==', 'donation')
+      );
+      unsubscribeInstitutionCoinHistory = onSnapshot(institutionCoinHistoryQuery, (snapshot) => {
+        const history = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+        const thirtyDaysAgo = new Date();
+        thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
+        const recentHistory = history.filter(item =>
+          item.date && item.date.toDate() >= thirtyDaysAgo
+        );
+        setInstitutionCoinHistory(recentHistory);
+      }, (error) => console.error("Error fetching institution coin history:", error));
+
+      const institutionWithdrawalsQuery = query(
+        collection(db, `artifacts/${appId}/public/data/withdrawalRequests`),
+        where('institutionId', '==', userId)
+      );
+      unsubscribeWithdrawals = onSnapshot(institutionWithdrawalsQuery, (snapshot) => {
+        const requests = snapshot.docs
+          .map(doc => ({ id: doc.id, ...doc.data() }))
+          .sort((a, b) => (b.requestDate?.toMillis() || 0) - (a.requestDate?.toMillis() || 0));
+        setInstitutionWithdrawals(requests);
+      }, (error) => console.error("Error fetching withdrawal requests:", error));
+
+    } else if (userRole === 'salesperson' && roleApproved) {
+      const salespersonOffersQuery = query(
+        collection(db, `artifacts/${appId}/public/data/patientOffers`),
+        where('salespersonId', '==', userId),
+        where('status', 'in', [OFFER_STATUS.ASSIGNED_TO_SALESPERSON]) // Only show assigned and in-progress
+      );
+      const salespersonOrdersQuery = query(
+        collection(db, `artifacts/${appId}/public/data/orders`),
+        where('salespersonId', '==', userId),
+        where('status', 'in', [ORDER_STATUS.IN_DELIVERY])
+      );
+
+      unsubscribePatientOffers = onSnapshot(salespersonOffersQuery, (snapshot) => {
+        const offers = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+        setPatientOffers(offers);
+      }, (error) => console.error("Error fetching salesperson patient offers:", error));
+
+      unsubscribeCustomerOrders = onSnapshot(salespersonOrdersQuery, (snapshot) => {
+        const orders = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+        setCustomerOrders(orders);
+      }, (error) => console.error("Error fetching salesperson orders:", error));
+
+      const salespersonCoinHistoryQuery = query(
+        collection(db, `artifacts/${appId}/users/${userId}/transactions`),
+        where('targetId', '==', userId),
+        where('type', 'in', SALESPERSON_EARNING_TYPES) // Coins from products, checkups and call-outs
+      );
+      unsubscribeSalespersonCoins = onSnapshot(salespersonCoinHistoryQuery, (snapshot) => {
+        const history = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+        const thirtyDaysAgo = new Date();
+        thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
+        const recentHistory = history.filter(item =>
+          item.date && item.date.toDate() >= thirtyDaysAgo
+        );
+        setSalespersonCoinHistory(recentHistory);
+      }, (error) => console.error("Error fetching salesperson coin history:", error));
+
+      const myStatementsQuery = query(
+        collection(db, `artifacts/${appId}/public/data/salespersonStatements`),
+        where('salespersonId', '==', userId)
+      );
+      unsubscribeStatements = onSnapshot(myStatementsQuery, (snapshot) => {
+        const statements = snapshot.docs
+          .map(doc => ({ id: doc.id, ...doc.data() }))
+          .sort((a, b) => b.periodEnd.toMillis() - a.periodEnd.toMillis());
+        setSalespersonStatements(statements);
+      }, (error) => console.error("Error fetching salesperson statements:", error));
+
+    } else if (userRole === 'doctor' && roleApproved) {
+      const doctorOffersQuery = query(
+        collection(db, `artifacts/${appId}/public/data/patientOffers`),
+        where('doctorId', '==', userId) // Every status: requests, upcoming visits (assigned ones too) and history
+      );
+      unsubscribePatientOffers = onSnapshot(doctorOffersQuery, (snapshot) => {
+        const offers = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+        setPatientOffers(offers);
+      }, (error) => console.error("Error fetching doctor patient offers:", error));
+
+      const ownSlotsQuery = query(
+        collection(db, `artifacts/${appId}/public/data/doctorSlots`),
+        where('doctorId', '==', userId)
+      );
+      unsubscribeDoctorSlots = onSnapshot(ownSlotsQuery, (snapshot) => {
+        setDoctorSlots(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+      }, (error) => console.error("Error fetching booked slots:", error));
+
+      const doctorEPrescriptionsQuery = query(
+        collection(db, `artifacts/${appId}/public/data/ePrescriptions`),
+        where('doctorId', '==', userId)
+      );
+      unsubscribeEPrescriptions = onSnapshot(doctorEPrescriptionsQuery, (snapshot) => {
+        const prescriptions = snapshot.docs
+          .map(doc => ({ id: doc.id, ...doc.data() }))
+          .sort((a, b) => (b.issuedAt?.toMillis() || 0) - (a.issuedAt?.toMillis() || 0));
+        setEPrescriptions(prescriptions);
+      }, (error) => console.error("Error fetching issued e-prescriptions:", error));
+    } else if (userRole === 'pharmacy' && roleApproved) {
+      // The shared queue of new orders, and every order this pharmacy has taken on
+      const pharmacyQueueQuery = query(
+        collection(db, `artifacts/${appId}/public/data/orders`),
+        where('status', '==', ORDER_STATUS.PENDING_PHARMACY)
+      );
+      unsubscribePharmacyQueue = onSnapshot(pharmacyQueueQuery, (snapshot) => {
+        const orders = snapshot.docs
+          .map(doc => ({ id: doc.id, ...doc.data() }))
+          .sort((a, b) => (a.orderDate?.toMillis() || 0) - (b.orderDate?.toMillis() || 0));
+        setPharmacyOrderQueue(orders);
+      }, (error) => console.error("Error fetching pharmacy order queue:", error));
+
+      const prescriptionReviewQuery = query(
+        collection(db, `artifacts/${appId}/public/data/orders`),
+        where('status', '==', ORDER_STATUS.PENDING_PRESCRIPTION_REVIEW)
+      );
+      unsubscribePrescriptionReview = onSnapshot(prescriptionReviewQuery, (snapshot) => {
+        const orders = snapshot.docs
+          .map(doc => ({ id: doc.id, ...doc.data() }))
+          .sort((a, b) => (a.orderDate?.toMillis() || 0) - (b.orderDate?.toMillis() || 0));
+        setPrescriptionReviewOrders(orders);
+      }, (error) => console.error("Error fetching prescriptions awaiting review:", error));
+
+      const pharmacyOrdersQuery = query(
+        collection(db, `artifacts/${appId}/public/data/orders`),
+        where('pharmacyId', '==', userId)
+      );
+      unsubscribeCustomerOrders = onSnapshot(pharmacyOrdersQuery, (snapshot) => {
+        const orders = snapshot.docs
+          .map(doc => ({ id: doc.id, ...doc.data() }))
+          .sort((a, b) => (b.orderDate?.toMillis() || 0) - (a.orderDate?.toMillis() || 0));
+        setCustomerOrders(orders);
+      }, (error) => console.error("Error fetching pharmacy orders:", error));
+
+      unsubscribePharmacyStock = onSnapshot(collection(db, pharmacyStockPath(userId)), (snapshot) => {
+        setPharmacyStock(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+      }, (error) => console.error("Error fetching pharmacy stock:", error));
+    }
+
+    return () => {
+      unsubscribeProducts();
+      unsubscribeDoctors();
+      unsubscribeCustomers();
+      unsubscribeListedInstitutions();
+      unsubscribeOwnProfile();
+      if (unsubscribeSalespersonReq) unsubscribeSalespersonReq();
+      if (unsubscribeInstitutionReq) unsubscribeInstitutionReq();
+      if (unsubscribeApprovedSalesperson) unsubscribeApprovedSalesperson();
+      if (unsubscribeApprovedInstitution) unsubscribeApprovedInstitution();
+      if (unsubscribeSuspendedSalespersons) unsubscribeSuspendedSalespersons();
+      if (unsubscribeSuspendedInstitutions) unsubscribeSuspendedInstitutions();
+      if (unsubscribeDoctorReq) unsubscribeDoctorReq();
+      if (unsubscribeDoctorAccounts) unsubscribeDoctorAccounts();
+      if (unsubscribePharmacyReq) unsubscribePharmacyReq();
+      if (unsubscribePharmacyAccounts) unsubscribePharmacyAccounts();
+      if (unsubscribeAuditLog) unsubscribeAuditLog();
+      if (unsubscribeRoleApplication) unsubscribeRoleApplication();
+      if (unsubscribeCustomerOrders) unsubscribeCustomerOrders();
+      if (unsubscribeAllOrders) unsubscribeAllOrders();
+      if (unsubscribeCustomerWallet) unsubscribeCustomerWallet();
+      if (unsubscribeCustomerWalletHistory) unsubscribeCustomerWalletHistory();
+      if (unsubscribeWalletTopUps) unsubscribeWalletTopUps();
+      if (unsubscribeWithdrawals) unsubscribeWithdrawals();
+      if (unsubscribePayoutSettings) unsubscribePayoutSettings();
+      if (unsubscribeCheckupFeeSettings) unsubscribeCheckupFeeSettings();
+      if (unsubscribeStatements) unsubscribeStatements();
+      if (unsubscribePatientOffers) unsubscribePatientOffers();
+      if (unsubscribeEPrescriptions) unsubscribeEPrescriptions();
+      if (unsubscribeAddresses) unsubscribeAddresses();
+      if (unsubscribeMedicalVisits) unsubscribeMedicalVisits();
+      if (unsubscribeCareTeam) unsubscribeCareTeam();
+      if (unsubscribeDoctorSlots) unsubscribeDoctorSlots();
+      if (unsubscribePharmacyQueue) unsubscribePharmacyQueue();
+      if (unsubscribePrescriptionReview) unsubscribePrescriptionReview();
+      if (unsubscribePharmacyStock) unsubscribePharmacyStock();
+      if (unsubscribeInstitutionCoins) unsubscribeInstitutionCoins();
+      if (unsubscribeSalespersonCoins) unsubscribeSalespersonCoins();
+      if (unsubscribeInstitutionCoinHistory) unsubscribeInstitutionCoinHistory();
+    };
+  }, [userId, userRole, roleApproved, loading]); // Re-run when userId, userRole or its approval changes
+
+  // --- Role Switching Logic ---
+  const handleRoleSwitch = async (e) => {
+    const newRole = e.target.value;
+    if (!userId || !dbRef.current) {
       displayMessage("User not authenticated or database not ready.", 'error');
       return;
     }
@@ -361,6 +3060,24 @@ const App = () => {
     }
   };
 
+  const handleSignOut = async () => {
+    if (!authRef.current) return;
+    if (user?.isAnonymous && !window.confirm("You are using a guest account. Signing out will lose access to its data. Continue?")) {
+      return;
+    }
+    try {
+      signedOutRef.current = true;
+      await signOut(authRef.current);
+      setCart([]);
+      setCartPrescription({ ePrescriptionId: '', file: null });
+      setCartAddressId('');
+      displayMessage('Signed out.', 'success');
+    } catch (error) {
+      console.error("Error signing out:", error);
+      displayMessage(`Failed to sign out: ${error.message}`, 'error');
+    }
+  };
+
   // --- Common UI Components ---
   const LoadingSpinner = () => (
     <div className="flex flex-col items-center justify-center min-h-screen bg-gray-50">
@@ -388,12 +3105,29 @@ const App = () => {
             className="bg-white text-blue-800 px-3 py-2 rounded-lg shadow-md focus:outline-none focus:ring-2 focus:ring-blue-400 font-inter"
           >
             <option value="" disabled>Switch Role</option>
-            <option value="customer">Customer</option>
-            <option value="institution">Institution</option>
-            <option value="salesperson">Salesperson</option>
-            <option value="doctor">Doctor</option>
+            {['customer', ...APPROVAL_REQUIRED_ROLES].map(role => (
+              <option key={role} value={role}>
+                {role.charAt(0).toUpperCase() + role.slice(1)}{isRoleApproved(role, grantedRoles) ? '' : ' (needs approval)'}
+              </option>
+            ))}
           </select>
         )}
+        {user?.isAnonymous && (
+          <button
+            onClick={() => setShowAccountUpgrade(true)}
+            className="bg-yellow-400 hover:bg-yellow-500 text-gray-900 px-3 py-2 rounded-lg shadow-md font-semibold font-inter"
+          >
+            Secure Account
+          </button>
+        )}
+        {user && (
+          <button
+            onClick={handleSignOut}
+            className="bg-white/20 hover:bg-white/30 text-white px-3 py-2 rounded-lg shadow-md font-semibold font-inter"
+          >
+            Sign Out
+          </button>
+        )}
       </div>
     </header>
   );
@@ -432,7 +3166,7 @@ const App = () => {
     </div>
   );
 
-  const InputField = ({ label, type = 'text', value, onChange, placeholder, min, step, required = false }) => (
+  const InputField = ({ label, type = 'text', value, onChange, placeholder, min, step, required = false, error }) => (
     <div className="mb-4">
       <label className="block text-gray-700 text-sm font-bold mb-2 font-inter">{label}</label>
       <input
@@ -443,19 +3177,20 @@ const App = () => {
         min={min}
         step={step}
         required={required}
-        className="shadow appearance-none border rounded-lg w-full py-2 px-3 text-gray-700 leading-tight focus:outline-none focus:ring-2 focus:ring-blue-400 transition-all duration-200 font-inter"
+        className={`shadow appearance-none border rounded-lg w-full py-2 px-3 text-gray-700 leading-tight focus:outline-none focus:ring-2 focus:ring-blue-400 transition-all duration-200 font-inter ${error ? 'border-red-500' : ''}`}
       />
+      {error && <p className="mt-1 text-xs text-red-600 font-inter">{error}</p>}
     </div>
   );
 
-  const SelectField = ({ label, value, onChange, options, required = false }) => (
+  const SelectField = ({ label, value, onChange, options, required = false, error }) => (
     <div className="mb-4">
       <label className="block text-gray-700 text-sm font-bold mb-2 font-inter">{label}</label>
       <select
         value={value}
         onChange={onChange}
         required={required}
-        className="shadow border rounded-lg w-full py-2 px-3 text-gray-700 leading-tight focus:outline-none focus:ring-2 focus:ring-blue-400 transition-all duration-200 bg-white font-inter"
+        className={`shadow border rounded-lg w-full py-2 px-3 text-gray-700 leading-tight focus:outline-none focus:ring-2 focus:ring-blue-400 transition-all duration-200 bg-white font-inter ${error ? 'border-red-500' : ''}`}
       >
         <option value="" disabled>Select an option</option>
         {options.map((option, index) => (
@@ -464,11 +3199,13 @@ const App = () => {
           </option>
         ))}
       </select>
+      {error && <p className="mt-1 text-xs text-red-600 font-inter">{error}</p>}
     </div>
   );
 
-  const ActionButton = ({ onClick, children, className = '' }) => (
+  const ActionButton = ({ onClick, children, className = '', type }) => (
     <button
+      type={type}
       onClick={onClick}
       className={`bg-blue-600 hover:bg-blue-700 text-white font-bold py-2 px-4 rounded-lg shadow-md transition-all duration-300 focus:outline-none focus:ring-2 focus:ring-blue-400 focus:ring-offset-2 font-inter ${className}`}
     >
@@ -476,6 +3213,74 @@ const App = () => {
     </button>
   );
 
+  // Picks medicines with a quantity and instructions each; used for e-prescriptions and visit notes
+  const MedicineLinesEditor = ({ lines, onChange }) => {
+    const [productId, setProductId] = useState('');
+    const [quantity, setQuantity] = useState('1');
+    const [instructions, setInstructions] = useState('');
+
+    const handleAddLine = () => {
+      const lineQuantity = Number(quantity);
+      if (!productId || !Number.isInteger(lineQuantity) || lineQuantity < 1) {
+        displayMessage("Select a medicine and enter a whole-number quantity.", 'error');
+        return;
+      }
+      if (lines.some(line => line.productId === productId)) {
+        displayMessage("That medicine is already on the list.", 'error');
+        return;
+      }
+      if (lines.length >= MAX_ORDER_LINE_ITEMS) {
+        displayMessage(`You can list up to ${MAX_ORDER_LINE_ITEMS} medicines.`, 'error');
+        return;
+      }
+      onChange([...lines, { productId, quantity: lineQuantity, instructions: instructions.trim() }]);
+      setProductId('');
+      setQuantity('1');
+      setInstructions('');
+    };
+
+    return (
+      <>
+        <SelectField
+          label="Medicine"
+          value={productId}
+          onChange={(e) => setProductId(e.target.value)}
+          options={products.filter(product => !product.archived).map(product => ({
+            value: product.id,
+            label: `${product.name}${product.strength ? ` ${product.strength}` : ''}${product.prescriptionRequired ? ' (Rx)' : ''}`,
+          }))}
+        />
+        <InputField label="Quantity" type="number" value={quantity} onChange={(e) => setQuantity(e.target.value)} min="1" />
+        <InputField
+          label="Instructions"
+          value={instructions}
+          onChange={(e) => setInstructions(e.target.value)}
+          placeholder="e.g., 1 tablet twice daily after meals for 5 days"
+        />
+        <ActionButton type="button" onClick={handleAddLine} className="bg-gray-600 hover:bg-gray-700">Add Medicine</ActionButton>
+        {lines.length > 0 && (
+          <ul className="mt-4 space-y-1 text-sm text-gray-700">
+            {lines.map((line) => (
+              <li key={line.productId} className="flex items-center justify-between">
+                <span>
+                  {products.find(p => p.id === line.productId)?.name || line.productId} × {line.quantity}
+                  {line.instructions && <span className="text-gray-500"> — {line.instructions}</span>}
+                </span>
+                <button
+                  type="button"
+                  onClick={() => onChange(lines.filter(item => item.productId !== line.productId))}
+                  className="text-red-600 hover:underline text-xs"
+                >
+                  Remove
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+      </>
+    );
+  };
+
   // --- Role Selection Screen ---
   const RoleSelection = () => {
     const handleSelectRole = async (role) => {
@@ -499,7 +3304,7 @@ const App = () => {
         <h2 className="text-3xl font-bold text-gray-800 mb-8 text-center font-inter">
           Welcome to MediQuick! Please select your role to proceed:
         </h2>
-        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6 w-full max-w-4xl">
+        <div className="grid grid-cols-1 md:grid-cols-3 lg:grid-cols-5 gap-6 w-full max-w-5xl">
           <ActionButton onClick={() => handleSelectRole('customer')} className="bg-green-500 hover:bg-green-600 p-6 text-xl rounded-xl">
             Customer
           </ActionButton>
@@ -512,189 +3317,836 @@ const App = () => {
           <ActionButton onClick={() => handleSelectRole('doctor')} className="bg-red-500 hover:bg-red-600 p-6 text-xl rounded-xl">
             Doctor
           </ActionButton>
+          <ActionButton onClick={() => handleSelectRole('pharmacy')} className="bg-teal-500 hover:bg-teal-600 p-6 text-xl rounded-xl">
+            Pharmacy
+          </ActionButton>
         </div>
         <p className="mt-10 text-sm text-gray-600 text-center max-w-md font-inter">
-          To access Admin features, your User ID must be manually assigned the 'admin' role in the Firebase console.
-          No user can self-assign as Admin, nor is there an in-app mail confirmation process for admin assignment.
+          Institutions, Salespersons, Doctors and Pharmacies complete a short registration with their documents and are activated once an admin approves them.
+          Admin access can only be assigned from the Firebase console.
         </p>
       </div>
     );
   };
 
+  // --- Prescription Review ---
+  // Uploaded prescriptions are reviewed by admins and pharmacies before the order joins the pharmacy queue.
+  // Approval releases the order to that queue; rejection closes it with a reason for the customer.
+  const handlePrescriptionDecision = async (order, approve) => {
+    if (!dbRef.current) return;
+    const reason = approve
+      ? prompt("Optional note for the approval (e.g. pharmacist remarks):")
+      : prompt(`Why is the prescription for order ${order.id} being rejected?`);
+    if (reason === null) return;
+    if (!approve && !reason.trim()) {
+      displayMessage("A reason is required to reject a prescription.", 'error');
+      return;
+    }
+    try {
+      const orderRef = doc(dbRef.current, `artifacts/${appId}/public/data/orders`, order.id);
+      await runTransaction(dbRef.current, async (transaction) => {
+        const transition = await prepareTransition(transaction, orderRef, 'order', approve ? 'approve_prescription' : 'reject_prescription', { id: userId, role: userRole });
+        transition.commit({
+          prescriptionReviewedBy: userId,
+          prescriptionReviewedAt: serverTimestamp(),
+          ...(approve ? {} : { prescriptionRejectionReason: reason.trim() }),
+        }, reason.trim() || null);
+      });
+      displayMessage(`Prescription ${approve ? 'approved; the order is now waiting for a pharmacy' : 'rejected'}.`, 'success');
+    } catch (error) {
+      if (error instanceof StateTransitionError) {
+        displayMessage(error.message, 'error');
+        return;
+      }
+      console.error("Error reviewing prescription:", error);
+      displayMessage(`Failed to review prescription: ${error.message}`, 'error');
+    }
+  };
+
+  const handleOpenPrescription = async (order) => {
+    try {
+      // Orders placed before uploads moved to private/prescription carry it on the order
+      const prescriptionSnap = await getDoc(orderPrescriptionRef(dbRef.current, order.id));
+      const prescription = prescriptionSnap.exists() ? prescriptionSnap.data().prescription : order.prescription;
+      await openStorageFile(storageRef.current, prescription.path);
+    } catch (error) {
+      console.error("Error opening prescription:", error);
+      displayMessage(`Failed to open prescription: ${error.message}`, 'error');
+    }
+  };
+
+  // `orders` are the orders awaiting review, oldest first
+  const PrescriptionReviewCard = ({ orders }) => (
+    <DashboardCard title="Prescription Review" icon={CheckCircle}>
+      <div className="overflow-x-auto">
+        <table className="min-w-full bg-white rounded-lg overflow-hidden shadow-sm">
+          <thead className="bg-gray-100">
+            <tr>
+              <th className="py-2 px-4 text-left text-sm font-semibold text-gray-600">Order ID</th>
+              <th className="py-2 px-4 text-left text-sm font-semibold text-gray-600">Customer</th>
+              <th className="py-2 px-4 text-left text-sm font-semibold text-gray-600">Prescription-Only Items</th>
+              <th className="py-2 px-4 text-left text-sm font-semibold text-gray-600">Prescription</th>
+              <th className="py-2 px-4 text-left text-sm font-semibold text-gray-600">Order Date</th>
+              <th className="py-2 px-4 text-left text-sm font-semibold text-gray-600">Actions</th>
+            </tr>
+          </thead>
+          <tbody>
+            {orders.length === 0 ? (
+              <tr><td colSpan="6" className="text-center py-4 text-gray-500">No prescriptions awaiting review.</td></tr>
+            ) : (
+              orders.map((order) => (
+                <tr key={order.id} className="border-b border-gray-100 last:border-b-0">
+                  <td className="py-2 px-4 text-gray-700 text-xs">{order.id}</td>
+                  <td className="py-2 px-4 text-gray-700 text-xs">{order.customerId}</td>
+                  <td className="py-2 px-4 text-gray-700">
+                    {getOrderLineItems(order)
+                      .filter(item => item.prescriptionRequired)
+                      .map(item => `${item.productName} × ${item.quantity}`)
+                      .join(', ')}
+                  </td>
+                  <td className="py-2 px-4">
+                    <button type="button" onClick={() => handleOpenPrescription(order)} className="text-indigo-600 hover:underline text-xs">
+                      View
+                    </button>
+                  </td>
+                  <td className="py-2 px-4 text-gray-700">{order.orderDate?.toDate().toLocaleDateString()}</td>
+                  <td className="py-2 px-4 space-x-2 whitespace-nowrap">
+                    <ActionButton onClick={() => handlePrescriptionDecision(order, true)} className="text-xs px-2 py-1 bg-green-600 hover:bg-green-700">
+                      Approve
+                    </ActionButton>
+                    <ActionButton onClick={() => handlePrescriptionDecision(order, false)} className="text-xs px-2 py-1 bg-red-600 hover:bg-red-700">
+                      Reject
+                    </ActionButton>
+                  </td>
+                </tr>
+              ))
+            )}
+          </tbody>
+        </table>
+      </div>
+    </DashboardCard>
+  );
+
   // --- Admin Dashboard ---
   const AdminDashboard = () => {
     // State for forms
-    const [productName, setProductName] = useState('');
-    const [productPrice, setProductPrice] = useState('');
-    const [productSerial, setProductSerial] = useState('');
-    const [productCoins, setProductCoins] = useState('');
-
-    const [doctorName, setDoctorName] = useState('');
-    const [doctorSpecialty, setDoctorSpecialty] = useState('');
-    const [doctorContact, setDoctorContact] = useState('');
-
-    const [salespersonName, setSalespersonName] = useState('');
-    const [salespersonContact, setSalespersonContact] = useState('');
-    const [salespersonBank, setSalespersonBank] = useState('');
-    const [salespersonAddress, setSalespersonAddress] = useState('');
-    const [salespersonAge, setSalespersonAge] = useState('');
-    const [salespersonCNIC, setSalespersonCNIC] = useState('');
-
-    const [institutionName, setInstitutionName] = useState('');
-    const [institutionContact, setInstitutionContact] = useState('');
-    const [institutionBank, setInstitutionBank] = useState('');
-    const [institutionAddress, setInstitutionAddress] = useState('');
-    const [institutionCNIC, setInstitutionCNIC] = useState('');
+    const emptyProductForm = {
+      name: '',
+      price: '',
+      serialNumber: '',
+      coinsAssigned: '',
+      stock: '',
+      category: '',
+      manufacturer: '',
+      dosageForm: '',
+      strength: '',
+      prescriptionRequired: false,
+    };
+    const [productForm, setProductForm] = useState(emptyProductForm);
+    const [productImage, setProductImage] = useState(null);
+    const [editingProduct, setEditingProduct] = useState(null);
+    const [productErrors, setProductErrors] = useState({});
+    const [showArchivedProducts, setShowArchivedProducts] = useState(false);
+
+    const [cycleDaysInput, setCycleDaysInput] = useState(String(payoutSettings.cycleDays));
+    const [coinValueInput, setCoinValueInput] = useState(String(payoutSettings.coinValue));
+    const [serviceFeeInput, setServiceFeeInput] = useState(String(payoutSettings.serviceFeePercent));
+    const [payoutSettingsErrors, setPayoutSettingsErrors] = useState({});
+
+    // Fee forms hold strings; specialties come from the directory plus any already configured
+    const toFeeForm = (fees) => ({
+      consultationFee: fees ? String(fees.consultationFee) : '',
+      salespersonCommission: fees ? String(fees.salespersonCommission) : '',
+    });
+    const feeSpecialties = [...new Set([
+      ...doctors.map(doctor => doctor.specialty).filter(Boolean),
+      ...Object.keys(checkupFeeSettings.specialtyFees || {}),
+    ])].sort();
+    const [defaultFeeForm, setDefaultFeeForm] = useState(toFeeForm(checkupFeeSettings.defaultFees));
+    const [specialtyFeeForms, setSpecialtyFeeForms] = useState(() => Object.fromEntries(
+      feeSpecialties.map(specialty => [specialty, toFeeForm(checkupFeeSettings.specialtyFees?.[specialty])])
+    ));
+    const [feeSettingsErrors, setFeeSettingsErrors] = useState({}); // { default, specialties: { [specialty]: { field: message } } }
+    const [editingFeesDoctor, setEditingFeesDoctor] = useState(null);
+    const [doctorFeeForm, setDoctorFeeForm] = useState(toFeeForm(null));
+    const [doctorFeeErrors, setDoctorFeeErrors] = useState({});
+
+    const [reconcileAccountId, setReconcileAccountId] = useState('');
+    const [reconcileResult, setReconcileResult] = useState(null);
 
     // --- Admin Form Handlers ---
-    const handleAddProduct = async (e) => {
+    const updateProductForm = (field, value) => setProductForm({ ...productForm, [field]: value });
+
+    const resetProductForm = () => {
+      setProductForm(emptyProductForm);
+      setProductImage(null);
+      setEditingProduct(null);
+      setProductErrors({});
+    };
+
+    const handleEditProduct = (product) => {
+      setEditingProduct(product);
+      setProductForm({
+        ...emptyProductForm,
+        ...Object.fromEntries(Object.keys(emptyProductForm)
+          .filter(field => product[field] !== undefined && product[field] !== null)
+          .map(field => [field, typeof product[field] === 'number' ? String(product[field]) : product[field]])),
+      });
+      setProductImage(null);
+      setProductErrors({});
+    };
+
+    // Adds a product, or saves the one being edited. A new image replaces the previous one.
+    const handleSaveProduct = async (e) => {
       e.preventDefault();
       if (!dbRef.current) return;
+      const fieldErrors = validateFields('product', productForm);
+      const imageError = productImage ? validateProductImage(productImage) : null;
+      if (imageError) fieldErrors.image = imageError;
+      setProductErrors(fieldErrors);
+      if (Object.keys(fieldErrors).length > 0) return;
       try {
-        await addDoc(collection(dbRef.current, `artifacts/${appId}/public/data/products`), {
-          name: productName,
-          price: parseFloat(productPrice),
-          serialNumber: productSerial,
-          coinsAssigned: parseInt(productCoins),
-          createdAt: serverTimestamp(),
+        const productRef = editingProduct
+          ? doc(dbRef.current, `artifacts/${appId}/public/data/products`, editingProduct.id)
+          : doc(collection(dbRef.current, `artifacts/${appId}/public/data/products`));
+        const productData = buildProductDocument(productForm);
+        if (productImage) {
+          const imagePath = `artifacts/${appId}/products/${productRef.id}/image-${Date.now()}-${productImage.name}`;
+          const imageRef = storageFileRef(storageRef.current, imagePath);
+          await uploadBytes(imageRef, productImage, { contentType: productImage.type });
+          productData.imagePath = imagePath;
+          productData.imageUrl = await getDownloadURL(imageRef);
+        }
+        if (editingProduct) {
+          await updateDoc(productRef, { ...productData, updatedBy: userId, updatedAt: serverTimestamp() });
+          // The replaced image is no longer referenced; a failed cleanup shouldn't fail the save
+          if (productImage && editingProduct.imagePath) {
+            deleteObject(storageFileRef(storageRef.current, editingProduct.imagePath))
+              .catch((error) => console.error("Error deleting old product image:", error));
+          }
+          displayMessage(`${productData.name} updated.`, 'success');
+        } else {
+          await setDoc(productRef, { ...productData, archived: false, createdAt: serverTimestamp() });
+          displayMessage('Product added successfully!', 'success');
+        }
+        resetProductForm();
+      } catch (error) {
+        console.error("Error saving product:", error);
+        displayMessage(`Failed to save product: ${error.message}`, 'error');
+      }
+    };
+
+    // Archived products stay on past orders but can no longer be bought
+    const handleSetProductArchived = async (product, archived) => {
+      if (!dbRef.current) return;
+      if (archived && !window.confirm(`Archive ${product.name}? Customers and doctors will no longer be able to buy it.`)) return;
+      try {
+        await updateDoc(doc(dbRef.current, `artifacts/${appId}/public/data/products`, product.id), {
+          archived: archived,
+          archivedAt: archived ? serverTimestamp() : null,
+          updatedBy: userId,
+          updatedAt: serverTimestamp(),
         });
-        displayMessage('Product added successfully!', 'success');
-        setProductName(''); setProductPrice(''); setProductSerial(''); setProductCoins('');
+        if (editingProduct?.id === product.id) resetProductForm();
+        displayMessage(`${product.name} ${archived ? 'archived' : 'restored'}.`, 'success');
       } catch (error) {
-        console.error("Error adding product:", error);
-        displayMessage(`Failed to add product: ${error.message}`, 'error');
+        console.error("Error updating product:", error);
+        displayMessage(`Failed to update product: ${error.message}`, 'error');
       }
     };
 
-    const handleAddDoctor = async (e) => {
-      e.preventDefault();
+    const listedProducts = products.filter(product => showArchivedProducts || !product.archived);
+
+    // How each application decision changes the applicant's profile. Approval also switches them to the role.
+    const ROLE_REQUEST_PROFILE_EFFECTS = {
+      approve: (role) => ({ role: role, grantedRoles: arrayUnion(role) }),
+      reject: () => ({}),
+      suspend: (role) => ({ grantedRoles: arrayRemove(role) }),
+      reactivate: (role) => ({ grantedRoles: arrayUnion(role) }),
+      revoke: (role) => ({ grantedRoles: arrayRemove(role) }),
+    };
+
+    // Moves an application through the roleRequest machine, updates the applicant's profile and
+    // records the decision in the admin audit log, all in one transaction.
+    const processRoleRequest = async (role, request, action, fields, profileFields = {}, reason = null) => {
+      const requestRef = doc(dbRef.current, `artifacts/${appId}/public/data/${ROLE_REQUEST_COLLECTIONS[role]}`, request.id);
+      const toStatus = STATE_MACHINES.roleRequest.transitions[action].to;
+      await runTransaction(dbRef.current, async (transaction) => {
+        const transition = await prepareTransition(transaction, requestRef, 'roleRequest', action, { id: userId, role: userRole });
+        // Requests filed before applications were linked to accounts have no profile to update
+        if (request.userId) {
+          transaction.set(userProfileRef(dbRef.current, request.userId), {
+            ...profileFields,
+            ...ROLE_REQUEST_PROFILE_EFFECTS[action](role),
+            roleApprovals: { [role]: toStatus },
+          }, { merge: true });
+        }
+        // Customers only see doctors whose directory entry is verified, so keep it in step with the account
+        if (role === 'doctor' && request.userId) {
+          transaction.set(doc(dbRef.current, `artifacts/${appId}/public/data/doctors`, request.userId), {
+            ...(action === 'approve' ? {
+              userId: request.userId,
+              name: request.name,
+              specialty: request.specialty,
+              licenseNumber: request.licenseNumber,
+              clinicAddress: request.clinicAddress,
+              contactInfo: request.contactNumber,
+              createdAt: serverTimestamp(),
+            } : {}),
+            verified: toStatus === ROLE_REQUEST_STATUS.APPROVED,
+            verifiedAt: toStatus === ROLE_REQUEST_STATUS.APPROVED ? serverTimestamp() : null,
+          }, { merge: true });
+        }
+        // Likewise the donation picker lists institutions from their public directory entry, which
+        // carries only the name
+        if (role === 'institution' && request.userId) {
+          transaction.set(doc(dbRef.current, `artifacts/${appId}/public/data/institutions`, request.userId), {
+            ...(action === 'approve' ? { userId: request.userId, name: request.name } : {}),
+            listed: toStatus === ROLE_REQUEST_STATUS.APPROVED,
+          }, { merge: true });
+        }
+        transaction.set(doc(collection(dbRef.current, `artifacts/${appId}/public/data/adminAuditLog`)), {
+          action: action,
+          role: role,
+          requestId: request.id,
+          targetUserId: request.userId || null,
+          targetName: request.name || null,
+          fromStatus: transition.data.status,
+          toStatus: toStatus,
+          reason: reason,
+          performedBy: userId,
+          performedAt: serverTimestamp(),
+        });
+        transition.commit(fields, reason);
+      });
+    };
+
+    // Decisions that only need a reason (or a confirmation) from the admin
+    const ROLE_REQUEST_DECISIONS = {
+      reject: {
+        prompt: "Reason for rejecting this application (shown to the applicant):",
+        fields: (reason) => ({ rejectedBy: userId, rejectedAt: serverTimestamp(), rejectionReason: reason }),
+        success: 'Application rejected.',
+      },
+      suspend: {
+        prompt: "Reason for suspending this account (shown to the user):",
+        fields: (reason) => ({ suspendedBy: userId, suspendedAt: serverTimestamp(), suspensionReason: reason }),
+        success: 'Account suspended.',
+      },
+      reactivate: {
+        confirm: "Reactivate this account?",
+        fields: () => ({ reactivatedBy: userId, reactivatedAt: serverTimestamp() }),
+        success: 'Account reactivated.',
+      },
+      revoke: {
+        prompt: "Reason for permanently revoking this account (shown to the user):",
+        fields: (reason) => ({ revokedBy: userId, revokedAt: serverTimestamp(), revocationReason: reason }),
+        success: 'Account revoked.',
+      },
+    };
+
+    const handleRoleRequestDecision = async (role, request, action) => {
       if (!dbRef.current) return;
+      const decision = ROLE_REQUEST_DECISIONS[action];
+      let reason = null;
+      if (decision.prompt) {
+        reason = prompt(decision.prompt);
+        if (!reason) {
+          displayMessage("A reason is required.", 'error');
+          return;
+        }
+      } else if (!window.confirm(decision.confirm)) {
+        return;
+      }
       try {
-        await addDoc(collection(dbRef.current, `artifacts/${appId}/public/data/doctors`), {
-          name: doctorName,
-          specialty: doctorSpecialty,
-          contactInfo: doctorContact,
-          createdAt: serverTimestamp(),
+        await processRoleRequest(role, request, action, decision.fields(reason), {}, reason);
+        displayMessage(decision.success, 'success');
+      } catch (error) {
+        if (error instanceof StateTransitionError) {
+          displayMessage(error.message, 'error');
+          return;
+        }
+        console.error(`Error applying ${action} to application:`, error);
+        displayMessage(`Failed to ${action} application: ${error.message}`, 'error');
+      }
+    };
+
+    // Suspend/reactivate/revoke buttons for an approved or suspended account
+    const RoleAccountActions = ({ role, request }) => (
+      <div className="flex flex-wrap gap-1">
+        {request.status === ROLE_REQUEST_STATUS.APPROVED && (
+          <ActionButton onClick={() => handleRoleRequestDecision(role, request, 'suspend')} className="text-xs px-2 py-1 bg-orange-500 hover:bg-orange-600">Suspend</ActionButton>
+        )}
+        {request.status === ROLE_REQUEST_STATUS.SUSPENDED && (
+          <ActionButton onClick={() => handleRoleRequestDecision(role, request, 'reactivate')} className="text-xs px-2 py-1 bg-green-500 hover:bg-green-600">Reactivate</ActionButton>
+        )}
+        <ActionButton onClick={() => handleRoleRequestDecision(role, request, 'revoke')} className="text-xs px-2 py-1 bg-red-500 hover:bg-red-600">Revoke</ActionButton>
+      </div>
+    );
+
+    const handleApproveSalesperson = async (request) => {
+      if (!request.userId) {
+        displayMessage("This request is not linked to a user account. Ask the applicant to apply from their own account.", 'error');
+        return;
+      }
+      const managerAssignedId = prompt("Enter Manager Assigned ID:");
+      if (!managerAssignedId) {
+        displayMessage("Manager Assigned ID is required.", 'error');
+        return;
+      }
+      if (!dbRef.current) return;
+      try {
+        await processRoleRequest('salesperson', request, 'approve', {
+          approvedBy: userId,
+          approvedAt: serverTimestamp(),
+          managerAssignedId: managerAssignedId,
+        }, {
+          name: request.name,
+          contactNumber: request.contactNumber,
+          bankDetails: request.bankDetails,
+          address: request.address,
+          age: request.age,
+          cnic: request.cnic,
+          managerAssignedId: managerAssignedId,
+        });
+        displayMessage('Salesperson approved successfully!', 'success');
+      } catch (error) {
+        console.error("Error approving salesperson:", error);
+        displayMessage(`Failed to approve salesperson: ${error.message}`, 'error');
+      }
+    };
+
+    const handleApproveInstitution = async (request) => {
+      if (!request.userId) {
+        displayMessage("This request is not linked to a user account. Ask the applicant to apply from their own account.", 'error');
+        return;
+      }
+      if (!dbRef.current) return;
+      try {
+        await processRoleRequest('institution', request, 'approve', {
+          approvedBy: userId,
+          approvedAt: serverTimestamp(),
+        }, {
+          name: request.name,
+          contactNumber: request.contactNumber,
+          bankDetails: request.bankDetails,
+          address: request.address,
+          cnic: request.cnic,
+          registrationNumber: request.registrationNumber || null,
+        });
+        displayMessage('Institution approved successfully!', 'success');
+      } catch (error) {
+        console.error("Error approving institution:", error);
+        displayMessage(`Failed to approve institution: ${error.message}`, 'error');
+      }
+    };
+
+    const handleApproveDoctor = async (request) => {
+      if (!dbRef.current) return;
+      try {
+        await processRoleRequest('doctor', request, 'approve', {
+          approvedBy: userId,
+          approvedAt: serverTimestamp(),
+        }, {
+          name: request.name,
+          contactNumber: request.contactNumber,
+          cnic: request.cnic,
+          specialty: request.specialty,
+          licenseNumber: request.licenseNumber,
+          clinicAddress: request.clinicAddress,
+        });
+        displayMessage('Doctor verified successfully!', 'success');
+      } catch (error) {
+        console.error("Error approving doctor:", error);
+        displayMessage(`Failed to approve doctor: ${error.message}`, 'error');
+      }
+    };
+
+    const handleApprovePharmacy = async (request) => {
+      if (!dbRef.current) return;
+      try {
+        await processRoleRequest('pharmacy', request, 'approve', {
+          approvedBy: userId,
+          approvedAt: serverTimestamp(),
+        }, {
+          name: request.name,
+          contactNumber: request.contactNumber,
+          cnic: request.cnic,
+          licenseNumber: request.licenseNumber,
+          address: request.address,
         });
-        displayMessage('Doctor added successfully!', 'success');
-        setDoctorName(''); setDoctorSpecialty(''); setDoctorContact('');
+        displayMessage('Pharmacy approved successfully!', 'success');
       } catch (error) {
-        console.error("Error adding doctor:", error);
-        displayMessage(`Failed to add doctor: ${error.message}`, 'error');
+        console.error("Error approving pharmacy:", error);
+        displayMessage(`Failed to approve pharmacy: ${error.message}`, 'error');
       }
     };
 
-    const handleSubmitSalespersonRequest = async (e) => {
+    const handleReconcileAccount = async (e) => {
       e.preventDefault();
+      if (!dbRef.current || !reconcileAccountId) return;
+      try {
+        const result = await reconcileAccount(dbRef.current, reconcileAccountId.trim());
+        setReconcileResult(result);
+        displayMessage(
+          result.difference === 0 ? 'Balance matches the ledger.' : `Balance differs from the ledger by ${result.difference} coins.`,
+          result.difference === 0 ? 'success' : 'error'
+        );
+      } catch (error) {
+        console.error("Error reconciling account:", error);
+        displayMessage(`Failed to reconcile account: ${error.message}`, 'error');
+      }
+    };
+
+    const handleAdoptLedgerBalance = async () => {
+      if (!dbRef.current || !reconcileResult) return;
+      try {
+        await adoptLedgerBalance(dbRef.current, reconcileResult.accountId, userId);
+        setReconcileResult(await reconcileAccount(dbRef.current, reconcileResult.accountId));
+        displayMessage('Stored balance reset to the ledger balance.', 'success');
+      } catch (error) {
+        console.error("Error adopting ledger balance:", error);
+        displayMessage(`Failed to update balance: ${error.message}`, 'error');
+      }
+    };
+
+    const handleRecordOpeningBalance = async () => {
+      if (!dbRef.current || !reconcileResult) return;
+      try {
+        await recordOpeningBalance(dbRef.current, reconcileResult.accountId, reconcileResult.difference, userId);
+        setReconcileResult(await reconcileAccount(dbRef.current, reconcileResult.accountId));
+        displayMessage('Opening balance recorded in the ledger.', 'success');
+      } catch (error) {
+        console.error("Error recording opening balance:", error);
+        displayMessage(`Failed to record opening balance: ${error.message}`, 'error');
+      }
+    };
+
+    const handleConfirmTopUp = async (request) => {
       if (!dbRef.current) return;
       try {
-        await addDoc(collection(dbRef.current, `artifacts/${appId}/public/data/salespersonRequests`), {
-          name: salespersonName,
-          contactNumber: salespersonContact,
-          bankDetails: salespersonBank,
-          address: salespersonAddress,
-          age: parseInt(salespersonAge),
-          cnic: salespersonCNIC,
-          status: 'pending',
-          requestDate: serverTimestamp(),
+        // Claim the request and credit the wallet atomically so a top-up can never be credited twice
+        const requestRef = doc(dbRef.current, `artifacts/${appId}/public/data/walletTopUps`, request.id);
+        await runTransaction(dbRef.current, async (transaction) => {
+          const requestSnap = await transaction.get(requestRef);
+          if (!requestSnap.exists() || requestSnap.data().status !== 'pending') {
+            throw new Error("This top-up request has already been processed.");
+          }
+          const commitCoins = await prepareCoinMovement(transaction, dbRef.current, {
+            type: 'wallet_topup',
+            amount: request.amount,
+            debitAccountId: SYSTEM_ACCOUNTS.PLATFORM,
+            creditAccountId: request.customerId,
+            initiatedBy: userId,
+            description: `Wallet top-up (ref: ${request.paymentReference})`,
+            references: { topUpRequestId: request.id },
+          });
+          const ledgerEntryId = commitCoins();
+          transaction.update(requestRef, {
+            status: 'confirmed',
+            confirmedBy: userId,
+            confirmedAt: serverTimestamp(),
+            ledgerEntryId: ledgerEntryId,
+          });
+        });
+        displayMessage(`Credited ${request.amount} coins to ${request.customerId}.`, 'success');
+      } catch (error) {
+        console.error("Error confirming top-up:", error);
+        displayMessage(`Failed to confirm top-up: ${error.message}`, 'error');
+      }
+    };
+
+    const handleRejectTopUp = async (request) => {
+      if (!dbRef.current) return;
+      try {
+        await updateDoc(doc(dbRef.current, `artifacts/${appId}/public/data/walletTopUps`, request.id), {
+          status: 'rejected',
+          rejectedBy: userId,
+          rejectedAt: serverTimestamp(),
+        });
+        displayMessage('Top-up request rejected.', 'success');
+      } catch (error) {
+        console.error("Error rejecting top-up:", error);
+        displayMessage(`Failed to reject top-up: ${error.message}`, 'error');
+      }
+    };
+
+    const prescriptionReviewQueue = allOrders
+      .filter(order => order.status === ORDER_STATUS.PENDING_PRESCRIPTION_REVIEW)
+      .sort((a, b) => (a.orderDate?.toMillis() || 0) - (b.orderDate?.toMillis() || 0));
+
+    // Each payout step moves the held coins one account further along and records why
+    const WITHDRAWAL_COIN_MOVEMENTS = {
+      approve: () => ({
+        type: 'withdrawal_approved',
+        debitAccountId: SYSTEM_ACCOUNTS.WITHDRAWAL_HOLD,
+        creditAccountId: SYSTEM_ACCOUNTS.PAYOUTS_APPROVED,
+        description: 'Withdrawal approved for payout',
+      }),
+      reject: (request) => ({
+        type: 'withdrawal_refund',
+        debitAccountId: request.status === WITHDRAWAL_STATUS.APPROVED ? SYSTEM_ACCOUNTS.PAYOUTS_APPROVED : SYSTEM_ACCOUNTS.WITHDRAWAL_HOLD,
+        creditAccountId: request.institutionId,
+        description: 'Withdrawal rejected; coins returned',
+      }),
+      mark_paid: () => ({
+        type: 'withdrawal_paid',
+        debitAccountId: SYSTEM_ACCOUNTS.PAYOUTS_APPROVED,
+        creditAccountId: SYSTEM_ACCOUNTS.PAID_OUT,
+        description: 'Withdrawal paid to bank account',
+      }),
+    };
+
+    const processWithdrawal = async (requestId, action, fields) => {
+      const requestRef = doc(dbRef.current, `artifacts/${appId}/public/data/withdrawalRequests`, requestId);
+      await runTransaction(dbRef.current, async (transaction) => {
+        const transition = await prepareTransition(transaction, requestRef, 'withdrawal', action, { id: userId, role: userRole });
+        const commitCoins = await prepareCoinMovement(transaction, dbRef.current, {
+          ...WITHDRAWAL_COIN_MOVEMENTS[action](transition.data),
+          amount: transition.data.amount,
+          initiatedBy: userId,
+          references: { withdrawalRequestId: requestId },
         });
-        displayMessage('Salesperson request submitted!', 'success');
-        setSalespersonName(''); setSalespersonContact(''); setSalespersonBank('');
-        setSalespersonAddress(''); setSalespersonAge(''); setSalespersonCNIC('');
+        const ledgerEntryId = commitCoins();
+        transition.commit({ ...fields, ledgerEntryIds: arrayUnion(ledgerEntryId) });
+      });
+    };
+
+    const handleApproveWithdrawal = async (request) => {
+      if (!dbRef.current) return;
+      try {
+        await processWithdrawal(request.id, 'approve', { approvedBy: userId, approvedAt: serverTimestamp() });
+        displayMessage('Withdrawal approved.', 'success');
+      } catch (error) {
+        console.error("Error approving withdrawal:", error);
+        displayMessage(`Failed to approve withdrawal: ${error.message}`, 'error');
+      }
+    };
+
+    const handleRejectWithdrawal = async (request) => {
+      const rejectionReason = prompt("Enter reason for rejection:");
+      if (!rejectionReason) {
+        displayMessage("A rejection reason is required.", 'error');
+        return;
+      }
+      if (!dbRef.current) return;
+      try {
+        await processWithdrawal(request.id, 'reject', { rejectedBy: userId, rejectedAt: serverTimestamp(), rejectionReason });
+        displayMessage('Withdrawal rejected and coins returned.', 'success');
+      } catch (error) {
+        console.error("Error rejecting withdrawal:", error);
+        displayMessage(`Failed to reject withdrawal: ${error.message}`, 'error');
+      }
+    };
+
+    const handleMarkWithdrawalPaid = async (request) => {
+      const payoutReference = prompt("Enter bank transfer reference number:");
+      if (!payoutReference) {
+        displayMessage("A payout reference number is required.", 'error');
+        return;
+      }
+      if (!dbRef.current) return;
+      try {
+        await processWithdrawal(request.id, 'mark_paid', { paidBy: userId, paidAt: serverTimestamp(), payoutReference });
+        displayMessage('Withdrawal marked as paid.', 'success');
       } catch (error) {
-        console.error("Error submitting salesperson request:", error);
-        displayMessage(`Failed to submit request: ${error.message}`, 'error');
+        console.error("Error marking withdrawal paid:", error);
+        displayMessage(`Failed to mark withdrawal paid: ${error.message}`, 'error');
       }
     };
 
-    const handleSubmitInstitutionRequest = async (e) => {
+    const handleSavePayoutSettings = async (e) => {
       e.preventDefault();
       if (!dbRef.current) return;
+      const fieldErrors = validateFields('payoutSettings', {
+        cycleDays: cycleDaysInput,
+        coinValue: coinValueInput,
+        serviceFeePercent: serviceFeeInput,
+      });
+      setPayoutSettingsErrors(fieldErrors);
+      if (Object.keys(fieldErrors).length > 0) return;
+      const cycleDays = parseInt(cycleDaysInput);
+      const coinValue = parseFloat(coinValueInput);
+      const serviceFeePercent = parseFloat(serviceFeeInput);
       try {
-        await addDoc(collection(dbRef.current, `artifacts/${appId}/public/data/institutionRequests`), {
-          name: institutionName,
-          contactNumber: institutionContact,
-          bankDetails: institutionBank,
-          address: institutionAddress,
-          cnic: institutionCNIC,
-          status: 'pending',
-          requestDate: serverTimestamp(),
+        await setDoc(doc(dbRef.current, `artifacts/${appId}/public/data/settings`, 'payoutCycle'), {
+          cycleDays,
+          coinValue,
+          serviceFeePercent,
+          updatedBy: userId,
+          updatedAt: serverTimestamp(),
+        }, { merge: true });
+        displayMessage('Payout cycle updated.', 'success');
+      } catch (error) {
+        console.error("Error saving payout settings:", error);
+        displayMessage(`Failed to save payout settings: ${error.message}`, 'error');
+      }
+    };
+
+    const updateSpecialtyFeeForm = (specialty, field, value) => {
+      setSpecialtyFeeForms(prev => ({
+        ...prev,
+        [specialty]: { ...(prev[specialty] || toFeeForm(null)), [field]: value },
+      }));
+    };
+
+    const handleSaveCheckupFeeSettings = async (e) => {
+      e.preventDefault();
+      if (!dbRef.current) return;
+      const errors = { default: validateCheckupFees(defaultFeeForm), specialties: {} };
+      const specialtyFees = {};
+      feeSpecialties.forEach((specialty) => {
+        const form = specialtyFeeForms[specialty] || toFeeForm(null);
+        // Leaving both blank means the specialty uses the general default
+        if (isBlank(form.consultationFee) && isBlank(form.salespersonCommission)) return;
+        const fieldErrors = validateCheckupFees(form);
+        if (Object.keys(fieldErrors).length > 0) {
+          errors.specialties[specialty] = fieldErrors;
+          return;
+        }
+        specialtyFees[specialty] = {
+          consultationFee: parseInt(form.consultationFee),
+          salespersonCommission: parseInt(form.salespersonCommission),
+        };
+      });
+      setFeeSettingsErrors(errors);
+      if (Object.keys(errors.default).length > 0 || Object.keys(errors.specialties).length > 0) return;
+      try {
+        await setDoc(doc(dbRef.current, `artifacts/${appId}/public/data/settings`, 'checkupFees'), {
+          defaultFees: {
+            consultationFee: parseInt(defaultFeeForm.consultationFee),
+            salespersonCommission: parseInt(defaultFeeForm.salespersonCommission),
+          },
+          specialtyFees: specialtyFees,
+          updatedBy: userId,
+          updatedAt: serverTimestamp(),
         });
-        displayMessage('Institution request submitted!', 'success');
-        setInstitutionName(''); setInstitutionContact(''); setInstitutionBank('');
-        setInstitutionAddress(''); setInstitutionCNIC('');
+        displayMessage('Checkup fees updated. Existing appointments keep the fees they were booked with.', 'success');
       } catch (error) {
-        console.error("Error submitting institution request:", error);
-        displayMessage(`Failed to submit request: ${error.message}`, 'error');
+        console.error("Error saving checkup fees:", error);
+        displayMessage(`Failed to save checkup fees: ${error.message}`, 'error');
       }
     };
 
-    const handleApproveSalesperson = async (requestId, currentSalespersonData) => {
-      const managerAssignedId = prompt("Enter Manager Assigned ID:");
-      if (!managerAssignedId) {
-        displayMessage("Manager Assigned ID is required.", 'error');
+    const handleEditDoctorFees = (doctor) => {
+      setEditingFeesDoctor(doctor);
+      setDoctorFeeForm(toFeeForm(getCheckupFees(doctor, checkupFeeSettings)));
+      setDoctorFeeErrors({});
+    };
+
+    // Passing null clears the doctor's own fees so the specialty default applies again
+    const handleSaveDoctorFees = async (fees) => {
+      if (!dbRef.current || !editingFeesDoctor) return;
+      let checkupFees = null;
+      if (fees) {
+        const fieldErrors = validateCheckupFees(fees);
+        setDoctorFeeErrors(fieldErrors);
+        if (Object.keys(fieldErrors).length > 0) return;
+        checkupFees = {
+          consultationFee: parseInt(fees.consultationFee),
+          salespersonCommission: parseInt(fees.salespersonCommission),
+        };
+      }
+      try {
+        await updateDoc(doc(dbRef.current, `artifacts/${appId}/public/data/doctors`, editingFeesDoctor.id), {
+          checkupFees: checkupFees,
+        });
+        displayMessage(`Checkup fees for Dr. ${editingFeesDoctor.name} ${checkupFees ? 'updated' : 'reset to the specialty default'}.`, 'success');
+        setEditingFeesDoctor(null);
+      } catch (error) {
+        console.error("Error saving doctor fees:", error);
+        displayMessage(`Failed to save doctor fees: ${error.message}`, 'error');
+      }
+    };
+
+    const handleGenerateStatements = async () => {
+      if (!dbRef.current) return;
+      const nextStatementDate = getNextStatementDate(payoutSettings);
+      if (nextStatementDate > new Date()) {
+        displayMessage(`The current payout cycle ends on ${nextStatementDate.toLocaleDateString()}.`, 'error');
+        return;
+      }
+      try {
+        const periodEnd = Timestamp.now();
+        const periodStart = payoutSettings.lastStatementPeriodEnd;
+        const constraints = [
+          where('type', 'in', SALESPERSON_EARNING_TYPES),
+          where('createdAt', '<', periodEnd),
+        ];
+        if (periodStart) constraints.push(where('createdAt', '>=', periodStart));
+        const ledgerSnapshot = await getDocs(query(collection(dbRef.current, `artifacts/${appId}/public/data/ledger`), ...constraints));
+        const statements = buildSalespersonStatements(ledgerSnapshot.docs, payoutSettings);
+
+        const batch = writeBatch(dbRef.current);
+        statements.forEach((statement) => {
+          const statementRef = doc(collection(dbRef.current, `artifacts/${appId}/public/data/salespersonStatements`));
+          batch.set(statementRef, buildInitialDocument('statement', 'generate', { id: userId, role: userRole }, {
+            ...statement,
+            periodStart: periodStart || Timestamp.fromMillis(0),
+            periodEnd,
+            generatedAt: serverTimestamp(),
+          }));
+        });
+        // Advancing the period end in the same batch stops entries from appearing on two statements
+        batch.set(doc(dbRef.current, `artifacts/${appId}/public/data/settings`, 'payoutCycle'), {
+          lastStatementPeriodEnd: periodEnd,
+        }, { merge: true });
+        await batch.commit();
+        displayMessage(`Generated ${statements.length} salesperson statement(s).`, 'success');
+      } catch (error) {
+        console.error("Error generating statements:", error);
+        displayMessage(`Failed to generate statements: ${error.message}`, 'error');
+      }
+    };
+
+    const handleSettleStatement = async (statement) => {
+      const payoutReference = prompt("Enter payout reference number:");
+      if (!payoutReference) {
+        displayMessage("A payout reference number is required.", 'error');
         return;
       }
       if (!dbRef.current) return;
       try {
-        const docRef = doc(dbRef.current, `artifacts/${appId}/public/data/salespersonRequests`, requestId);
-        await updateDoc(docRef, {
-          status: 'approved',
-          managerAssignedId: managerAssignedId,
-          approvedAt: serverTimestamp(),
+        const statementRef = doc(dbRef.current, `artifacts/${appId}/public/data/salespersonStatements`, statement.id);
+        await runTransaction(dbRef.current, async (transaction) => {
+          const transition = await prepareTransition(transaction, statementRef, 'statement', 'settle', { id: userId, role: userRole });
+          // Paying out removes the settled coins from the salesperson's payable balance
+          const commitSettlement = await prepareCoinMovement(transaction, dbRef.current, {
+            type: 'earnings_settlement',
+            amount: transition.data.totalCoins,
+            debitAccountId: transition.data.salespersonId,
+            creditAccountId: SYSTEM_ACCOUNTS.PAID_OUT,
+            initiatedBy: userId,
+            description: `Earnings settled (ref: ${payoutReference})`,
+            references: { statementId: statement.id },
+          });
+          const settlementLedgerEntryId = commitSettlement();
+          transition.commit({
+            settledBy: userId,
+            settledAt: serverTimestamp(),
+            payoutReference,
+            settlementLedgerEntryId,
+          });
         });
-
-        // Also create a user profile for the salesperson if they don't have one
-        // Use the request ID as the user ID for simplicity, or generate a new one
-        const salespersonUserId = requestId; // Or link to an existing user ID if available
-        const salespersonProfileRef = doc(dbRef.current, `artifacts/${appId}/users/${salespersonUserId}/profile`, salespersonUserId);
-        await setDoc(salespersonProfileRef, {
-          role: 'salesperson',
-          name: currentSalespersonData.name,
-          contactNumber: currentSalespersonData.contactNumber,
-          bankDetails: currentSalespersonData.bankDetails,
-          address: currentSalespersonData.address,
-          age: currentSalespersonData.age,
-          cnic: currentSalespersonData.cnic,
-          managerAssignedId: managerAssignedId,
-          coins: 0, // Initialize coins for salesperson
-          approved: true,
-        }, { merge: true });
-
-        displayMessage('Salesperson approved successfully!', 'success');
+        displayMessage('Statement settled.', 'success');
       } catch (error) {
-        console.error("Error approving salesperson:", error);
-        displayMessage(`Failed to approve salesperson: ${error.message}`, 'error');
+        if (error instanceof InsufficientFundsError || error instanceof StateTransitionError) {
+          displayMessage(error.message, 'error');
+          return;
+        }
+        console.error("Error settling statement:", error);
+        displayMessage(`Failed to settle statement: ${error.message}`, 'error');
       }
     };
 
-    const handleApproveInstitution = async (requestId, currentInstitutionData) => {
+    const handleMigrateLegacyOrders = async () => {
       if (!dbRef.current) return;
       try {
-        const docRef = doc(dbRef.current, `artifacts/${appId}/public/data/institutionRequests`, requestId);
-        await updateDoc(docRef, {
-          status: 'approved',
-          approvedAt: serverTimestamp(),
-        });
-
-        // Create a user profile for the institution
-        const institutionUserId = requestId; // Or link to an existing user ID
-        const institutionProfileRef = doc(dbRef.current, `artifacts/${appId}/users/${institutionUserId}/profile`, institutionUserId);
-        await setDoc(institutionProfileRef, {
-          role: 'institution',
-          name: currentInstitutionData.name,
-          contactNumber: currentInstitutionData.contactNumber,
-          bankDetails: currentInstitutionData.bankDetails,
-          address: currentInstitutionData.address,
-          cnic: currentInstitutionData.cnic,
-          coins: 0, // Initialize coins for institution
-          approved: true,
-        }, { merge: true });
-
-        displayMessage('Institution approved successfully!', 'success');
+        const migratedCount = await migrateAllLegacyOrders(dbRef.current);
+        displayMessage(`Migrated ${migratedCount} legacy order(s) to the central order store.`, 'success');
       } catch (error) {
-        console.error("Error approving institution:", error);
-        displayMessage(`Failed to approve institution: ${error.message}`, 'error');
+        console.error("Error migrating legacy orders:", error);
+        displayMessage(`Failed to migrate legacy orders: ${error.message}`, 'error');
       }
     };
 
@@ -705,74 +4157,173 @@ const App = () => {
         </h1>
 
         <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
-          {/* Add New Product */}
-          <DashboardCard title="Add New Product" icon={PlusCircle}>
-            <form onSubmit={handleAddProduct}>
-              <InputField label="Product Name" value={productName} onChange={(e) => setProductName(e.target.value)} required />
-              <InputField label="Price" type="number" value={productPrice} onChange={(e) => setProductPrice(e.target.value)} min="0" step="0.01" required />
-              <InputField label="Serial Number" value={productSerial} onChange={(e) => setProductSerial(e.target.value)} required />
-              <InputField label="Coins Assigned" type="number" value={productCoins} onChange={(e) => setProductCoins(e.target.value)} min="0" required />
-              <ActionButton type="submit">Add Product</ActionButton>
-            </form>
-          </DashboardCard>
-
-          {/* Add New Doctor */}
-          <DashboardCard title="Add New Doctor" icon={Stethoscope}>
-            <form onSubmit={handleAddDoctor}>
-              <InputField label="Doctor Name" value={doctorName} onChange={(e) => setDoctorName(e.target.value)} required />
-              <InputField label="Specialty" value={doctorSpecialty} onChange={(e) => setDoctorSpecialty(e.target.value)} placeholder="e.g., Cardiology, General Physician" required />
-              <InputField label="Contact Info" value={doctorContact} onChange={(e) => setDoctorContact(e.target.value)} required />
-              <ActionButton type="submit">Add Doctor</ActionButton>
-            </form>
-          </DashboardCard>
-
-          {/* Register New Salesperson Request */}
-          <DashboardCard title="Register New Salesperson Request" icon={Briefcase}>
-            <form onSubmit={handleSubmitSalespersonRequest}>
-              <InputField label="Salesperson Name" value={salespersonName} onChange={(e) => setSalespersonName(e.target.value)} required />
-              <InputField label="Contact Number" value={salespersonContact} onChange={(e) => setSalespersonContact(e.target.value)} required />
-              <InputField label="Bank Details" value={salespersonBank} onChange={(e) => setSalespersonBank(e.target.value)} required />
-              <InputField label="Address" value={salespersonAddress} onChange={(e) => setSalespersonAddress(e.target.value)} required />
-              <InputField label="Age" type="number" value={salespersonAge} onChange={(e) => setSalespersonAge(e.target.value)} required />
-              <InputField label="CNIC" value={salespersonCNIC} onChange={(e) => setSalespersonCNIC(e.target.value)} required />
-              <ActionButton type="submit">Submit Salesperson Request</ActionButton>
-            </form>
-          </DashboardCard>
-
-          {/* Register New Institution Request */}
-          <DashboardCard title="Register New Institution Request" icon={Building}>
-            <form onSubmit={handleSubmitInstitutionRequest}>
-              <InputField label="Institution Name" value={institutionName} onChange={(e) => setInstitutionName(e.target.value)} required />
-              <InputField label="Contact Number" value={institutionContact} onChange={(e) => setInstitutionContact(e.target.value)} required />
-              <InputField label="Bank Details" value={institutionBank} onChange={(e) => setInstitutionBank(e.target.value)} required />
-              <InputField label="Address" value={institutionAddress} onChange={(e) => setInstitutionAddress(e.target.value)} required />
-              <InputField label="CNIC" value={institutionCNIC} onChange={(e) => setInstitutionCNIC(e.target.value)} required />
-              <ActionButton type="submit">Submit Institution Request</ActionButton>
+          {/* Add / Edit Product */}
+          <DashboardCard title={editingProduct ? `Edit Product: ${editingProduct.name}` : 'Add New Product'} icon={PlusCircle}>
+            <form onSubmit={handleSaveProduct} noValidate>
+              <InputField label="Product Name" value={productForm.name} onChange={(e) => updateProductForm('name', e.target.value)} required error={productErrors.name} />
+              <InputField label="Price" type="number" value={productForm.price} onChange={(e) => updateProductForm('price', e.target.value)} min="0" step="0.01" required error={productErrors.price} />
+              <InputField label="Serial Number" value={productForm.serialNumber} onChange={(e) => updateProductForm('serialNumber', e.target.value)} required error={productErrors.serialNumber} />
+              <InputField label="Coins Assigned" type="number" value={productForm.coinsAssigned} onChange={(e) => updateProductForm('coinsAssigned', e.target.value)} min="0" required error={productErrors.coinsAssigned} />
+              <InputField label="Platform Stock (doctor purchases)" type="number" value={productForm.stock} onChange={(e) => updateProductForm('stock', e.target.value)} min="0" required error={productErrors.stock} />
+              <SelectField
+                label="Category"
+                value={productForm.category}
+                onChange={(e) => updateProductForm('category', e.target.value)}
+                options={PRODUCT_CATEGORIES.map(category => ({ value: category, label: category }))}
+                required
+                error={productErrors.category}
+              />
+              <InputField label="Manufacturer" value={productForm.manufacturer} onChange={(e) => updateProductForm('manufacturer', e.target.value)} />
+              <SelectField
+                label="Dosage Form"
+                value={productForm.dosageForm}
+                onChange={(e) => updateProductForm('dosageForm', e.target.value)}
+                options={DOSAGE_FORMS.map(form => ({ value: form, label: form }))}
+                required
+                error={productErrors.dosageForm}
+              />
+              <InputField label="Strength" value={productForm.strength} onChange={(e) => updateProductForm('strength', e.target.value)} placeholder="e.g., 500 mg" />
+              <label className="flex items-center mb-4 text-sm text-gray-700 font-inter">
+                <input
+                  type="checkbox"
+                  checked={productForm.prescriptionRequired}
+                  onChange={(e) => updateProductForm('prescriptionRequired', e.target.checked)}
+                  className="mr-2"
+                />
+                Prescription required
+              </label>
+              <div className="mb-4">
+                <label className="block text-gray-700 text-sm font-bold mb-2 font-inter">Product Image</label>
+                {editingProduct?.imageUrl && !productImage && (
+                  <img src={editingProduct.imageUrl} alt={editingProduct.name} className="h-16 w-16 object-cover rounded mb-2" />
+                )}
+                <input
+                  type="file"
+                  accept={PRODUCT_IMAGE_TYPES.join(',')}
+                  onChange={(e) => setProductImage(e.target.files[0] || null)}
+                  className="block w-full text-sm text-gray-700"
+                />
+                {productErrors.image && <p className="mt-1 text-xs text-red-600 font-inter">{productErrors.image}</p>}
+              </div>
+              <div className="flex gap-2">
+                <ActionButton type="submit">{editingProduct ? 'Save Changes' : 'Add Product'}</ActionButton>
+                {editingProduct && (
+                  <ActionButton type="button" onClick={resetProductForm} className="bg-gray-500 hover:bg-gray-600">Cancel</ActionButton>
+                )}
+              </div>
             </form>
           </DashboardCard>
 
           {/* Available Products */}
           <DashboardCard title="Available Products" icon={Package}>
+            <label className="flex items-center mb-4 text-sm text-gray-700 font-inter">
+              <input
+                type="checkbox"
+                checked={showArchivedProducts}
+                onChange={(e) => setShowArchivedProducts(e.target.checked)}
+                className="mr-2"
+              />
+              Show archived products
+            </label>
             <div className="overflow-x-auto">
               <table className="min-w-full bg-white rounded-lg overflow-hidden shadow-sm">
                 <thead className="bg-gray-100">
                   <tr>
                     <th className="py-2 px-4 text-left text-sm font-semibold text-gray-600">Name</th>
+                    <th className="py-2 px-4 text-left text-sm font-semibold text-gray-600">Category</th>
                     <th className="py-2 px-4 text-left text-sm font-semibold text-gray-600">Price</th>
                     <th className="py-2 px-4 text-left text-sm font-semibold text-gray-600">Serial No.</th>
                     <th className="py-2 px-4 text-left text-sm font-semibold text-gray-600">Coins</th>
+                    <th className="py-2 px-4 text-left text-sm font-semibold text-gray-600">Stock</th>
+                    <th className="py-2 px-4 text-left text-sm font-semibold text-gray-600">Actions</th>
                   </tr>
                 </thead>
                 <tbody>
-                  {products.length === 0 ? (
-                    <tr><td colSpan="4" className="text-center py-4 text-gray-500">No products available.</td></tr>
+                  {listedProducts.length === 0 ? (
+                    <tr><td colSpan="7" className="text-center py-4 text-gray-500">No products available.</td></tr>
                   ) : (
-                    products.map((product) => (
-                      <tr key={product.id} className="border-b border-gray-100 last:border-b-0">
-                        <td className="py-2 px-4 text-gray-700">{product.name}</td>
+                    listedProducts.map((product) => (
+                      <tr key={product.id} className={`border-b border-gray-100 last:border-b-0 ${product.archived ? 'opacity-60' : ''}`}>
+                        <td className="py-2 px-4 text-gray-700">
+                          <div className="flex items-center gap-2">
+                            {product.imageUrl && <img src={product.imageUrl} alt={product.name} className="h-8 w-8 object-cover rounded" />}
+                            <span>
+                              {product.name}
+                              {product.strength && <span className="text-gray-500"> {product.strength}</span>}
+                              {product.prescriptionRequired && <span className="ml-1 text-xs font-semibold text-red-600">Rx</span>}
+                              {product.archived && <span className="ml-1 text-xs text-gray-500">(archived)</span>}
+                            </span>
+                          </div>
+                        </td>
+                        <td className="py-2 px-4 text-gray-700">{product.category || 'N/A'}</td>
                         <td className="py-2 px-4 text-gray-700">${product.price?.toFixed(2)}</td>
                         <td className="py-2 px-4 text-gray-700">{product.serialNumber}</td>
                         <td className="py-2 px-4 text-gray-700">{product.coinsAssigned}</td>
+                        <td className={`py-2 px-4 ${isProductInStock(product) ? 'text-gray-700' : 'text-red-600 font-semibold'}`}>
+                          {typeof product.stock === 'number' ? product.stock : 'Not tracked'}
+                        </td>
+                        <td className="py-2 px-4 space-x-2 whitespace-nowrap">
+                          {!product.archived && (
+                            <ActionButton onClick={() => handleEditProduct(product)} className="text-xs px-2 py-1">Edit</ActionButton>
+                          )}
+                          <ActionButton
+                            onClick={() => handleSetProductArchived(product, !product.archived)}
+                            className={`text-xs px-2 py-1 ${product.archived ? 'bg-green-600 hover:bg-green-700' : 'bg-gray-500 hover:bg-gray-600'}`}
+                          >
+                            {product.archived ? 'Restore' : 'Archive'}
+                          </ActionButton>
+                        </td>
+                      </tr>
+                    ))
+                  )}
+                </tbody>
+              </table>
+            </div>
+          </DashboardCard>
+
+          {/* Prescription Review */}
+          <PrescriptionReviewCard orders={prescriptionReviewQueue} />
+
+          {/* Pending Doctor Requests */}
+          <DashboardCard title="Pending Doctor Requests" icon={Stethoscope}>
+            <div className="overflow-x-auto">
+              <table className="min-w-full bg-white rounded-lg overflow-hidden shadow-sm">
+                <thead className="bg-gray-100">
+                  <tr>
+                    <th className="py-2 px-4 text-left text-sm font-semibold text-gray-600">Name</th>
+                    <th className="py-2 px-4 text-left text-sm font-semibold text-gray-600">Specialty</th>
+                    <th className="py-2 px-4 text-left text-sm font-semibold text-gray-600">License No.</th>
+                    <th className="py-2 px-4 text-left text-sm font-semibold text-gray-600">Clinic Address</th>
+                    <th className="py-2 px-4 text-left text-sm font-semibold text-gray-600">Contact</th>
+                    <th className="py-2 px-4 text-left text-sm font-semibold text-gray-600">Documents</th>
+                    <th className="py-2 px-4 text-left text-sm font-semibold text-gray-600">Req. Date</th>
+                    <th className="py-2 px-4 text-left text-sm font-semibold text-gray-600">Actions</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {doctorRequests.length === 0 ? (
+                    <tr><td colSpan="8" className="text-center py-4 text-gray-500">No pending requests.</td></tr>
+                  ) : (
+                    doctorRequests.map((req) => (
+                      <tr key={req.id} className="border-b border-gray-100 last:border-b-0">
+                        <td className="py-2 px-4 text-gray-700">
+                          {req.name}
+                          <span className="block text-xs text-gray-400">{req.userId}</span>
+                        </td>
+                        <td className="py-2 px-4 text-gray-700">{req.specialty}</td>
+                        <td className="py-2 px-4 text-gray-700">{req.licenseNumber}</td>
+                        <td className="py-2 px-4 text-gray-700">{req.clinicAddress}</td>
+                        <td className="py-2 px-4 text-gray-700">{req.contactNumber}</td>
+                        <td className="py-2 px-4"><RegistrationDocumentLinks storage={storageRef.current} documents={req.documents} onMessage={displayMessage} /></td>
+                        <td className="py-2 px-4 text-gray-700">{req.requestDate?.toDate().toLocaleDateString()}</td>
+                        <td className="py-2 px-4">
+                          <ActionButton onClick={() => handleApproveDoctor(req)} className="text-xs px-2 py-1">
+                            Verify Doctor
+                          </ActionButton>
+                          <ActionButton onClick={() => handleRoleRequestDecision('doctor', req, 'reject')} className="text-xs px-2 py-1 ml-2 bg-red-500 hover:bg-red-600">
+                            Reject
+                          </ActionButton>
+                        </td>
                       </tr>
                     ))
                   )}
@@ -789,24 +4340,311 @@ const App = () => {
                   <tr>
                     <th className="py-2 px-4 text-left text-sm font-semibold text-gray-600">Name</th>
                     <th className="py-2 px-4 text-left text-sm font-semibold text-gray-600">Specialty</th>
+                    <th className="py-2 px-4 text-left text-sm font-semibold text-gray-600">License No.</th>
                     <th className="py-2 px-4 text-left text-sm font-semibold text-gray-600">Contact</th>
+                    <th className="py-2 px-4 text-left text-sm font-semibold text-gray-600">Checkup Fee</th>
+                    <th className="py-2 px-4 text-left text-sm font-semibold text-gray-600">Status</th>
+                    <th className="py-2 px-4 text-left text-sm font-semibold text-gray-600">Actions</th>
                   </tr>
                 </thead>
                 <tbody>
                   {doctors.length === 0 ? (
-                    <tr><td colSpan="3" className="text-center py-4 text-gray-500">No doctors registered.</td></tr>
+                    <tr><td colSpan="7" className="text-center py-4 text-gray-500">No doctors registered.</td></tr>
+                  ) : (
+                    doctors.map((doctor) => {
+                      const account = doctorAccounts.find(request => request.id === doctor.id);
+                      return (
+                        <tr key={doctor.id} className="border-b border-gray-100 last:border-b-0">
+                          <td className="py-2 px-4 text-gray-700">{doctor.name}</td>
+                          <td className="py-2 px-4 text-gray-700">
+                            {doctor.specialty === 'General Physician' ? (
+                              <span className="font-semibold text-blue-600">General Physician</span>
+                            ) : (
+                              <span className="font-semibold text-purple-600">{doctor.specialty} (Specialist)</span>
+                            )}
+                          </td>
+                          <td className="py-2 px-4 text-gray-700">{doctor.licenseNumber || 'N/A'}</td>
+                          <td className="py-2 px-4 text-gray-700">{doctor.contactInfo}</td>
+                          <td className="py-2 px-4 text-gray-700 text-sm whitespace-nowrap">
+                            {getCheckupFees(doctor, checkupFeeSettings).consultationFee} coins
+                            <span className="block text-xs text-gray-500">
+                              {getCheckupFees(doctor, checkupFeeSettings).salespersonCommission} to salesperson{doctor.checkupFees ? ' (own fee)' : ''}
+                            </span>
+                            <button type="button" onClick={() => handleEditDoctorFees(doctor)} className="text-xs text-indigo-600 hover:underline">
+                              Edit
+                            </button>
+                          </td>
+                          <td className="py-2 px-4 text-gray-700">
+                            {doctor.verified ? 'Verified' : account ? formatStatus(account.status) : doctor.userId ? 'Not verified' : 'Unverified (no linked account)'}
+                          </td>
+                          <td className="py-2 px-4">
+                            {account ? <RoleAccountActions role="doctor" request={account} /> : <span className="text-gray-400">-</span>}
+                          </td>
+                        </tr>
+                      );
+                    })
+                  )}
+                </tbody>
+              </table>
+            </div>
+          </DashboardCard>
+
+          {/* Doctor Checkup Fees */}
+          {editingFeesDoctor && (
+            <DashboardCard title={`Checkup Fees for Dr. ${editingFeesDoctor.name}`} icon={Stethoscope}>
+              <form onSubmit={(e) => { e.preventDefault(); handleSaveDoctorFees(doctorFeeForm); }} noValidate>
+                <InputField label="Consultation Fee (coins)" type="number" value={doctorFeeForm.consultationFee} onChange={(e) => setDoctorFeeForm({ ...doctorFeeForm, consultationFee: e.target.value })} min="0" required error={doctorFeeErrors.consultationFee} />
+                <InputField label="Salesperson Commission (coins)" type="number" value={doctorFeeForm.salespersonCommission} onChange={(e) => setDoctorFeeForm({ ...doctorFeeForm, salespersonCommission: e.target.value })} min="0" required error={doctorFeeErrors.salespersonCommission} />
+                <div className="flex gap-2">
+                  <ActionButton type="submit">Save Fees</ActionButton>
+                  {editingFeesDoctor.checkupFees && (
+                    <ActionButton type="button" onClick={() => handleSaveDoctorFees(null)} className="bg-yellow-500 hover:bg-yellow-600">
+                      Use Specialty Default
+                    </ActionButton>
+                  )}
+                  <ActionButton type="button" onClick={() => setEditingFeesDoctor(null)} className="bg-gray-500 hover:bg-gray-600">
+                    Cancel
+                  </ActionButton>
+                </div>
+              </form>
+            </DashboardCard>
+          )}
+
+          {/* Pending Pharmacy Requests */}
+          <DashboardCard title="Pending Pharmacy Requests" icon={Pill}>
+            <div className="overflow-x-auto">
+              <table className="min-w-full bg-white rounded-lg overflow-hidden shadow-sm">
+                <thead className="bg-gray-100">
+                  <tr>
+                    <th className="py-2 px-4 text-left text-sm font-semibold text-gray-600">Pharmacy</th>
+                    <th className="py-2 px-4 text-left text-sm font-semibold text-gray-600">Drug Sale License</th>
+                    <th className="py-2 px-4 text-left text-sm font-semibold text-gray-600">Address</th>
+                    <th className="py-2 px-4 text-left text-sm font-semibold text-gray-600">Contact</th>
+                    <th className="py-2 px-4 text-left text-sm font-semibold text-gray-600">Owner CNIC</th>
+                    <th className="py-2 px-4 text-left text-sm font-semibold text-gray-600">Documents</th>
+                    <th className="py-2 px-4 text-left text-sm font-semibold text-gray-600">Req. Date</th>
+                    <th className="py-2 px-4 text-left text-sm font-semibold text-gray-600">Actions</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {pharmacyRequests.length === 0 ? (
+                    <tr><td colSpan="8" className="text-center py-4 text-gray-500">No pending requests.</td></tr>
                   ) : (
-                    doctors.map((doctor) => (
-                      <tr key={doctor.id} className="border-b border-gray-100 last:border-b-0">
-                        <td className="py-2 px-4 text-gray-700">{doctor.name}</td>
+                    pharmacyRequests.map((req) => (
+                      <tr key={req.id} className="border-b border-gray-100 last:border-b-0">
                         <td className="py-2 px-4 text-gray-700">
-                          {doctor.specialty === 'General Physician' ? (
-                            <span className="font-semibold text-blue-600">General Physician</span>
-                          ) : (
-                            <span className="font-semibold text-purple-600">{doctor.specialty} (Specialist)</span>
-                          )}
+                          {req.name}
+                          <span className="block text-xs text-gray-400">{req.userId}</span>
+                        </td>
+                        <td className="py-2 px-4 text-gray-700">{req.licenseNumber}</td>
+                        <td className="py-2 px-4 text-gray-700">{req.address}</td>
+                        <td className="py-2 px-4 text-gray-700">{req.contactNumber}</td>
+                        <td className="py-2 px-4 text-gray-700">{req.cnic}</td>
+                        <td className="py-2 px-4"><RegistrationDocumentLinks storage={storageRef.current} documents={req.documents} onMessage={displayMessage} /></td>
+                        <td className="py-2 px-4 text-gray-700">{req.requestDate?.toDate().toLocaleDateString()}</td>
+                        <td className="py-2 px-4">
+                          <ActionButton onClick={() => handleApprovePharmacy(req)} className="text-xs px-2 py-1">
+                            Approve
+                          </ActionButton>
+                          <ActionButton onClick={() => handleRoleRequestDecision('pharmacy', req, 'reject')} className="text-xs px-2 py-1 ml-2 bg-red-500 hover:bg-red-600">
+                            Reject
+                          </ActionButton>
+                        </td>
+                      </tr>
+                    ))
+                  )}
+                </tbody>
+              </table>
+            </div>
+          </DashboardCard>
+
+          {/* Registered Pharmacies */}
+          <DashboardCard title="Registered Pharmacies" icon={Pill}>
+            <div className="overflow-x-auto">
+              <table className="min-w-full bg-white rounded-lg overflow-hidden shadow-sm">
+                <thead className="bg-gray-100">
+                  <tr>
+                    <th className="py-2 px-4 text-left text-sm font-semibold text-gray-600">Pharmacy</th>
+                    <th className="py-2 px-4 text-left text-sm font-semibold text-gray-600">Drug Sale License</th>
+                    <th className="py-2 px-4 text-left text-sm font-semibold text-gray-600">Address</th>
+                    <th className="py-2 px-4 text-left text-sm font-semibold text-gray-600">Contact</th>
+                    <th className="py-2 px-4 text-left text-sm font-semibold text-gray-600">Status</th>
+                    <th className="py-2 px-4 text-left text-sm font-semibold text-gray-600">Actions</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {pharmacyAccounts.length === 0 ? (
+                    <tr><td colSpan="6" className="text-center py-4 text-gray-500">No pharmacies registered.</td></tr>
+                  ) : (
+                    pharmacyAccounts.map((account) => (
+                      <tr key={account.id} className="border-b border-gray-100 last:border-b-0">
+                        <td className="py-2 px-4 text-gray-700">
+                          {account.name}
+                          <span className="block text-xs text-gray-400">{account.userId}</span>
+                        </td>
+                        <td className="py-2 px-4 text-gray-700">{account.licenseNumber}</td>
+                        <td className="py-2 px-4 text-gray-700">{account.address}</td>
+                        <td className="py-2 px-4 text-gray-700">{account.contactNumber}</td>
+                        <td className="py-2 px-4 text-gray-700 capitalize">{formatStatus(account.status)}</td>
+                        <td className="py-2 px-4"><RoleAccountActions role="pharmacy" request={account} /></td>
+                      </tr>
+                    ))
+                  )}
+                </tbody>
+              </table>
+            </div>
+          </DashboardCard>
+
+          {/* Registered Customers (Placeholder - assuming customer profiles are created on role selection) */}
+          <DashboardCard title="Registered Customers" icon={Users}>
+            <div className="overflow-x-auto">
+              <table className="min-w-full bg-white rounded-lg overflow-hidden shadow-sm">
+                <thead className="bg-gray-100">
+                  <tr>
+                    <th className="py-2 px-4 text-left text-sm font-semibold text-gray-600">User ID</th>
+                    <th className="py-2 px-4 text-left text-sm font-semibold text-gray-600">Role</th>
+                    <th className="py-2 px-4 text-left text-sm font-semibold text-gray-600">Name</th>
+                    <th className="py-2 px-4 text-left text-sm font-semibold text-gray-600">Contact</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {customers.length === 0 ? (
+                    <tr><td colSpan="4" className="text-center py-4 text-gray-500">No customers registered.</td></tr>
+                  ) : (
+                    customers.map((customer) => (
+                      <tr key={customer.id} className="border-b border-gray-100 last:border-b-0">
+                        <td className="py-2 px-4 text-gray-700 text-xs">{customer.id}</td>
+                        <td className="py-2 px-4 text-gray-700">{customer.role}</td>
+                        <td className="py-2 px-4 text-gray-700">{customer.name || 'N/A'}</td>
+                        <td className="py-2 px-4 text-gray-700">{customer.contactNumber || 'N/A'}</td>
+                      </tr>
+                    ))
+                  )}
+                </tbody>
+              </table>
+            </div>
+          </DashboardCard>
+
+          {/* Pending Salesperson Requests */}
+          <DashboardCard title="Pending Salesperson Requests" icon={Briefcase}>
+            <div className="overflow-x-auto">
+              <table className="min-w-full bg-white rounded-lg overflow-hidden shadow-sm">
+                <thead className="bg-gray-100">
+                  <tr>
+                    <th className="py-2 px-4 text-left text-sm font-semibold text-gray-600">Name</th>
+                    <th className="py-2 px-4 text-left text-sm font-semibold text-gray-600">Contact</th>
+                    <th className="py-2 px-4 text-left text-sm font-semibold text-gray-600">Address</th>
+                    <th className="py-2 px-4 text-left text-sm font-semibold text-gray-600">Age</th>
+                    <th className="py-2 px-4 text-left text-sm font-semibold text-gray-600">CNIC</th>
+                    <th className="py-2 px-4 text-left text-sm font-semibold text-gray-600">Documents</th>
+                    <th className="py-2 px-4 text-left text-sm font-semibold text-gray-600">Req. Date</th>
+                    <th className="py-2 px-4 text-left text-sm font-semibold text-gray-600">Actions</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {salespersonRequests.length === 0 ? (
+                    <tr><td colSpan="8" className="text-center py-4 text-gray-500">No pending requests.</td></tr>
+                  ) : (
+                    salespersonRequests.map((req) => (
+                      <tr key={req.id} className="border-b border-gray-100 last:border-b-0">
+                        <td className="py-2 px-4 text-gray-700">
+                          {req.name}
+                          <span className="block text-xs text-gray-400">{req.userId || 'Not linked to an account'}</span>
+                        </td>
+                        <td className="py-2 px-4 text-gray-700">{req.contactNumber}</td>
+                        <td className="py-2 px-4 text-gray-700">{req.address}</td>
+                        <td className="py-2 px-4 text-gray-700">{req.age}</td>
+                        <td className="py-2 px-4 text-gray-700">{req.cnic}</td>
+                        <td className="py-2 px-4"><RegistrationDocumentLinks storage={storageRef.current} documents={req.documents} onMessage={displayMessage} /></td>
+                        <td className="py-2 px-4 text-gray-700">{req.requestDate?.toDate().toLocaleDateString()}</td>
+                        <td className="py-2 px-4">
+                          <ActionButton onClick={() => handleApproveSalesperson(req)} className="text-xs px-2 py-1">
+                            Approve Salesperson
+                          </ActionButton>
+                          <ActionButton onClick={() => handleRoleRequestDecision('salesperson', req, 'reject')} className="text-xs px-2 py-1 ml-2 bg-red-500 hover:bg-red-600">
+                            Reject
+                          </ActionButton>
+                        </td>
+                      </tr>
+                    ))
+                  )}
+                </tbody>
+              </table>
+            </div>
+          </DashboardCard>
+
+          {/* Approved Salespersons */}
+          <DashboardCard title="Approved Salespersons" icon={Briefcase}>
+            <div className="overflow-x-auto">
+              <table className="min-w-full bg-white rounded-lg overflow-hidden shadow-sm">
+                <thead className="bg-gray-100">
+                  <tr>
+                    <th className="py-2 px-4 text-left text-sm font-semibold text-gray-600">Name</th>
+                    <th className="py-2 px-4 text-left text-sm font-semibold text-gray-600">Contact</th>
+                    <th className="py-2 px-4 text-left text-sm font-semibold text-gray-600">Bank Details</th>
+                    <th className="py-2 px-4 text-left text-sm font-semibold text-gray-600">Manager ID</th>
+                    <th className="py-2 px-4 text-left text-sm font-semibold text-gray-600">Status</th>
+                    <th className="py-2 px-4 text-left text-sm font-semibold text-gray-600">Actions</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {approvedSalespersons.length + suspendedSalespersons.length === 0 ? (
+                    <tr><td colSpan="6" className="text-center py-4 text-gray-500">No approved salespersons.</td></tr>
+                  ) : (
+                    [...approvedSalespersons, ...suspendedSalespersons].map((sp) => (
+                      <tr key={sp.id} className="border-b border-gray-100 last:border-b-0">
+                        <td className="py-2 px-4 text-gray-700">{sp.name}</td>
+                        <td className="py-2 px-4 text-gray-700">{sp.contactNumber}</td>
+                        <td className="py-2 px-4 text-gray-700">{sp.bankDetails}</td>
+                        <td className="py-2 px-4 text-gray-700">{sp.managerAssignedId}</td>
+                        <td className="py-2 px-4 text-gray-700 capitalize">{sp.status}</td>
+                        <td className="py-2 px-4"><RoleAccountActions role="salesperson" request={sp} /></td>
+                      </tr>
+                    ))
+                  )}
+                </tbody>
+              </table>
+            </div>
+          </DashboardCard>
+
+          {/* Pending Institution Requests */}
+          <DashboardCard title="Pending Institution Requests" icon={Building}>
+            <div className="overflow-x-auto">
+              <table className="min-w-full bg-white rounded-lg overflow-hidden shadow-sm">
+                <thead className="bg-gray-100">
+                  <tr>
+                    <th className="py-2 px-4 text-left text-sm font-semibold text-gray-600">Name</th>
+                    <th className="py-2 px-4 text-left text-sm font-semibold text-gray-600">Contact</th>
+                    <th className="py-2 px-4 text-left text-sm font-semibold text-gray-600">Address</th>
+                    <th className="py-2 px-4 text-left text-sm font-semibold text-gray-600">CNIC</th>
+                    <th className="py-2 px-4 text-left text-sm font-semibold text-gray-600">Documents</th>
+                    <th className="py-2 px-4 text-left text-sm font-semibold text-gray-600">Req. Date</th>
+                    <th className="py-2 px-4 text-left text-sm font-semibold text-gray-600">Actions</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {institutionRequests.length === 0 ? (
+                    <tr><td colSpan="7" className="text-center py-4 text-gray-500">No pending requests.</td></tr>
+                  ) : (
+                    institutionRequests.map((req) => (
+                      <tr key={req.id} className="border-b border-gray-100 last:border-b-0">
+                        <td className="py-2 px-4 text-gray-700">
+                          {req.name}
+                          <span className="block text-xs text-gray-400">{req.userId || 'Not linked to an account'}</span>
+                        </td>
+                        <td className="py-2 px-4 text-gray-700">{req.contactNumber}</td>
+                        <td className="py-2 px-4 text-gray-700">{req.address}</td>
+                        <td className="py-2 px-4 text-gray-700">{req.cnic}</td>
+                        <td className="py-2 px-4"><RegistrationDocumentLinks storage={storageRef.current} documents={req.documents} onMessage={displayMessage} /></td>
+                        <td className="py-2 px-4 text-gray-700">{req.requestDate?.toDate().toLocaleDateString()}</td>
+                        <td className="py-2 px-4">
+                          <ActionButton onClick={() => handleApproveInstitution(req)} className="text-xs px-2 py-1">
+                            Approve Institution
+                          </ActionButton>
+                          <ActionButton onClick={() => handleRoleRequestDecision('institution', req, 'reject')} className="text-xs px-2 py-1 ml-2 bg-red-500 hover:bg-red-600">
+                            Reject
+                          </ActionButton>
                         </td>
-                        <td className="py-2 px-4 text-gray-700">{doctor.contactInfo}</td>
                       </tr>
                     ))
                   )}
@@ -815,67 +4653,75 @@ const App = () => {
             </div>
           </DashboardCard>
 
-          {/* Registered Customers (Placeholder - assuming customer profiles are created on role selection) */}
-          <DashboardCard title="Registered Customers" icon={Users}>
+          {/* All Orders (Central Order Store) */}
+          <DashboardCard title="All Orders" icon={Package}>
             <div className="overflow-x-auto">
               <table className="min-w-full bg-white rounded-lg overflow-hidden shadow-sm">
                 <thead className="bg-gray-100">
                   <tr>
-                    <th className="py-2 px-4 text-left text-sm font-semibold text-gray-600">User ID</th>
-                    <th className="py-2 px-4 text-left text-sm font-semibold text-gray-600">Role</th>
-                    <th className="py-2 px-4 text-left text-sm font-semibold text-gray-600">Name</th>
-                    <th className="py-2 px-4 text-left text-sm font-semibold text-gray-600">Contact</th>
+                    <th className="py-2 px-4 text-left text-sm font-semibold text-gray-600">Order ID</th>
+                    <th className="py-2 px-4 text-left text-sm font-semibold text-gray-600">Items</th>
+                    <th className="py-2 px-4 text-left text-sm font-semibold text-gray-600">Customer</th>
+                    <th className="py-2 px-4 text-left text-sm font-semibold text-gray-600">Doctor</th>
+                    <th className="py-2 px-4 text-left text-sm font-semibold text-gray-600">Salesperson</th>
+                    <th className="py-2 px-4 text-left text-sm font-semibold text-gray-600">Status</th>
+                    <th className="py-2 px-4 text-left text-sm font-semibold text-gray-600">Order Date</th>
+                    <th className="py-2 px-4 text-left text-sm font-semibold text-gray-600">Timeline</th>
                   </tr>
                 </thead>
                 <tbody>
-                  {customers.length === 0 ? (
-                    <tr><td colSpan="4" className="text-center py-4 text-gray-500">No customers registered.</td></tr>
+                  {allOrders.length === 0 ? (
+                    <tr><td colSpan="8" className="text-center py-4 text-gray-500">No orders yet.</td></tr>
                   ) : (
-                    customers.map((customer) => (
-                      <tr key={customer.id} className="border-b border-gray-100 last:border-b-0">
-                        <td className="py-2 px-4 text-gray-700 text-xs">{customer.id}</td>
-                        <td className="py-2 px-4 text-gray-700">{customer.role}</td>
-                        <td className="py-2 px-4 text-gray-700">{customer.name || 'N/A'}</td>
-                        <td className="py-2 px-4 text-gray-700">{customer.contactNumber || 'N/A'}</td>
+                    allOrders.map((order) => (
+                      <tr key={order.id} className="border-b border-gray-100 last:border-b-0">
+                        <td className="py-2 px-4 text-gray-700 text-xs">{order.id}</td>
+                        <td className="py-2 px-4 text-gray-700">{describeOrderItems(order)}</td>
+                        <td className="py-2 px-4 text-gray-700 text-xs">{order.customerId}</td>
+                        <td className="py-2 px-4 text-gray-700 text-xs">{order.doctorId || 'N/A'}</td>
+                        <td className="py-2 px-4 text-gray-700 text-xs">{order.salespersonId || 'Unassigned'}</td>
+                        <td className="py-2 px-4 text-gray-700 capitalize">{order.status?.replace(/_/g, ' ')}</td>
+                        <td className="py-2 px-4 text-gray-700">{order.orderDate?.toDate().toLocaleDateString()}</td>
+                        <td className="py-2 px-4 text-gray-700"><StatusTimeline history={order.statusHistory} /></td>
                       </tr>
                     ))
                   )}
                 </tbody>
               </table>
             </div>
+            <p className="mt-4 text-sm text-gray-600">
+              Orders placed before the central order store existed are kept under each user's profile.
+              Migrate them so salespeople and admins can see them here.
+            </p>
+            <ActionButton onClick={handleMigrateLegacyOrders} className="mt-2">Migrate Legacy Orders</ActionButton>
           </DashboardCard>
 
-          {/* Pending Salesperson Requests */}
-          <DashboardCard title="Pending Salesperson Requests" icon={Briefcase}>
+          {/* Pending Wallet Top-ups */}
+          <DashboardCard title="Pending Wallet Top-ups" icon={DollarSign}>
             <div className="overflow-x-auto">
               <table className="min-w-full bg-white rounded-lg overflow-hidden shadow-sm">
                 <thead className="bg-gray-100">
                   <tr>
-                    <th className="py-2 px-4 text-left text-sm font-semibold text-gray-600">Name</th>
-                    <th className="py-2 px-4 text-left text-sm font-semibold text-gray-600">Contact</th>
-                    <th className="py-2 px-4 text-left text-sm font-semibold text-gray-600">Address</th>
-                    <th className="py-2 px-4 text-left text-sm font-semibold text-gray-600">Age</th>
-                    <th className="py-2 px-4 text-left text-sm font-semibold text-gray-600">CNIC</th>
+                    <th className="py-2 px-4 text-left text-sm font-semibold text-gray-600">Customer</th>
+                    <th className="py-2 px-4 text-left text-sm font-semibold text-gray-600">Amount</th>
+                    <th className="py-2 px-4 text-left text-sm font-semibold text-gray-600">Reference</th>
                     <th className="py-2 px-4 text-left text-sm font-semibold text-gray-600">Req. Date</th>
                     <th className="py-2 px-4 text-left text-sm font-semibold text-gray-600">Actions</th>
                   </tr>
                 </thead>
                 <tbody>
-                  {salespersonRequests.length === 0 ? (
-                    <tr><td colSpan="7" className="text-center py-4 text-gray-500">No pending requests.</td></tr>
+                  {walletTopUpRequests.length === 0 ? (
+                    <tr><td colSpan="5" className="text-center py-4 text-gray-500">No pending top-ups.</td></tr>
                   ) : (
-                    salespersonRequests.map((req) => (
+                    walletTopUpRequests.map((req) => (
                       <tr key={req.id} className="border-b border-gray-100 last:border-b-0">
-                        <td className="py-2 px-4 text-gray-700">{req.name}</td>
-                        <td className="py-2 px-4 text-gray-700">{req.contactNumber}</td>
-                        <td className="py-2 px-4 text-gray-700">{req.address}</td>
-                        <td className="py-2 px-4 text-gray-700">{req.age}</td>
-                        <td className="py-2 px-4 text-gray-700">{req.cnic}</td>
+                        <td className="py-2 px-4 text-gray-700 text-xs">{req.customerId}</td>
+                        <td className="py-2 px-4 text-gray-700">{req.amount}</td>
+                        <td className="py-2 px-4 text-gray-700">{req.paymentReference}</td>
                         <td className="py-2 px-4 text-gray-700">{req.requestDate?.toDate().toLocaleDateString()}</td>
-                        <td className="py-2 px-4">
-                          <ActionButton onClick={() => handleApproveSalesperson(req.id, req)} className="text-xs px-2 py-1">
-                            Approve Salesperson
-                          </ActionButton>
+                        <td className="py-2 px-4 space-x-2">
+                          <ActionButton onClick={() => handleConfirmTopUp(req)} className="text-xs px-2 py-1">Confirm</ActionButton>
+                          <ActionButton onClick={() => handleRejectTopUp(req)} className="text-xs px-2 py-1 bg-red-600 hover:bg-red-700">Reject</ActionButton>
                         </td>
                       </tr>
                     ))
@@ -885,30 +4731,38 @@ const App = () => {
             </div>
           </DashboardCard>
 
-          {/* Approved Salespersons */}
-          <DashboardCard title="Approved Salespersons" icon={Briefcase}>
+          {/* Withdrawal Payout Queue */}
+          <DashboardCard title="Withdrawal Payout Queue" icon={Building}>
             <div className="overflow-x-auto">
               <table className="min-w-full bg-white rounded-lg overflow-hidden shadow-sm">
                 <thead className="bg-gray-100">
                   <tr>
-                    <th className="py-2 px-4 text-left text-sm font-semibold text-gray-600">Name</th>
-                    <th className="py-2 px-4 text-left text-sm font-semibold text-gray-600">Contact</th>
+                    <th className="py-2 px-4 text-left text-sm font-semibold text-gray-600">Institution</th>
+                    <th className="py-2 px-4 text-left text-sm font-semibold text-gray-600">Amount</th>
                     <th className="py-2 px-4 text-left text-sm font-semibold text-gray-600">Bank Details</th>
-                    <th className="py-2 px-4 text-left text-sm font-semibold text-gray-600">Manager ID</th>
                     <th className="py-2 px-4 text-left text-sm font-semibold text-gray-600">Status</th>
+                    <th className="py-2 px-4 text-left text-sm font-semibold text-gray-600">Actions</th>
                   </tr>
                 </thead>
                 <tbody>
-                  {approvedSalespersons.length === 0 ? (
-                    <tr><td colSpan="5" className="text-center py-4 text-gray-500">No approved salespersons.</td></tr>
+                  {withdrawalQueue.length === 0 ? (
+                    <tr><td colSpan="5" className="text-center py-4 text-gray-500">No withdrawals awaiting payout.</td></tr>
                   ) : (
-                    approvedSalespersons.map((sp) => (
-                      <tr key={sp.id} className="border-b border-gray-100 last:border-b-0">
-                        <td className="py-2 px-4 text-gray-700">{sp.name}</td>
-                        <td className="py-2 px-4 text-gray-700">{sp.contactNumber}</td>
-                        <td className="py-2 px-4 text-gray-700">{sp.bankDetails}</td>
-                        <td className="py-2 px-4 text-gray-700">{sp.managerAssignedId}</td>
-                        <td className="py-2 px-4 text-gray-700 capitalize">{sp.status}</td>
+                    withdrawalQueue.map((req) => (
+                      <tr key={req.id} className="border-b border-gray-100 last:border-b-0">
+                        <td className="py-2 px-4 text-gray-700 text-xs">{req.institutionId}</td>
+                        <td className="py-2 px-4 text-gray-700">{req.amount}</td>
+                        <td className="py-2 px-4 text-gray-700">{req.bankDetails}</td>
+                        <td className="py-2 px-4 text-gray-700 capitalize">{formatStatus(req.status)}</td>
+                        <td className="py-2 px-4 space-x-2">
+                          {req.status === WITHDRAWAL_STATUS.REQUESTED && (
+                            <ActionButton onClick={() => handleApproveWithdrawal(req)} className="text-xs px-2 py-1">Approve</ActionButton>
+                          )}
+                          {req.status === WITHDRAWAL_STATUS.APPROVED && (
+                            <ActionButton onClick={() => handleMarkWithdrawalPaid(req)} className="text-xs px-2 py-1 bg-green-600 hover:bg-green-700">Mark Paid</ActionButton>
+                          )}
+                          <ActionButton onClick={() => handleRejectWithdrawal(req)} className="text-xs px-2 py-1 bg-red-600 hover:bg-red-700">Reject</ActionButton>
+                        </td>
                       </tr>
                     ))
                   )}
@@ -917,35 +4771,75 @@ const App = () => {
             </div>
           </DashboardCard>
 
-          {/* Pending Institution Requests */}
-          <DashboardCard title="Pending Institution Requests" icon={Building}>
+          {/* Checkup Fee Defaults */}
+          <DashboardCard title="Checkup Fee Defaults" icon={Stethoscope}>
+            <p className="text-sm text-gray-600 mb-4">
+              The salesperson keeps the commission out of each consultation fee and the doctor is credited the rest.
+              Doctors with their own fees (see Registered Doctors) ignore these defaults.
+            </p>
+            <form onSubmit={handleSaveCheckupFeeSettings} noValidate>
+              <h3 className="font-semibold text-gray-700 mb-2">All specialties</h3>
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-x-4">
+                <InputField label="Consultation Fee (coins)" type="number" value={defaultFeeForm.consultationFee} onChange={(e) => setDefaultFeeForm({ ...defaultFeeForm, consultationFee: e.target.value })} min="0" required error={feeSettingsErrors.default?.consultationFee} />
+                <InputField label="Salesperson Commission (coins)" type="number" value={defaultFeeForm.salespersonCommission} onChange={(e) => setDefaultFeeForm({ ...defaultFeeForm, salespersonCommission: e.target.value })} min="0" required error={feeSettingsErrors.default?.salespersonCommission} />
+              </div>
+              {feeSpecialties.map((specialty) => {
+                const form = specialtyFeeForms[specialty] || toFeeForm(null);
+                return (
+                  <div key={specialty}>
+                    <h3 className="font-semibold text-gray-700 mb-2">{specialty} <span className="text-xs font-normal text-gray-500">(leave blank to use the default)</span></h3>
+                    <div className="grid grid-cols-1 md:grid-cols-2 gap-x-4">
+                      <InputField label="Consultation Fee (coins)" type="number" value={form.consultationFee} onChange={(e) => updateSpecialtyFeeForm(specialty, 'consultationFee', e.target.value)} min="0" error={feeSettingsErrors.specialties?.[specialty]?.consultationFee} />
+                      <InputField label="Salesperson Commission (coins)" type="number" value={form.salespersonCommission} onChange={(e) => updateSpecialtyFeeForm(specialty, 'salespersonCommission', e.target.value)} min="0" error={feeSettingsErrors.specialties?.[specialty]?.salespersonCommission} />
+                    </div>
+                  </div>
+                );
+              })}
+              <ActionButton type="submit">Save Checkup Fees</ActionButton>
+            </form>
+          </DashboardCard>
+
+          {/* Salesperson Payout Cycle */}
+          <DashboardCard title="Salesperson Payout Cycle" icon={Briefcase}>
+            <form onSubmit={handleSavePayoutSettings} noValidate>
+              <InputField label="Cycle Length (Days)" type="number" value={cycleDaysInput} onChange={(e) => setCycleDaysInput(e.target.value)} min="1" required error={payoutSettingsErrors.cycleDays} />
+              <InputField label="Coin Value (PKR per coin)" type="number" value={coinValueInput} onChange={(e) => setCoinValueInput(e.target.value)} min="0" step="0.01" required error={payoutSettingsErrors.coinValue} />
+              <InputField label="Service Fee (%)" type="number" value={serviceFeeInput} onChange={(e) => setServiceFeeInput(e.target.value)} min="0" step="0.1" required error={payoutSettingsErrors.serviceFeePercent} />
+              <ActionButton type="submit">Save Payout Cycle</ActionButton>
+            </form>
+            <p className="mt-4 text-sm text-gray-600">
+              Next statement run: <span className="font-semibold">{getNextStatementDate(payoutSettings).toLocaleDateString()}</span>
+            </p>
+            <ActionButton onClick={handleGenerateStatements} className="mt-2">Generate Statements</ActionButton>
+          </DashboardCard>
+
+          {/* Open Salesperson Statements */}
+          <DashboardCard title="Open Salesperson Statements" icon={Briefcase}>
             <div className="overflow-x-auto">
               <table className="min-w-full bg-white rounded-lg overflow-hidden shadow-sm">
                 <thead className="bg-gray-100">
                   <tr>
-                    <th className="py-2 px-4 text-left text-sm font-semibold text-gray-600">Name</th>
-                    <th className="py-2 px-4 text-left text-sm font-semibold text-gray-600">Contact</th>
-                    <th className="py-2 px-4 text-left text-sm font-semibold text-gray-600">Address</th>
-                    <th className="py-2 px-4 text-left text-sm font-semibold text-gray-600">CNIC</th>
-                    <th className="py-2 px-4 text-left text-sm font-semibold text-gray-600">Req. Date</th>
+                    <th className="py-2 px-4 text-left text-sm font-semibold text-gray-600">Salesperson</th>
+                    <th className="py-2 px-4 text-left text-sm font-semibold text-gray-600">Period</th>
+                    <th className="py-2 px-4 text-left text-sm font-semibold text-gray-600">Coins</th>
+                    <th className="py-2 px-4 text-left text-sm font-semibold text-gray-600">Net Payable</th>
                     <th className="py-2 px-4 text-left text-sm font-semibold text-gray-600">Actions</th>
                   </tr>
                 </thead>
                 <tbody>
-                  {institutionRequests.length === 0 ? (
-                    <tr><td colSpan="6" className="text-center py-4 text-gray-500">No pending requests.</td></tr>
+                  {salespersonStatements.length === 0 ? (
+                    <tr><td colSpan="5" className="text-center py-4 text-gray-500">No open statements.</td></tr>
                   ) : (
-                    institutionRequests.map((req) => (
-                      <tr key={req.id} className="border-b border-gray-100 last:border-b-0">
-                        <td className="py-2 px-4 text-gray-700">{req.name}</td>
-                        <td className="py-2 px-4 text-gray-700">{req.contactNumber}</td>
-                        <td className="py-2 px-4 text-gray-700">{req.address}</td>
-                        <td className="py-2 px-4 text-gray-700">{req.cnic}</td>
-                        <td className="py-2 px-4 text-gray-700">{req.requestDate?.toDate().toLocaleDateString()}</td>
+                    salespersonStatements.map((statement) => (
+                      <tr key={statement.id} className="border-b border-gray-100 last:border-b-0">
+                        <td className="py-2 px-4 text-gray-700 text-xs">{statement.salespersonId}</td>
+                        <td className="py-2 px-4 text-gray-700 text-sm">
+                          {statement.periodStart?.toDate().toLocaleDateString()} - {statement.periodEnd?.toDate().toLocaleDateString()}
+                        </td>
+                        <td className="py-2 px-4 text-gray-700">{statement.totalCoins}</td>
+                        <td className="py-2 px-4 text-gray-700">{formatPayoutAmount(statement.netPayable)}</td>
                         <td className="py-2 px-4">
-                          <ActionButton onClick={() => handleApproveInstitution(req.id, req)} className="text-xs px-2 py-1">
-                            Approve Institution
-                          </ActionButton>
+                          <ActionButton onClick={() => handleSettleStatement(statement)} className="text-xs px-2 py-1">Mark Settled</ActionButton>
                         </td>
                       </tr>
                     ))
@@ -955,6 +4849,27 @@ const App = () => {
             </div>
           </DashboardCard>
 
+          {/* Reconcile Coin Balances */}
+          <DashboardCard title="Reconcile Coin Balances" icon={DollarSign}>
+            <form onSubmit={handleReconcileAccount}>
+              <InputField label="User ID" value={reconcileAccountId} onChange={(e) => setReconcileAccountId(e.target.value)} required />
+              <ActionButton type="submit">Reconcile</ActionButton>
+            </form>
+            {reconcileResult && (
+              <div className="mt-4 text-gray-700">
+                <p><span className="font-semibold">Stored balance:</span> {reconcileResult.storedBalance}</p>
+                <p><span className="font-semibold">Ledger balance:</span> {reconcileResult.ledgerBalance}</p>
+                <p><span className="font-semibold">Difference:</span> {reconcileResult.difference}</p>
+                {reconcileResult.difference !== 0 && (
+                  <div className="flex flex-wrap gap-2 mt-2">
+                    <ActionButton onClick={handleAdoptLedgerBalance} className="text-xs px-2 py-1">Adopt Ledger Balance</ActionButton>
+                    <ActionButton onClick={handleRecordOpeningBalance} className="text-xs px-2 py-1 bg-gray-600 hover:bg-gray-700">Record Opening Balance</ActionButton>
+                  </div>
+                )}
+              </div>
+            )}
+          </DashboardCard>
+
           {/* Approved Institutions */}
           <DashboardCard title="Approved Institutions" icon={Building}>
             <div className="overflow-x-auto">
@@ -965,18 +4880,57 @@ const App = () => {
                     <th className="py-2 px-4 text-left text-sm font-semibold text-gray-600">Contact</th>
                     <th className="py-2 px-4 text-left text-sm font-semibold text-gray-600">Address</th>
                     <th className="py-2 px-4 text-left text-sm font-semibold text-gray-600">Status</th>
+                    <th className="py-2 px-4 text-left text-sm font-semibold text-gray-600">Actions</th>
                   </tr>
                 </thead>
                 <tbody>
-                  {approvedInstitutions.length === 0 ? (
-                    <tr><td colSpan="4" className="text-center py-4 text-gray-500">No approved institutions.</td></tr>
+                  {approvedInstitutions.length + suspendedInstitutions.length === 0 ? (
+                    <tr><td colSpan="5" className="text-center py-4 text-gray-500">No approved institutions.</td></tr>
                   ) : (
-                    approvedInstitutions.map((inst) => (
+                    [...approvedInstitutions, ...suspendedInstitutions].map((inst) => (
                       <tr key={inst.id} className="border-b border-gray-100 last:border-b-0">
                         <td className="py-2 px-4 text-gray-700">{inst.name}</td>
                         <td className="py-2 px-4 text-gray-700">{inst.contactNumber}</td>
                         <td className="py-2 px-4 text-gray-700">{inst.address}</td>
                         <td className="py-2 px-4 text-gray-700 capitalize">{inst.status}</td>
+                        <td className="py-2 px-4"><RoleAccountActions role="institution" request={inst} /></td>
+                      </tr>
+                    ))
+                  )}
+                </tbody>
+              </table>
+            </div>
+          </DashboardCard>
+
+          {/* Admin Audit Log */}
+          <DashboardCard title="Admin Audit Log" icon={Key}>
+            <div className="overflow-x-auto">
+              <table className="min-w-full bg-white rounded-lg overflow-hidden shadow-sm">
+                <thead className="bg-gray-100">
+                  <tr>
+                    <th className="py-2 px-4 text-left text-sm font-semibold text-gray-600">When</th>
+                    <th className="py-2 px-4 text-left text-sm font-semibold text-gray-600">Action</th>
+                    <th className="py-2 px-4 text-left text-sm font-semibold text-gray-600">Applicant</th>
+                    <th className="py-2 px-4 text-left text-sm font-semibold text-gray-600">Change</th>
+                    <th className="py-2 px-4 text-left text-sm font-semibold text-gray-600">Reason</th>
+                    <th className="py-2 px-4 text-left text-sm font-semibold text-gray-600">By</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {adminAuditLog.length === 0 ? (
+                    <tr><td colSpan="6" className="text-center py-4 text-gray-500">No decisions recorded yet.</td></tr>
+                  ) : (
+                    adminAuditLog.map((entry) => (
+                      <tr key={entry.id} className="border-b border-gray-100 last:border-b-0">
+                        <td className="py-2 px-4 text-gray-700 text-xs">{entry.performedAt?.toDate().toLocaleString()}</td>
+                        <td className="py-2 px-4 text-gray-700 capitalize">{entry.action} {entry.role}</td>
+                        <td className="py-2 px-4 text-gray-700">
+                          {entry.targetName}
+                          <span className="block text-xs text-gray-400">{entry.targetUserId || entry.requestId}</span>
+                        </td>
+                        <td className="py-2 px-4 text-gray-700 capitalize">{formatStatus(entry.fromStatus)} &rarr; {formatStatus(entry.toStatus)}</td>
+                        <td className="py-2 px-4 text-gray-700">{entry.reason || '-'}</td>
+                        <td className="py-2 px-4 text-gray-700 text-xs">{entry.performedBy}</td>
                       </tr>
                     ))
                   )}
@@ -996,53 +4950,271 @@ const App = () => {
     const [qrCodeInput, setQrCodeInput] = useState('');
     const [reasonForCheckup, setReasonForCheckup] = useState('');
     const [selectedDoctorForAppointment, setSelectedDoctorForAppointment] = useState('');
+    const [selectedSlot, setSelectedSlot] = useState(null);
+    const [reschedulingAppointmentId, setReschedulingAppointmentId] = useState('');
+    const [newAppointmentSlot, setNewAppointmentSlot] = useState(null);
+    const [newAppointmentReason, setNewAppointmentReason] = useState('');
     const [amountToDonate, setAmountToDonate] = useState('');
+    const [topUpAmount, setTopUpAmount] = useState('');
+    const [topUpReference, setTopUpReference] = useState('');
     const [selectedInstitutionForDonation, setSelectedInstitutionForDonation] = useState('');
+    const [donationErrors, setDonationErrors] = useState({});
+    const [topUpErrors, setTopUpErrors] = useState({});
+    const emptyAddressForm = { label: '', recipientName: '', phone: '', line1: '', line2: '', city: '', landmark: '' };
+    const [addressForm, setAddressForm] = useState(emptyAddressForm);
+    const [addressLocation, setAddressLocation] = useState(null);
+    const [addressErrors, setAddressErrors] = useState({});
+    const [showAddressForm, setShowAddressForm] = useState(false);
+
+    const filteredProducts = products.filter(product => !product.archived && [product.name, product.category, product.manufacturer]
+      .some(text => text && text.toLowerCase().includes(searchTerm.toLowerCase())));
+
+    // Only doctors verified by an admin can be booked
+    const verifiedDoctors = doctors.filter(doctor => doctor.verified);
+
+    const cartLines = cart.map(cartItem => {
+      const product = products.find(p => p.id === cartItem.productId);
+      const unitsOnShelf = getUnitsOnShelf(pharmacyStock, cartItem.productId);
+      const problem = getCartItemProblem(cartItem, product) || getShelfStockProblem(cartItem, unitsOnShelf);
+      return { ...cartItem, product: product, unitsOnShelf: unitsOnShelf, problem: problem };
+    });
+    const cartSubtotal = cartLines.reduce((sum, line) => sum + (line.product ? line.product.price * line.quantity : 0), 0);
+
+    const handleAddToCart = (product) => {
+      const existing = cart.find(cartItem => cartItem.productId === product.id);
+      if (!existing && cart.length >= MAX_ORDER_LINE_ITEMS) {
+        displayMessage(`An order can hold up to ${MAX_ORDER_LINE_ITEMS} different products.`, 'error');
+        return;
+      }
+      const quantity = existing ? existing.quantity + 1 : 1;
+      const problem = getCartItemProblem({ productId: product.id, quantity }, product)
+        || getShelfStockProblem({ productId: product.id, quantity }, getUnitsOnShelf(pharmacyStock, product.id));
+      if (problem) {
+        displayMessage(`${product.name}: ${problem}`, 'error');
+        return;
+      }
+      setCart(existing
+        ? cart.map(cartItem => (cartItem.productId === product.id ? { ...cartItem, quantity } : cartItem))
+        : [...cart, { productId: product.id, quantity }]);
+      displayMessage(`${product.name} added to your cart.`, 'success');
+    };
 
-    const filteredProducts = products.filter(product =>
-      product.name.toLowerCase().includes(searchTerm.toLowerCase())
-    );
+    const handleUpdateCartQuantity = (productId, value) => {
+      setCart(cart.map(cartItem => (cartItem.productId === productId ? { ...cartItem, quantity: parseInt(value) || 0 } : cartItem)));
+    };
+
+    const handleRemoveFromCart = (productId) => {
+      setCart(cart.filter(cartItem => cartItem.productId !== productId));
+    };
+
+    const checkoutAddress = deliveryAddresses.find(address => address.id === cartAddressId)
+      || deliveryAddresses.find(address => address.isDefault)
+      || deliveryAddresses[0]
+      || null;
+
+    const addressesPath = `artifacts/${appId}/users/${userId}/addresses`;
 
-    const handleBuyNow = async (productId) => {
+    const handleUseCurrentLocation = async () => {
+      try {
+        setAddressLocation(await getCurrentLocation());
+        displayMessage('Location captured.', 'success');
+      } catch (error) {
+        displayMessage(error.message, 'error');
+      }
+    };
+
+    const handleSaveAddress = async (e) => {
+      e.preventDefault();
+      if (!dbRef.current || !userId) return;
+      const fieldErrors = validateFields('deliveryAddress', addressForm);
+      setAddressErrors(fieldErrors);
+      if (Object.keys(fieldErrors).length > 0) return;
+      try {
+        const address = Object.fromEntries(ADDRESS_FIELDS.map(field => [field, addressForm[field].trim()]));
+        await addDoc(collection(dbRef.current, addressesPath), {
+          ...address,
+          location: addressLocation,
+          isDefault: deliveryAddresses.length === 0, // The first address becomes the default
+          createdAt: serverTimestamp(),
+        });
+        displayMessage(`Address "${address.label}" saved.`, 'success');
+        setAddressForm(emptyAddressForm);
+        setAddressLocation(null);
+        setShowAddressForm(false);
+      } catch (error) {
+        console.error("Error saving address:", error);
+        displayMessage(`Failed to save address: ${error.message}`, 'error');
+      }
+    };
+
+    const handleSetDefaultAddress = async (addressId) => {
+      if (!dbRef.current || !userId) return;
+      try {
+        const batch = writeBatch(dbRef.current);
+        deliveryAddresses.forEach(address => {
+          if (address.isDefault !== (address.id === addressId)) {
+            batch.update(doc(dbRef.current, addressesPath, address.id), { isDefault: address.id === addressId });
+          }
+        });
+        await batch.commit();
+      } catch (error) {
+        console.error("Error updating default address:", error);
+        displayMessage(`Failed to update default address: ${error.message}`, 'error');
+      }
+    };
+
+    const handleDeleteAddress = async (address) => {
       if (!dbRef.current || !userId) return;
+      if (!window.confirm(`Delete the address "${address.label}"?`)) return;
       try {
-        const product = products.find(p => p.id === productId);
-        if (!product) {
-          displayMessage("Product not found.", 'error');
+        await deleteDoc(doc(dbRef.current, addressesPath, address.id));
+        if (cartAddressId === address.id) setCartAddressId('');
+        displayMessage('Address deleted.', 'success');
+      } catch (error) {
+        console.error("Error deleting address:", error);
+        displayMessage(`Failed to delete address: ${error.message}`, 'error');
+      }
+    };
+
+    const prescriptionCartLines = cartLines.filter(line => line.product?.prescriptionRequired);
+    const validEPrescriptions = ePrescriptions.filter(isEPrescriptionUsable);
+    const selectedEPrescription = ePrescriptions.find(prescription => prescription.id === cartPrescription.ePrescriptionId) || null;
+
+    // Fills the cart with an e-prescription's medicines at the prescribed quantities and orders against it
+    const handleOrderFromEPrescription = (ePrescription) => {
+      const newLines = ePrescription.items.filter(item => !cart.some(cartItem => cartItem.productId === item.productId));
+      if (cart.length + newLines.length > MAX_ORDER_LINE_ITEMS) {
+        displayMessage(`An order can hold up to ${MAX_ORDER_LINE_ITEMS} different products.`, 'error');
+        return;
+      }
+      const prescribed = Object.fromEntries(ePrescription.items.map(item => [item.productId, item.quantity]));
+      setCart([
+        ...cart.map(cartItem => (prescribed[cartItem.productId] ? { ...cartItem, quantity: prescribed[cartItem.productId] } : cartItem)),
+        ...newLines.map(item => ({ productId: item.productId, quantity: item.quantity })),
+      ]);
+      setCartPrescription({ ePrescriptionId: ePrescription.id, file: null });
+      displayMessage(`Medicines from Dr. ${ePrescription.doctorName}'s prescription added to your cart.`, 'success');
+    };
+
+    // Places a single order for everything in the cart. Prescription-only products need an e-prescription
+    // covering them, or an uploaded prescription that an admin or pharmacy reviews before the order is released.
+    const handleCheckout = async () => {
+      if (!dbRef.current || !userId || cart.length === 0) return;
+      const problemLine = cartLines.find(line => line.problem);
+      if (problemLine) {
+        displayMessage(`${problemLine.product?.name || 'A product in your cart'}: ${problemLine.problem}`, 'error');
+        return;
+      }
+      if (!checkoutAddress) {
+        displayMessage("Add a delivery address before placing your order.", 'error');
+        return;
+      }
+
+      let action = 'place';
+      const prescriptionFields = {};
+      if (prescriptionCartLines.length > 0) {
+        if (selectedEPrescription) {
+          const uncovered = getUncoveredPrescriptionItems(prescriptionCartLines, selectedEPrescription);
+          if (!isEPrescriptionValid(selectedEPrescription)) {
+            displayMessage("The selected e-prescription has expired.", 'error');
+            return;
+          }
+          if (selectedEPrescription.usedByOrderId) {
+            displayMessage("The selected e-prescription has already been used for an order.", 'error');
+            return;
+          }
+          if (uncovered.length > 0) {
+            displayMessage(`The selected e-prescription does not cover (or not in these quantities): ${uncovered.join(', ')}.`, 'error');
+            return;
+          }
+          prescriptionFields.ePrescriptionId = selectedEPrescription.id;
+        } else if (cartPrescription.file) {
+          const fileError = validatePrescriptionFile(cartPrescription.file);
+          if (fileError) {
+            displayMessage(fileError, 'error');
+            return;
+          }
+          action = 'place_for_prescription_review';
+        } else {
+          displayMessage(`A prescription is required for: ${prescriptionCartLines.map(line => line.product.name).join(', ')}.`, 'error');
           return;
         }
+      }
 
-        await addDoc(collection(dbRef.current, `artifacts/${appId}/users/${userId}/orders`), {
-          productId: productId,
-          productName: product.name,
-          price: product.price,
+      try {
+        const orderRef = doc(collection(dbRef.current, `artifacts/${appId}/public/data/orders`));
+        let prescriptionUpload = null;
+        if (action === 'place_for_prescription_review') {
+          const file = cartPrescription.file;
+          const path = `artifacts/${appId}/prescriptions/${userId}/${orderRef.id}-${file.name}`;
+          const fileRef = storageFileRef(storageRef.current, path);
+          await uploadBytes(fileRef, file, { contentType: file.type });
+          // Only the path is stored; reviewers open the file through Storage, so storage.rules still apply
+          prescriptionUpload = { name: file.name, path: path };
+        }
+        const order = buildInitialDocument('order', action, { id: userId, role: userRole }, {
+          orderId: orderRef.id,
+          ...buildOrderLineItems(cart, products),
+          ...prescriptionFields,
+          deliveryCity: checkoutAddress.city,
           customerId: userId,
-          status: 'pending_salesperson_pickup',
+          doctorId: null,
+          salespersonId: null,
           orderDate: serverTimestamp(),
         });
-        displayMessage(`Order for ${product.name} placed successfully!`, 'success');
+        const deliveryAddress = {
+          ...Object.fromEntries(ADDRESS_FIELDS.map(field => [field, checkoutAddress[field] || ''])),
+          location: checkoutAddress.location || null,
+        };
+        // An e-prescription is used up by the order placed against it
+        const ePrescriptionRef = prescriptionFields.ePrescriptionId
+          ? doc(dbRef.current, `artifacts/${appId}/public/data/ePrescriptions`, prescriptionFields.ePrescriptionId)
+          : null;
+        await runTransaction(dbRef.current, async (transaction) => {
+          if (ePrescriptionRef) {
+            const ePrescriptionSnap = await transaction.get(ePrescriptionRef);
+            if (!ePrescriptionSnap.exists() || ePrescriptionSnap.data().usedByOrderId) {
+              throw new Error("the selected e-prescription has already been used for an order.");
+            }
+          }
+          transaction.set(orderRef, order);
+          transaction.set(orderDeliveryRef(dbRef.current, orderRef.id), { deliveryAddress: deliveryAddress });
+          if (prescriptionUpload) {
+            transaction.set(orderPrescriptionRef(dbRef.current, orderRef.id), { prescription: prescriptionUpload });
+          }
+          if (ePrescriptionRef) {
+            transaction.update(ePrescriptionRef, { usedByOrderId: orderRef.id, usedAt: serverTimestamp() });
+          }
+        });
+        displayMessage(action === 'place_for_prescription_review'
+          ? 'Order placed. It will be sent for delivery once your prescription is approved.'
+          : `Order for ${cart.length} product${cart.length === 1 ? '' : 's'} placed successfully!`, 'success');
+        setCart([]);
+        setCartPrescription({ ePrescriptionId: '', file: null });
       } catch (error) {
         console.error("Error placing order:", error);
         displayMessage(`Failed to place order: ${error.message}`, 'error');
       }
     };
 
-    const handleConfirmTransferAndPayment = async () => {
-      if (!dbRef.current || !userId || !qrCodeInput) {
-        displayMessage("Please enter QR code content.", 'error');
+    // Accepts content decoded by QRScanner, or falls back to the pasted text field
+    const handleConfirmTransferAndPayment = async (scannedContent) => {
+      const qrContent = typeof scannedContent === 'string' ? scannedContent : qrCodeInput;
+      if (!dbRef.current || !userId || !qrContent) {
+        displayMessage("Please scan or enter QR code content.", 'error');
         return;
       }
 
       try {
-        const qrData = JSON.parse(qrCodeInput);
-        const { orderId, patientOfferId, salespersonId } = qrData;
+        const envelope = await verifyQrEnvelope(dbRef.current, qrContent, QR_PURPOSES.DELIVERY_CONFIRMATION);
+        const { orderId, patientOfferId, salespersonId } = envelope.data;
 
         let docRef;
         let collectionPath;
         let type;
 
         if (orderId) {
-          collectionPath = `artifacts/${appId}/users/${userId}/orders`;
+          collectionPath = `artifacts/${appId}/public/data/orders`;
           docRef = doc(dbRef.current, collectionPath, orderId);
           type = 'order';
         } else if (patientOfferId) {
@@ -1073,71 +5245,101 @@ const App = () => {
           return;
         }
 
-        // Validate status and salesperson
-        if (type === 'order' && data.status !== 'in_delivery') {
-          displayMessage("Order is not in 'in delivery' status.", 'error');
-          return;
-        }
-        if (type === 'appointment' && data.status !== 'assigned_to_salesperson') {
-          displayMessage("Appointment is not in 'assigned to salesperson' status.", 'error');
-          return;
-        }
+        // Validate salesperson (status is guarded by the state machine below)
         if (data.salespersonId !== salespersonId) {
           displayMessage("QR code does not match the assigned salesperson.", 'error');
           return;
         }
 
-        // Update status and record payment
-        await updateDoc(docRef, {
-          status: type === 'order' ? 'delivered' : 'completed',
-          deliveredDate: serverTimestamp(),
-          cashReceived: type === 'order' ? true : undefined,
-          paymentConfirmed: type === 'appointment' ? true : undefined,
-          qrContent: qrCodeInput, // Store QR content as proof
+        // Coins earned by the salesperson: the coins of every line item, or their commission on the
+        // checkup fee, with the rest of the fee going to the doctor. The patient pays the fee from
+        // their balance into the checkup clearing account, and both shares are paid out of it.
+        // Orders placed before carts were added use the product's current coins.
+        const checkupFees = type === 'appointment' ? getAppointmentFees(data) : null;
+        const orderCoins = type === 'order'
+          ? (data.items ? data.coinsTotal : (products.find(p => p.id === data.productId)?.coinsAssigned || 0))
+          : 0;
+        const coinsEarned = type === 'order' ? orderCoins : checkupFees.salespersonCommission;
+        const doctorFee = type === 'appointment' ? checkupFees.consultationFee - checkupFees.salespersonCommission : 0;
+
+        // Update status, record payment, use up the QR code and credit coins in one transaction
+        const actor = { id: userId, role: userRole };
+        await runTransaction(dbRef.current, async (transaction) => {
+          const transition = type === 'order'
+            ? await prepareTransition(transaction, docRef, 'order', 'deliver', actor)
+            : await prepareTransition(transaction, docRef, 'patientOffer', 'complete', actor);
+          const commitNonce = await prepareQrEnvelopeUse(transaction, dbRef.current, envelope, userId);
+          const commitCharge = type === 'appointment' ? await prepareCoinMovement(transaction, dbRef.current, {
+            type: 'checkup_charge',
+            amount: checkupFees.consultationFee,
+            debitAccountId: userId, // Patient ID
+            creditAccountId: SYSTEM_ACCOUNTS.CHECKUP_CLEARING,
+            initiatedBy: userId,
+            description: `Consultation fee for checkup: ${data.reason}`,
+            references: { patientOfferId: patientOfferId },
+          }) : null;
+          const commitCoins = coinsEarned > 0 ? await prepareCoinMovement(transaction, dbRef.current, type === 'order' ? {
+            type: 'coin_transfer',
+            amount: coinsEarned,
+            debitAccountId: SYSTEM_ACCOUNTS.PLATFORM,
+            creditAccountId: salespersonId,
+            initiatedBy: userId, // Customer ID
+            description: `Coins for order delivery: ${describeOrderItems(data)}`,
+            references: { orderId: orderId },
+          } : {
+            type: 'checkup_payment',
+            amount: coinsEarned,
+            debitAccountId: SYSTEM_ACCOUNTS.CHECKUP_CLEARING,
+            creditAccountId: salespersonId,
+            initiatedBy: userId, // Patient ID
+            description: `Coins for patient checkup: ${data.reason}`,
+            references: { patientOfferId: patientOfferId },
+          }) : null;
+          const commitDoctorFee = doctorFee > 0 ? await prepareCoinMovement(transaction, dbRef.current, {
+            type: 'consultation_fee',
+            amount: doctorFee,
+            debitAccountId: SYSTEM_ACCOUNTS.CHECKUP_CLEARING,
+            creditAccountId: data.doctorId,
+            initiatedBy: userId, // Patient ID
+            description: `Consultation fee for checkup: ${data.reason}`,
+            references: { patientOfferId: patientOfferId },
+          }) : null;
+          const purchaseReward = type === 'order' ? calculatePurchaseReward(getOrderSubtotal(data)) : 0;
+          const commitReward = purchaseReward > 0 ? await prepareCoinMovement(transaction, dbRef.current, {
+            type: 'purchase_reward',
+            amount: purchaseReward,
+            debitAccountId: SYSTEM_ACCOUNTS.PLATFORM,
+            creditAccountId: userId,
+            initiatedBy: userId,
+            description: `Purchase reward for order ${orderId}`,
+            references: { orderId: orderId },
+          }) : null;
+
+          transition.commit(type === 'order' ? {
+            deliveredDate: serverTimestamp(),
+            cashReceived: true,
+            qrContent: qrContent, // Store QR content as proof
+            qrNonce: envelope.nonce,
+          } : {
+            deliveredDate: serverTimestamp(),
+            paymentConfirmed: true,
+            chargeLedgerEntryId: commitCharge(),
+            qrContent: qrContent, // Store QR content as proof
+            qrNonce: envelope.nonce,
+          });
+          commitNonce();
+          if (commitCoins) commitCoins();
+          if (commitDoctorFee) commitDoctorFee();
+          if (commitReward) commitReward();
         });
 
-        // Coin transfer to salesperson (for products) or record payment (for checkups)
-        if (type === 'order') {
-          const product = products.find(p => p.id === data.productId);
-          if (product && product.coinsAssigned > 0) {
-            const salespersonProfileRef = doc(dbRef.current, `artifacts/${appId}/users/${salespersonId}/profile`, salespersonId);
-            await updateDoc(salespersonProfileRef, {
-              coins: (await getDoc(salespersonProfileRef)).data()?.coins + product.coinsAssigned || product.coinsAssigned,
-            });
-            await addDoc(collection(dbRef.current, `artifacts/${appId}/users/${salespersonId}/transactions`), {
-              type: 'coin_transfer',
-              amount: product.coinsAssigned,
-              sourceId: userId, // Customer ID
-              targetId: salespersonId,
-              orderId: orderId,
-              date: serverTimestamp(),
-              description: `Coins for product delivery: ${product.name}`,
-            });
-          }
-        } else if (type === 'appointment') {
-          // For appointments, just record the payment confirmation for now.
-          // Actual coin transfer logic for checkups would depend on business rules.
-          // Assuming a fixed coin value or a separate mechanism for checkup payments to salesperson.
-          // For now, let's assume a default coin value for checkups if not specified.
-          const checkupCoins = 50; // Example: 50 coins per checkup
-          const salespersonProfileRef = doc(dbRef.current, `artifacts/${appId}/users/${salespersonId}/profile`, salespersonId);
-            await updateDoc(salespersonProfileRef, {
-              coins: (await getDoc(salespersonProfileRef)).data()?.coins + checkupCoins || checkupCoins,
-            });
-            await addDoc(collection(dbRef.current, `artifacts/${appId}/users/${salespersonId}/transactions`), {
-              type: 'checkup_payment',
-              amount: checkupCoins,
-              sourceId: userId, // Patient ID
-              targetId: salespersonId,
-              patientOfferId: patientOfferId,
-              date: serverTimestamp(),
-              description: `Coins for patient checkup: ${data.reason}`,
-            });
-        }
-
         displayMessage(`${type === 'order' ? 'Delivery' : 'Checkup'} confirmed and payment processed!`, 'success');
         setQrCodeInput('');
       } catch (error) {
+        if (error instanceof QrVerificationError || error instanceof StateTransitionError || error instanceof InsufficientFundsError) {
+          displayMessage(error.message, 'error');
+          return;
+        }
         console.error("Error confirming transfer/payment:", error);
         displayMessage(`Failed to confirm: ${error.message}`, 'error');
       }
@@ -1145,71 +5347,223 @@ const App = () => {
 
     const handleDonateCoins = async (e) => {
       e.preventDefault();
-      if (!dbRef.current || !userId || !selectedInstitutionForDonation || !amountToDonate) {
-        displayMessage("Please select an institution and enter a valid amount.", 'error');
-        return;
-      }
+      if (!dbRef.current || !userId) return;
+      const fieldErrors = validateFields('donation', { institutionId: selectedInstitutionForDonation, amount: amountToDonate });
       const amount = parseInt(amountToDonate);
-      if (isNaN(amount) || amount <= 0) {
-        displayMessage("Amount to donate must be a positive number.", 'error');
-        return;
+      if (!fieldErrors.amount && amount > customerWalletBalance) {
+        fieldErrors.amount = `You only have ${customerWalletBalance} coins in your wallet.`;
       }
+      setDonationErrors(fieldErrors);
+      if (Object.keys(fieldErrors).length > 0) return;
 
       try {
-        // Deduct coins from customer (if customer had a coin balance, not explicitly in prompt but good practice)
-        // For now, assuming customer doesn't have a coin balance to deduct, just a donation.
-        // In a real app, you'd check customer's coins and prevent negative balance.
-
-        // Add coins to institution
-        const institutionProfileRef = doc(dbRef.current, `artifacts/${appId}/users/${selectedInstitutionForDonation}/profile`, selectedInstitutionForDonation);
-        await updateDoc(institutionProfileRef, {
-          coins: (await getDoc(institutionProfileRef)).data()?.coins + amount || amount,
-        });
-
-        // Record transaction for institution
-        await addDoc(collection(dbRef.current, `artifacts/${appId}/users/${selectedInstitutionForDonation}/transactions`), {
+        // Debits the customer's wallet; refused with InsufficientFundsError if the balance is too low
+        await moveCoins(dbRef.current, {
           type: 'donation',
           amount: amount,
-          sourceId: userId, // Donor ID
-          targetId: selectedInstitutionForDonation,
-          date: serverTimestamp(),
+          debitAccountId: userId,
+          creditAccountId: selectedInstitutionForDonation,
+          initiatedBy: userId, // Donor ID
           description: `Donation from customer ${userId}`,
         });
 
-        displayMessage(`Successfully donated ${amount} coins to ${approvedInstitutions.find(inst => inst.id === selectedInstitutionForDonation)?.name}!`, 'success');
+        displayMessage(`Successfully donated ${amount} coins to ${listedInstitutions.find(inst => inst.id === selectedInstitutionForDonation)?.name}!`, 'success');
         setAmountToDonate('');
         setSelectedInstitutionForDonation('');
       } catch (error) {
+        if (error instanceof InsufficientFundsError) {
+          displayMessage(`You only have ${error.available} coins in your wallet.`, 'error');
+          return;
+        }
         console.error("Error donating coins:", error);
         displayMessage(`Failed to donate coins: ${error.message}`, 'error');
       }
     };
 
-    const handleRequestCheckup = async (doctorId, doctorName) => {
+    // Top-ups are credited only after an admin confirms the payment reference
+    const handleRequestTopUp = async (e) => {
+      e.preventDefault();
       if (!dbRef.current || !userId) return;
+      const fieldErrors = validateFields('walletTopUp', { amount: topUpAmount, paymentReference: topUpReference });
+      setTopUpErrors(fieldErrors);
+      if (Object.keys(fieldErrors).length > 0) return;
+      try {
+        await addDoc(collection(dbRef.current, `artifacts/${appId}/public/data/walletTopUps`), {
+          customerId: userId,
+          amount: parseInt(topUpAmount),
+          paymentReference: topUpReference.trim(),
+          status: 'pending',
+          requestDate: serverTimestamp(),
+        });
+        displayMessage('Top-up request submitted. Coins will be added once payment is confirmed.', 'success');
+        setTopUpAmount('');
+        setTopUpReference('');
+      } catch (error) {
+        console.error("Error requesting top-up:", error);
+        displayMessage(`Failed to request top-up: ${error.message}`, 'error');
+      }
+    };
+
+    const appointmentDoctor = verifiedDoctors.find(d => d.id === selectedDoctorForAppointment);
+    const appointmentFees = appointmentDoctor && getCheckupFees(appointmentDoctor, checkupFeeSettings);
+    const appointmentSlots = appointmentDoctor
+      ? getOpenSlots(appointmentDoctor, new Set(doctorSlots.map(slot => slot.id)))
+      : [];
+    const myAppointments = [...patientOffers]
+      .sort((a, b) => (b.scheduledFor?.toMillis() || 0) - (a.scheduledFor?.toMillis() || 0));
+
+    const reschedulingAppointment = patientOffers.find(offer => offer.id === reschedulingAppointmentId);
+    const reschedulingDoctor = reschedulingAppointment && verifiedDoctors.find(d => d.id === reschedulingAppointment.doctorId);
+    // The appointment's own cells stay bookable while it moves
+    const newAppointmentSlots = reschedulingDoctor
+      ? getOpenSlots(reschedulingDoctor, new Set(doctorSlots.filter(slot => slot.patientOfferId !== reschedulingAppointment.id).map(slot => slot.id)))
+      : [];
+
+    const handleChooseDoctor = (doctorId) => {
+      setSelectedDoctorForAppointment(doctorId);
+      setSelectedSlot(null);
+    };
+
+    const handleRequestCheckup = async () => {
+      if (!dbRef.current || !userId || !appointmentDoctor) return;
       if (!reasonForCheckup) {
         displayMessage("Please provide a reason for checkup.", 'error');
         return;
       }
+      if (!selectedSlot) {
+        displayMessage("Please pick an appointment time.", 'error');
+        return;
+      }
       try {
-        await addDoc(collection(dbRef.current, `artifacts/${appId}/public/data/patientOffers`), {
-          patientId: userId,
-          patientName: userId, // In a real app, fetch customer's name
-          doctorId: doctorId,
-          doctorName: doctorName,
-          reason: reasonForCheckup,
-          offeredOn: serverTimestamp(),
-          status: 'pending',
+        const offerRef = doc(collection(dbRef.current, `artifacts/${appId}/public/data/patientOffers`));
+        await runTransaction(dbRef.current, async (transaction) => {
+          const slotMinutes = getSlotMinutes(appointmentDoctor.availability);
+          const commitSlot = await prepareSlotClaim(transaction, dbRef.current, appointmentDoctor.id, selectedSlot, slotMinutes, offerRef.id);
+          commitSlot();
+          transaction.set(offerRef, buildInitialDocument('patientOffer', 'request', { id: userId, role: userRole }, {
+            patientId: userId,
+            // Profiles only carry a name once one is given; saved delivery addresses always name a recipient
+            patientName: customerName || checkoutAddress?.recipientName || userId,
+            doctorId: appointmentDoctor.id,
+            doctorName: appointmentDoctor.name,
+            reason: reasonForCheckup,
+            scheduledFor: Timestamp.fromDate(selectedSlot),
+            slotId: getSlotId(appointmentDoctor.id, selectedSlot),
+            slotMinutes: slotMinutes,
+            consultationFee: appointmentFees.consultationFee,
+            salespersonCommission: appointmentFees.salespersonCommission,
+            previousVisitCount: medicalVisits.length, // Lets the doctor spot returning patients
+            offeredOn: serverTimestamp(),
+          }));
         });
-        displayMessage(`Checkup request sent to Dr. ${doctorName}!`, 'success');
+        displayMessage(`Checkup requested with Dr. ${appointmentDoctor.name} for ${formatSlot(selectedSlot)}!`, 'success');
         setReasonForCheckup('');
         setSelectedDoctorForAppointment('');
+        setSelectedSlot(null);
       } catch (error) {
         console.error("Error requesting checkup:", error);
         displayMessage(`Failed to request checkup: ${error.message}`, 'error');
       }
     };
 
+    const handleRemoveFromCareTeam = async (member) => {
+      if (!dbRef.current || !userId) return;
+      try {
+        await deleteDoc(careTeamRef(dbRef.current, userId, member.id));
+        displayMessage(`Dr. ${member.doctorName} can no longer see your medical record.`, 'success');
+      } catch (error) {
+        console.error("Error updating care team:", error);
+        displayMessage(`Failed to remove doctor: ${error.message}`, 'error');
+      }
+    };
+
+    const handleCancelAppointment = async (offer) => {
+      if (!dbRef.current || !userId) return;
+      const cancellationReason = prompt(offer.status === OFFER_STATUS.ASSIGNED_TO_SALESPERSON
+        ? "A salesperson is already on the way. Why are you cancelling this appointment?"
+        : "Why are you cancelling this appointment?");
+      if (cancellationReason === null) return;
+      if (!cancellationReason.trim()) {
+        displayMessage("Please give a reason for cancelling.", 'error');
+        return;
+      }
+      try {
+        const offerRef = doc(dbRef.current, `artifacts/${appId}/public/data/patientOffers`, offer.id);
+        await runTransaction(dbRef.current, async (transaction) => {
+          const transition = await prepareTransition(transaction, offerRef, 'patientOffer', 'cancel', { id: userId, role: userRole });
+          const commitCallout = await prepareCheckupCallout(transaction, dbRef.current, transition.data, offer.id, userId, `Call-out for cancelled checkup: ${transition.data.reason}`);
+          const commitRelease = transition.data.scheduledFor?.toMillis() > Date.now()
+            ? await prepareSlotRelease(transaction, dbRef.current, transition.data, offer.id)
+            : null;
+          const commitRevoke = await prepareCareTeamRevoke(transaction, dbRef.current, transition.data, offer.id);
+          transition.commit({
+            cancelledAt: serverTimestamp(),
+            cancellationReason: cancellationReason.trim(),
+          }, cancellationReason.trim());
+          if (commitCallout) commitCallout();
+          if (commitRelease) commitRelease();
+          commitRevoke();
+        });
+        displayMessage('Appointment cancelled.', 'success');
+      } catch (error) {
+        if (error instanceof StateTransitionError || error instanceof InsufficientFundsError) {
+          displayMessage(error.message, 'error');
+          return;
+        }
+        console.error("Error cancelling appointment:", error);
+        displayMessage(`Failed to cancel appointment: ${error.message}`, 'error');
+      }
+    };
+
+    const handleStartAppointmentReschedule = (offerId) => {
+      setReschedulingAppointmentId(offerId);
+      setNewAppointmentSlot(null);
+      setNewAppointmentReason('');
+    };
+
+    const handleRequestReschedule = async () => {
+      if (!dbRef.current || !userId || !reschedulingAppointment) return;
+      if (!newAppointmentSlot) {
+        displayMessage("Please pick the new appointment time.", 'error');
+        return;
+      }
+      if (!newAppointmentReason.trim()) {
+        displayMessage("Please tell the doctor why you need a new time.", 'error');
+        return;
+      }
+      try {
+        const offerRef = doc(dbRef.current, `artifacts/${appId}/public/data/patientOffers`, reschedulingAppointment.id);
+        await runTransaction(dbRef.current, async (transaction) => {
+          const transition = await prepareTransition(transaction, offerRef, 'patientOffer', 'request_reschedule', { id: userId, role: userRole });
+          const slotMinutes = getSlotMinutes(reschedulingDoctor.availability);
+          const commitSlot = await prepareSlotClaim(transaction, dbRef.current, transition.data.doctorId, newAppointmentSlot, slotMinutes, reschedulingAppointment.id);
+          const commitRelease = await prepareSlotRelease(transaction, dbRef.current, transition.data, reschedulingAppointment.id,
+            getSlotCellIds(transition.data.doctorId, newAppointmentSlot, slotMinutes));
+          transition.commit({
+            scheduledFor: Timestamp.fromDate(newAppointmentSlot),
+            slotId: getSlotId(transition.data.doctorId, newAppointmentSlot),
+            slotMinutes: slotMinutes,
+            rescheduledAt: serverTimestamp(),
+            rescheduledBy: 'customer',
+            rescheduleReason: newAppointmentReason.trim(),
+          }, newAppointmentReason.trim());
+          commitSlot();
+          commitRelease();
+        });
+        displayMessage(`New time requested: ${formatSlot(newAppointmentSlot)}. The doctor will confirm it.`, 'success');
+        setReschedulingAppointmentId('');
+        setNewAppointmentSlot(null);
+        setNewAppointmentReason('');
+      } catch (error) {
+        if (error instanceof StateTransitionError) {
+          displayMessage(error.message, 'error');
+          return;
+        }
+        console.error("Error rescheduling appointment:", error);
+        displayMessage(`Failed to reschedule appointment: ${error.message}`, 'error');
+      }
+    };
+
     return (
       <div className="p-6 bg-gray-50 min-h-[calc(100vh-160px)] rounded-xl shadow-inner">
         <h1 className="text-4xl font-bold text-gray-900 mb-8 flex items-center font-inter">
@@ -1220,7 +5574,7 @@ const App = () => {
           {/* Search Products */}
           <DashboardCard title="Search Products" icon={Package}>
             <InputField
-              label="Search Product Name"
+              label="Search by Name, Category or Manufacturer"
               value={searchTerm}
               onChange={(e) => setSearchTerm(e.target.value)}
               placeholder="Type to search..."
@@ -1235,6 +5589,7 @@ const App = () => {
                 <thead className="bg-gray-100">
                   <tr>
                     <th className="py-2 px-4 text-left text-sm font-semibold text-gray-600">Name</th>
+                    <th className="py-2 px-4 text-left text-sm font-semibold text-gray-600">Category</th>
                     <th className="py-2 px-4 text-left text-sm font-semibold text-gray-600">Price</th>
                     <th className="py-2 px-4 text-left text-sm font-semibold text-gray-600">Coins</th>
                     <th className="py-2 px-4 text-left text-sm font-semibold text-gray-600">Actions</th>
@@ -1242,17 +5597,34 @@ const App = () => {
                 </thead>
                 <tbody>
                   {filteredProducts.length === 0 ? (
-                    <tr><td colSpan="4" className="text-center py-4 text-gray-500">No products found.</td></tr>
+                    <tr><td colSpan="5" className="text-center py-4 text-gray-500">No products found.</td></tr>
                   ) : (
                     filteredProducts.map((product) => (
                       <tr key={product.id} className="border-b border-gray-100 last:border-b-0">
-                        <td className="py-2 px-4 text-gray-700">{product.name}</td>
+                        <td className="py-2 px-4 text-gray-700">
+                          <div className="flex items-center gap-2">
+                            {product.imageUrl && <img src={product.imageUrl} alt={product.name} className="h-10 w-10 object-cover rounded" />}
+                            <div>
+                              <p>
+                                {product.name}
+                                {product.strength && <span className="text-gray-500"> {product.strength}</span>}
+                                {product.prescriptionRequired && <span className="ml-1 text-xs font-semibold text-red-600">Rx</span>}
+                              </p>
+                              <p className="text-xs text-gray-500">{[product.dosageForm, product.manufacturer].filter(Boolean).join(' · ')}</p>
+                            </div>
+                          </div>
+                        </td>
+                        <td className="py-2 px-4 text-gray-700">{product.category || 'N/A'}</td>
                         <td className="py-2 px-4 text-gray-700">${product.price?.toFixed(2)}</td>
                         <td className="py-2 px-4 text-gray-700">{product.coinsAssigned}</td>
                         <td className="py-2 px-4">
-                          <ActionButton onClick={() => handleBuyNow(product.id)} className="text-xs px-2 py-1">
-                            Buy Now
-                          </ActionButton>
+                          {getUnitsOnShelf(pharmacyStock, product.id) > 0 ? (
+                            <ActionButton onClick={() => handleAddToCart(product)} className="text-xs px-2 py-1">
+                              Add to Cart
+                            </ActionButton>
+                          ) : (
+                            <span className="text-sm font-semibold text-red-600">Out of stock</span>
+                          )}
                         </td>
                       </tr>
                     ))
@@ -1262,6 +5634,199 @@ const App = () => {
             </div>
           </DashboardCard>
 
+          {/* Cart */}
+          <DashboardCard title={`Your Cart (${cart.length})`} icon={Package}>
+            {cartLines.length === 0 ? (
+              <p className="text-gray-600">Your cart is empty. Add products from the list above.</p>
+            ) : (
+              <>
+                <div className="overflow-x-auto">
+                  <table className="min-w-full bg-white rounded-lg overflow-hidden shadow-sm">
+                    <thead className="bg-gray-100">
+                      <tr>
+                        <th className="py-2 px-4 text-left text-sm font-semibold text-gray-600">Product</th>
+                        <th className="py-2 px-4 text-left text-sm font-semibold text-gray-600">Unit Price</th>
+                        <th className="py-2 px-4 text-left text-sm font-semibold text-gray-600">Quantity</th>
+                        <th className="py-2 px-4 text-left text-sm font-semibold text-gray-600">Total</th>
+                        <th className="py-2 px-4 text-left text-sm font-semibold text-gray-600">Actions</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {cartLines.map((line) => (
+                        <tr key={line.productId} className="border-b border-gray-100 last:border-b-0">
+                          <td className="py-2 px-4 text-gray-700">
+                            {line.product?.name || 'Unavailable product'}
+                            {line.problem && <p className="text-xs text-red-600">{line.problem}</p>}
+                          </td>
+                          <td className="py-2 px-4 text-gray-700">{line.product ? `$${line.product.price.toFixed(2)}` : 'N/A'}</td>
+                          <td className="py-2 px-4">
+                            <input
+                              type="number"
+                              min="1"
+                              max={line.unitsOnShelf || undefined}
+                              value={line.quantity || ''}
+                              onChange={(e) => handleUpdateCartQuantity(line.productId, e.target.value)}
+                              className="w-20 border rounded-lg py-1 px-2 text-gray-700"
+                            />
+                          </td>
+                          <td className="py-2 px-4 text-gray-700">{line.product ? `$${(line.product.price * line.quantity).toFixed(2)}` : 'N/A'}</td>
+                          <td className="py-2 px-4">
+                            <ActionButton onClick={() => handleRemoveFromCart(line.productId)} className="text-xs px-2 py-1 bg-gray-500 hover:bg-gray-600">
+                              Remove
+                            </ActionButton>
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+                {prescriptionCartLines.length > 0 && (
+                  <div className="mt-4 p-4 bg-yellow-50 border border-yellow-200 rounded-lg">
+                    <p className="text-sm font-semibold text-yellow-800 mb-2">
+                      A prescription is required for: {prescriptionCartLines.map(line => line.product.name).join(', ')}
+                    </p>
+                    {validEPrescriptions.length > 0 && (
+                      <SelectField
+                        label="Use an e-prescription from your doctor"
+                        value={cartPrescription.ePrescriptionId}
+                        onChange={(e) => setCartPrescription({ ePrescriptionId: e.target.value, file: null })}
+                        options={validEPrescriptions.map(prescription => ({
+                          value: prescription.id,
+                          label: `Dr. ${prescription.doctorName} (${prescription.issuedAt?.toDate().toLocaleDateString()})`,
+                        }))}
+                      />
+                    )}
+                    <label className="block text-gray-700 text-sm font-bold mb-2 font-inter">
+                      {validEPrescriptions.length > 0 ? 'Or upload a prescription' : 'Upload your prescription'} (JPG, PNG or PDF, up to 5 MB)
+                    </label>
+                    <input
+                      type="file"
+                      accept={PRESCRIPTION_FILE_TYPES.join(',')}
+                      onChange={(e) => setCartPrescription({ ePrescriptionId: '', file: e.target.files[0] || null })}
+                      className="block w-full text-sm text-gray-700"
+                    />
+                    {cartPrescription.file && <p className="mt-1 text-xs text-gray-600">Selected: {cartPrescription.file.name}</p>}
+                    <p className="mt-2 text-xs text-gray-500">
+                      Orders with an uploaded prescription are checked by our pharmacist before they are sent for delivery.
+                    </p>
+                  </div>
+                )}
+                <div className="mt-4">
+                  {deliveryAddresses.length === 0 ? (
+                    <p className="text-sm text-red-600">Add a delivery address below before placing your order.</p>
+                  ) : (
+                    <SelectField
+                      label="Deliver To"
+                      value={checkoutAddress?.id || ''}
+                      onChange={(e) => setCartAddressId(e.target.value)}
+                      options={deliveryAddresses.map(address => ({
+                        value: address.id,
+                        label: `${address.label}: ${formatAddress(address)}`,
+                      }))}
+                      required
+                    />
+                  )}
+                </div>
+                <div className="mt-4 flex items-center justify-between">
+                  <div>
+                    <p className="text-lg font-semibold text-gray-800">Subtotal: ${cartSubtotal.toFixed(2)}</p>
+                    <p className="text-sm text-gray-500">
+                      You earn {calculatePurchaseReward(cartSubtotal)} coins back once the order is delivered.
+                    </p>
+                  </div>
+                  <ActionButton onClick={handleCheckout}>Place Order</ActionButton>
+                </div>
+              </>
+            )}
+          </DashboardCard>
+
+          {/* Delivery Addresses */}
+          <DashboardCard title="Delivery Addresses" icon={Home}>
+            {deliveryAddresses.length === 0 ? (
+              <p className="text-gray-600 mb-4">No saved addresses yet.</p>
+            ) : (
+              <ul className="space-y-3 mb-4">
+                {deliveryAddresses.map((address) => (
+                  <li key={address.id} className="border-b border-gray-100 pb-3 last:border-b-0">
+                    <p className="font-semibold text-gray-800">
+                      {address.label}
+                      {address.isDefault && <span className="ml-2 text-xs font-normal text-green-700">Default</span>}
+                    </p>
+                    <p className="text-sm text-gray-700">{address.recipientName} · {address.phone}</p>
+                    <p className="text-sm text-gray-700">{formatAddress(address)}</p>
+                    {address.location && <p className="text-xs text-gray-500">Map pin saved</p>}
+                    <div className="mt-1 space-x-3 text-xs">
+                      {!address.isDefault && (
+                        <button onClick={() => handleSetDefaultAddress(address.id)} className="text-indigo-600 hover:underline">Make default</button>
+                      )}
+                      <button onClick={() => handleDeleteAddress(address)} className="text-red-600 hover:underline">Delete</button>
+                    </div>
+                  </li>
+                ))}
+              </ul>
+            )}
+            {showAddressForm ? (
+              <form onSubmit={handleSaveAddress} noValidate>
+                <InputField label="Label" value={addressForm.label} onChange={(e) => setAddressForm({ ...addressForm, label: e.target.value })} placeholder="e.g., Home, Office" required error={addressErrors.label} />
+                <InputField label="Recipient Name" value={addressForm.recipientName} onChange={(e) => setAddressForm({ ...addressForm, recipientName: e.target.value })} required error={addressErrors.recipientName} />
+                <InputField label="Contact Number" type="tel" value={addressForm.phone} onChange={(e) => setAddressForm({ ...addressForm, phone: e.target.value })} placeholder="03001234567" required error={addressErrors.phone} />
+                <InputField label="Address Line 1" value={addressForm.line1} onChange={(e) => setAddressForm({ ...addressForm, line1: e.target.value })} placeholder="House / street" required error={addressErrors.line1} />
+                <InputField label="Address Line 2" value={addressForm.line2} onChange={(e) => setAddressForm({ ...addressForm, line2: e.target.value })} placeholder="Area / sector" />
+                <InputField label="Nearest Landmark" value={addressForm.landmark} onChange={(e) => setAddressForm({ ...addressForm, landmark: e.target.value })} />
+                <InputField label="City" value={addressForm.city} onChange={(e) => setAddressForm({ ...addressForm, city: e.target.value })} required error={addressErrors.city} />
+                <div className="mb-4 flex items-center gap-3">
+                  <ActionButton type="button" onClick={handleUseCurrentLocation} className="text-xs px-2 py-1 bg-gray-600 hover:bg-gray-700">
+                    Use My Current Location
+                  </ActionButton>
+                  <span className="text-xs text-gray-600">
+                    {addressLocation ? `Pinned at ${addressLocation.lat}, ${addressLocation.lng}` : 'Optional: helps the salesperson find you'}
+                  </span>
+                </div>
+                <div className="flex gap-2">
+                  <ActionButton type="submit">Save Address</ActionButton>
+                  <ActionButton type="button" onClick={() => setShowAddressForm(false)} className="bg-gray-500 hover:bg-gray-600">Cancel</ActionButton>
+                </div>
+              </form>
+            ) : (
+              <ActionButton onClick={() => setShowAddressForm(true)}>Add Address</ActionButton>
+            )}
+          </DashboardCard>
+
+          {/* e-Prescriptions */}
+          <DashboardCard title="Your e-Prescriptions" icon={Stethoscope}>
+            {ePrescriptions.length === 0 ? (
+              <p className="text-gray-600">Prescriptions your doctors issue after a checkup will appear here.</p>
+            ) : (
+              <ul className="space-y-4">
+                {ePrescriptions.map((prescription) => (
+                  <li key={prescription.id} className="border-b border-gray-100 pb-4 last:border-b-0">
+                    <p className="font-semibold text-gray-800">
+                      Dr. {prescription.doctorName}
+                      <span className="ml-2 text-xs font-normal text-gray-500">
+                        Issued {prescription.issuedAt?.toDate().toLocaleDateString()} · Valid until {prescription.validUntil?.toDate().toLocaleDateString()}
+                      </span>
+                    </p>
+                    <ul className="text-sm text-gray-700 list-disc list-inside">
+                      {prescription.items.map((item) => (
+                        <li key={item.productId}>{item.productName} × {item.quantity}{item.instructions && ` — ${item.instructions}`}</li>
+                      ))}
+                    </ul>
+                    {prescription.notes && <p className="text-xs text-gray-500 mt-1">{prescription.notes}</p>}
+                    {prescription.usedByOrderId ? (
+                      <p className="mt-2 text-xs font-semibold text-gray-500">Used for order {prescription.usedByOrderId}</p>
+                    ) : isEPrescriptionValid(prescription) ? (
+                      <ActionButton onClick={() => handleOrderFromEPrescription(prescription)} className="mt-2 text-xs px-2 py-1">
+                        Order These Medicines
+                      </ActionButton>
+                    ) : (
+                      <p className="mt-2 text-xs font-semibold text-red-600">Expired</p>
+                    )}
+                  </li>
+                ))}
+              </ul>
+            )}
+          </DashboardCard>
+
           {/* Your Order History (Last 30 Days) */}
           <DashboardCard title="Your Order History (Last 30 Days)" icon={Package}>
             <div className="overflow-x-auto">
@@ -1269,29 +5834,39 @@ const App = () => {
                 <thead className="bg-gray-100">
                   <tr>
                     <th className="py-2 px-4 text-left text-sm font-semibold text-gray-600">Order ID</th>
-                    <th className="py-2 px-4 text-left text-sm font-semibold text-gray-600">Product</th>
-                    <th className="py-2 px-4 text-left text-sm font-semibold text-gray-600">Price</th>
+                    <th className="py-2 px-4 text-left text-sm font-semibold text-gray-600">Items</th>
+                    <th className="py-2 px-4 text-left text-sm font-semibold text-gray-600">Total</th>
                     <th className="py-2 px-4 text-left text-sm font-semibold text-gray-600">Status</th>
                     <th className="py-2 px-4 text-left text-sm font-semibold text-gray-600">Order Date</th>
                     <th className="py-2 px-4 text-left text-sm font-semibold text-gray-600">Proof QR</th>
+                    <th className="py-2 px-4 text-left text-sm font-semibold text-gray-600">Timeline</th>
                   </tr>
                 </thead>
                 <tbody>
                   {customerOrders.length === 0 ? (
-                    <tr><td colSpan="6" className="text-center py-4 text-gray-500">No recent orders.</td></tr>
+                    <tr><td colSpan="7" className="text-center py-4 text-gray-500">No recent orders.</td></tr>
                   ) : (
                     customerOrders.map((order) => (
                       <tr key={order.id} className="border-b border-gray-100 last:border-b-0">
                         <td className="py-2 px-4 text-gray-700 text-xs">{order.id}</td>
-                        <td className="py-2 px-4 text-gray-700">{order.productName}</td>
-                        <td className="py-2 px-4 text-gray-700">${order.price?.toFixed(2)}</td>
-                        <td className="py-2 px-4 text-gray-700 capitalize">{order.status?.replace(/_/g, ' ')}</td>
+                        <td className="py-2 px-4 text-gray-700">{describeOrderItems(order)}</td>
+                        <td className="py-2 px-4 text-gray-700">${getOrderSubtotal(order)?.toFixed(2)}</td>
+                        <td className="py-2 px-4 text-gray-700">
+                          <span className="capitalize">{order.status?.replace(/_/g, ' ')}</span>
+                          {order.prescriptionRejectionReason && (
+                            <p className="text-xs text-red-600">Reason: {order.prescriptionRejectionReason}</p>
+                          )}
+                          {order.pharmacyName && (
+                            <p className="text-xs text-gray-500">Pharmacy: {order.pharmacyName}</p>
+                          )}
+                        </td>
                         <td className="py-2 px-4 text-gray-700">{order.orderDate?.toDate().toLocaleDateString()}</td>
                         <td className="py-2 px-4 text-gray-700 text-xs break-all">
-                          {order.status === 'delivered' && order.qrContent ? (
+                          {order.status === ORDER_STATUS.DELIVERED && order.qrContent ? (
                             <span className="text-green-600 font-semibold">QR Proof: {order.qrContent}</span>
                           ) : 'N/A'}
                         </td>
+                        <td className="py-2 px-4 text-gray-700"><StatusTimeline history={order.statusHistory} /></td>
                       </tr>
                     ))
                   )}
@@ -1302,8 +5877,9 @@ const App = () => {
 
           {/* Confirm Delivery & Payment (Scan Salesperson QR) */}
           <DashboardCard title="Confirm Delivery & Payment (Scan Salesperson QR)" icon={Scan}>
+            <QRScanner onScan={handleConfirmTransferAndPayment} buttonLabel="Scan Salesperson QR" />
             <InputField
-              label="Scan Salesperson QR Code (Order/Appointment ID)"
+              label="Or paste QR content (Order/Appointment ID)"
               value={qrCodeInput}
               onChange={(e) => setQrCodeInput(e.target.value)}
               placeholder="Paste QR content here..."
@@ -1313,17 +5889,64 @@ const App = () => {
             </ActionButton>
           </DashboardCard>
 
+          {/* Your Wallet */}
+          <DashboardCard title="Your Wallet" icon={DollarSign}>
+            <p className="text-4xl font-bold text-green-700">{customerWalletBalance} <span className="text-xl text-gray-600">Coins</span></p>
+            <p className="text-sm text-gray-500 mt-2">
+              Earn {CUSTOMER_PURCHASE_REWARD_PERCENT}% of every delivered order back as coins, or top up below.
+            </p>
+            <form onSubmit={handleRequestTopUp} className="mt-4" noValidate>
+              <InputField label="Top-up Amount (Coins)" type="number" value={topUpAmount} onChange={(e) => setTopUpAmount(e.target.value)} min="1" required error={topUpErrors.amount} />
+              <InputField label="Payment Reference" value={topUpReference} onChange={(e) => setTopUpReference(e.target.value)} placeholder="e.g., bank transfer ID" required error={topUpErrors.paymentReference} />
+              <ActionButton type="submit">Request Top-up</ActionButton>
+            </form>
+          </DashboardCard>
+
+          {/* Wallet History (Last 30 Days) */}
+          <DashboardCard title="Wallet History (Last 30 Days)" icon={DollarSign}>
+            <div className="overflow-x-auto">
+              <table className="min-w-full bg-white rounded-lg overflow-hidden shadow-sm">
+                <thead className="bg-gray-100">
+                  <tr>
+                    <th className="py-2 px-4 text-left text-sm font-semibold text-gray-600">Amount</th>
+                    <th className="py-2 px-4 text-left text-sm font-semibold text-gray-600">Type</th>
+                    <th className="py-2 px-4 text-left text-sm font-semibold text-gray-600">Description</th>
+                    <th className="py-2 px-4 text-left text-sm font-semibold text-gray-600">Date</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {customerWalletHistory.length === 0 ? (
+                    <tr><td colSpan="4" className="text-center py-4 text-gray-500">No recent wallet activity.</td></tr>
+                  ) : (
+                    customerWalletHistory.map((transaction) => (
+                      <tr key={transaction.id} className="border-b border-gray-100 last:border-b-0">
+                        <td className={`py-2 px-4 font-semibold ${transaction.amount < 0 ? 'text-red-600' : 'text-green-600'}`}>
+                          {transaction.amount > 0 ? `+${transaction.amount}` : transaction.amount}
+                        </td>
+                        <td className="py-2 px-4 text-gray-700 capitalize">{transaction.type?.replace(/_/g, ' ')}</td>
+                        <td className="py-2 px-4 text-gray-700">{transaction.description}</td>
+                        <td className="py-2 px-4 text-gray-700">{transaction.date?.toDate().toLocaleDateString()}</td>
+                      </tr>
+                    ))
+                  )}
+                </tbody>
+              </table>
+            </div>
+          </DashboardCard>
+
           {/* Donate Coins to Institutions */}
           <DashboardCard title="Donate Coins to Institutions" icon={Gift}>
+            <p className="text-sm text-gray-600 mb-4">Donations are paid from your wallet balance ({customerWalletBalance} coins).</p>
             <SelectField
               label="Select Institution"
               value={selectedInstitutionForDonation}
               onChange={(e) => setSelectedInstitutionForDonation(e.target.value)}
-              options={approvedInstitutions.map(inst => ({
+              options={listedInstitutions.map(inst => ({
                 value: inst.id,
                 label: `${inst.name} (ID: ${inst.id})`
               }))}
               required
+              error={donationErrors.institutionId}
             />
             <InputField
               label="Amount to Donate"
@@ -1332,6 +5955,7 @@ const App = () => {
               onChange={(e) => setAmountToDonate(e.target.value)}
               min="1"
               required
+              error={donationErrors.amount}
             />
             <ActionButton onClick={handleDonateCoins}>Donate Coins</ActionButton>
           </DashboardCard>
@@ -1347,18 +5971,23 @@ const App = () => {
             />
             <h3 className="text-lg font-semibold mt-4 mb-2 text-gray-700">General Physicians</h3>
             <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
-              {doctors.filter(d => d.specialty === 'General Physician').length === 0 ? (
+              {verifiedDoctors.filter(d => d.specialty === 'General Physician').length === 0 ? (
                 <p className="text-gray-500 col-span-full">No General Physicians available.</p>
               ) : (
-                doctors.filter(d => d.specialty === 'General Physician').map(doctor => (
+                verifiedDoctors.filter(d => d.specialty === 'General Physician').map(doctor => (
                   <div key={doctor.id} className="p-3 border rounded-lg flex justify-between items-center shadow-sm bg-blue-50">
                     <div>
                       <p className="font-medium">{doctor.name}</p>
                       <p className="text-sm text-gray-600">{doctor.contactInfo}</p>
+                      <p className="text-sm font-semibold text-gray-700">Fee: {getCheckupFees(doctor, checkupFeeSettings).consultationFee} coins</p>
                     </div>
-                    <ActionButton onClick={() => handleRequestCheckup(doctor.id, doctor.name)} className="text-xs px-2 py-1">
-                      Request Checkup
-                    </ActionButton>
+                    {doctor.availability ? (
+                      <ActionButton onClick={() => handleChooseDoctor(doctor.id)} className="text-xs px-2 py-1">
+                        {selectedDoctorForAppointment === doctor.id ? 'Selected' : 'View Slots'}
+                      </ActionButton>
+                    ) : (
+                      <span className="text-xs text-gray-500">No hours published</span>
+                    )}
                   </div>
                 ))
               )}
@@ -1366,23 +5995,138 @@ const App = () => {
 
             <h3 className="text-lg font-semibold mt-6 mb-2 text-gray-700">Specialists</h3>
             <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
-              {doctors.filter(d => d.specialty !== 'General Physician').length === 0 ? (
+              {verifiedDoctors.filter(d => d.specialty !== 'General Physician').length === 0 ? (
                 <p className="text-gray-500 col-span-full">No Specialists available.</p>
               ) : (
-                doctors.filter(d => d.specialty !== 'General Physician').map(doctor => (
+                verifiedDoctors.filter(d => d.specialty !== 'General Physician').map(doctor => (
                   <div key={doctor.id} className="p-3 border rounded-lg flex justify-between items-center shadow-sm bg-purple-50">
                     <div>
                       <p className="font-medium">{doctor.name}</p>
                       <p className="text-sm text-gray-600">{doctor.specialty}</p>
                       <p className="text-sm text-gray-600">{doctor.contactInfo}</p>
+                      <p className="text-sm font-semibold text-gray-700">Fee: {getCheckupFees(doctor, checkupFeeSettings).consultationFee} coins</p>
                     </div>
-                    <ActionButton onClick={() => handleRequestCheckup(doctor.id, doctor.name)} className="text-xs px-2 py-1">
-                      Request Checkup
-                    </ActionButton>
+                    {doctor.availability ? (
+                      <ActionButton onClick={() => handleChooseDoctor(doctor.id)} className="text-xs px-2 py-1">
+                        {selectedDoctorForAppointment === doctor.id ? 'Selected' : 'View Slots'}
+                      </ActionButton>
+                    ) : (
+                      <span className="text-xs text-gray-500">No hours published</span>
+                    )}
                   </div>
                 ))
               )}
             </div>
+
+            {appointmentDoctor && (
+              <div className="mt-6 p-4 border rounded-lg bg-white">
+                <h3 className="text-lg font-semibold mb-1 text-gray-700">Open slots with Dr. {appointmentDoctor.name}</h3>
+                <p className="text-sm text-gray-500 mb-3">
+                  {getSlotMinutes(appointmentDoctor.availability)}-minute appointments,
+                  consultation fee <span className="font-semibold text-gray-700">{appointmentFees.consultationFee} coins</span> paid from your balance at the visit
+                </p>
+                <SlotPicker slots={appointmentSlots} selectedSlot={selectedSlot} onSelect={setSelectedSlot} />
+                <div className="flex gap-2 mt-4">
+                  <ActionButton onClick={handleRequestCheckup}>
+                    {selectedSlot ? `Book ${formatSlot(selectedSlot)}` : 'Pick a time'}
+                  </ActionButton>
+                  <ActionButton onClick={() => handleChooseDoctor('')} className="bg-gray-500 hover:bg-gray-600">
+                    Cancel
+                  </ActionButton>
+                </div>
+              </div>
+            )}
+          </DashboardCard>
+
+          {/* Medical Record */}
+          <DashboardCard title="Your Medical Record" icon={Stethoscope}>
+            <MedicalHistory visits={medicalVisits} />
+            <h3 className="text-lg font-semibold mt-6 mb-2 text-gray-700">Doctors who can see your record</h3>
+            {careTeam.length === 0 ? (
+              <p className="text-sm text-gray-500">Only you. Doctors are added when they accept a checkup with you.</p>
+            ) : (
+              <ul className="space-y-2">
+                {careTeam.map(member => (
+                  <li key={member.id} className="flex justify-between items-center text-sm text-gray-700">
+                    <span>Dr. {member.doctorName}</span>
+                    <button type="button" onClick={() => handleRemoveFromCareTeam(member)} className="text-red-600 hover:underline text-xs">
+                      Remove access
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </DashboardCard>
+
+          {/* Appointments */}
+          <DashboardCard title="Your Appointments" icon={Clock}>
+            {myAppointments.length === 0 ? (
+              <p className="text-gray-500">You have no appointments yet.</p>
+            ) : (
+              <ul className="space-y-3">
+                {myAppointments.map(offer => (
+                  <li key={offer.id} className="p-3 border rounded-lg bg-white">
+                    <div className="flex justify-between items-center">
+                      <p className="font-medium">Dr. {offer.doctorName}</p>
+                      <span className="text-xs font-semibold capitalize text-gray-600">{formatStatus(offer.status)}</span>
+                    </div>
+                    <p className="text-sm text-gray-600">
+                      {offer.scheduledFor ? formatSlot(offer.scheduledFor.toDate()) : 'No time booked'} — {offer.reason}
+                    </p>
+                    <p className="text-xs text-gray-500">Consultation fee: {getAppointmentFees(offer).consultationFee} coins</p>
+                    {offer.rescheduleReason && !CLOSED_OFFER_STATUSES.includes(offer.status) && (
+                      <p className="text-xs text-blue-700 mt-1">
+                        {offer.rescheduledBy === 'customer' ? 'You asked for a new time' : 'Rescheduled by the doctor'}: {offer.rescheduleReason}
+                      </p>
+                    )}
+                    {CLOSED_OFFER_STATUSES.includes(offer.status) && (
+                      <p className={`text-xs mt-1 ${offer.status === OFFER_STATUS.COMPLETED ? 'text-green-700' : 'text-red-600'}`}>
+                        {describeAppointmentOutcome(offer)}
+                      </p>
+                    )}
+                    <div className="flex items-center justify-between mt-2">
+                      <StatusTimeline history={offer.statusHistory} />
+                      {!CLOSED_OFFER_STATUSES.includes(offer.status) && (
+                        <div className="space-x-2 whitespace-nowrap">
+                          {offer.status !== OFFER_STATUS.ASSIGNED_TO_SALESPERSON && (
+                            <ActionButton onClick={() => handleStartAppointmentReschedule(offer.id)} className="text-xs px-2 py-1 bg-yellow-500 hover:bg-yellow-600">
+                              Reschedule
+                            </ActionButton>
+                          )}
+                          <ActionButton onClick={() => handleCancelAppointment(offer)} className="text-xs px-2 py-1 bg-red-600 hover:bg-red-700">
+                            Cancel
+                          </ActionButton>
+                        </div>
+                      )}
+                    </div>
+                    {offer.id === reschedulingAppointmentId && (
+                      <div className="mt-3 p-3 border rounded-lg bg-gray-50">
+                        {reschedulingDoctor?.availability ? (
+                          <SlotPicker slots={newAppointmentSlots} selectedSlot={newAppointmentSlot} onSelect={setNewAppointmentSlot} />
+                        ) : (
+                          <p className="text-sm text-gray-500">This doctor has no published hours right now.</p>
+                        )}
+                        <InputField
+                          label="Reason for the new time"
+                          value={newAppointmentReason}
+                          onChange={(e) => setNewAppointmentReason(e.target.value)}
+                          placeholder="e.g., Travelling that day"
+                          required
+                        />
+                        <div className="flex gap-2">
+                          <ActionButton onClick={handleRequestReschedule}>
+                            {newAppointmentSlot ? `Request ${formatSlot(newAppointmentSlot)}` : 'Pick a new time'}
+                          </ActionButton>
+                          <ActionButton onClick={() => setReschedulingAppointmentId('')} className="bg-gray-500 hover:bg-gray-600">
+                            Keep Current Time
+                          </ActionButton>
+                        </div>
+                      </div>
+                    )}
+                  </li>
+                ))}
+              </ul>
+            )}
           </DashboardCard>
         </div>
       </div>
@@ -1391,18 +6135,64 @@ const App = () => {
 
   // --- Institution Dashboard ---
   const InstitutionDashboard = () => {
-    const getNextWithdrawalDate = () => {
-      const today = new Date();
-      let nextMonth = today.getMonth() + 1;
-      let year = today.getFullYear();
+    const [withdrawalAmount, setWithdrawalAmount] = useState('');
+    const [withdrawalErrors, setWithdrawalErrors] = useState({});
+    const withdrawalWindowOpen = isWithdrawalWindowOpen();
 
-      if (nextMonth > 11) { // If next month is January of next year
-        nextMonth = 0;
-        year++;
+    const handleRequestWithdrawal = async (e) => {
+      e.preventDefault();
+      if (!dbRef.current || !userId) return;
+      if (!isWithdrawalWindowOpen()) {
+        displayMessage(`Withdrawal requests open on ${getNextWithdrawalDate()}.`, 'error');
+        return;
       }
+      const fieldErrors = validateFields('withdrawal', { amount: withdrawalAmount });
+      const amount = parseInt(withdrawalAmount);
+      if (!fieldErrors.amount && amount > institutionCoinBalance) {
+        fieldErrors.amount = `You only have ${institutionCoinBalance} coins available.`;
+      }
+      setWithdrawalErrors(fieldErrors);
+      if (Object.keys(fieldErrors).length > 0) return;
+
+      try {
+        const profileSnap = await getDoc(doc(dbRef.current, `artifacts/${appId}/users/${userId}/profile`, userId));
+        const bankDetails = profileSnap.exists() ? profileSnap.data().bankDetails : null;
+        if (!bankDetails) {
+          displayMessage("No bank details on file. Please contact MediQuick support.", 'error');
+          return;
+        }
 
-      const firstDayOfNextMonth = new Date(year, nextMonth, 1);
-      return firstDayOfNextMonth.toLocaleDateString();
+        // Reserve the coins in the withdrawal hold account and file the request together
+        const requestRef = doc(collection(dbRef.current, `artifacts/${appId}/public/data/withdrawalRequests`));
+        await runTransaction(dbRef.current, async (transaction) => {
+          const commitHold = await prepareCoinMovement(transaction, dbRef.current, {
+            type: 'withdrawal_hold',
+            amount: amount,
+            debitAccountId: userId,
+            creditAccountId: SYSTEM_ACCOUNTS.WITHDRAWAL_HOLD,
+            initiatedBy: userId,
+            description: 'Coins reserved for withdrawal request',
+            references: { withdrawalRequestId: requestRef.id },
+          });
+          const holdLedgerEntryId = commitHold();
+          transaction.set(requestRef, buildInitialDocument('withdrawal', 'request', { id: userId, role: userRole }, {
+            institutionId: userId,
+            amount: amount,
+            bankDetails: bankDetails,
+            requestDate: serverTimestamp(),
+            holdLedgerEntryId: holdLedgerEntryId,
+          }));
+        });
+        displayMessage(`Withdrawal request for ${amount} coins submitted.`, 'success');
+        setWithdrawalAmount('');
+      } catch (error) {
+        if (error instanceof InsufficientFundsError || error instanceof StateTransitionError) {
+          displayMessage(error.message, 'error');
+          return;
+        }
+        console.error("Error requesting withdrawal:", error);
+        displayMessage(`Failed to request withdrawal: ${error.message}`, 'error');
+      }
     };
 
     return (
@@ -1427,6 +6217,62 @@ const App = () => {
             </p>
           </DashboardCard>
 
+          {/* Request Withdrawal */}
+          <DashboardCard title="Request Withdrawal" icon={DollarSign}>
+            {withdrawalWindowOpen ? (
+              <form onSubmit={handleRequestWithdrawal} noValidate>
+                <InputField
+                  label="Amount to Withdraw (Coins)"
+                  type="number"
+                  value={withdrawalAmount}
+                  onChange={(e) => setWithdrawalAmount(e.target.value)}
+                  min="1"
+                  required
+                  error={withdrawalErrors.amount}
+                />
+                <p className="text-sm text-gray-500 mb-4">Funds are paid to the bank details captured when your institution was approved.</p>
+                <ActionButton type="submit">Request Withdrawal</ActionButton>
+              </form>
+            ) : (
+              <p className="text-gray-600">
+                The withdrawal window is closed. You can file a request on <span className="font-semibold">{getNextWithdrawalDate()}</span>.
+              </p>
+            )}
+          </DashboardCard>
+
+          {/* Withdrawal Requests */}
+          <DashboardCard title="Your Withdrawal Requests" icon={DollarSign}>
+            <div className="overflow-x-auto">
+              <table className="min-w-full bg-white rounded-lg overflow-hidden shadow-sm">
+                <thead className="bg-gray-100">
+                  <tr>
+                    <th className="py-2 px-4 text-left text-sm font-semibold text-gray-600">Amount</th>
+                    <th className="py-2 px-4 text-left text-sm font-semibold text-gray-600">Status</th>
+                    <th className="py-2 px-4 text-left text-sm font-semibold text-gray-600">Requested</th>
+                    <th className="py-2 px-4 text-left text-sm font-semibold text-gray-600">Details</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {institutionWithdrawals.length === 0 ? (
+                    <tr><td colSpan="4" className="text-center py-4 text-gray-500">No withdrawal requests.</td></tr>
+                  ) : (
+                    institutionWithdrawals.map((request) => (
+                      <tr key={request.id} className="border-b border-gray-100 last:border-b-0">
+                        <td className="py-2 px-4 text-gray-700">{request.amount}</td>
+                        <td className="py-2 px-4 text-gray-700 capitalize">{formatStatus(request.status)}</td>
+                        <td className="py-2 px-4 text-gray-700">{request.requestDate?.toDate().toLocaleDateString()}</td>
+                        <td className="py-2 px-4 text-gray-700 text-sm">
+                          {request.status === WITHDRAWAL_STATUS.PAID && `Ref: ${request.payoutReference}`}
+                          {request.status === WITHDRAWAL_STATUS.REJECTED && `Reason: ${request.rejectionReason}`}
+                        </td>
+                      </tr>
+                    ))
+                  )}
+                </tbody>
+              </table>
+            </div>
+          </DashboardCard>
+
           {/* Received Coin History (Last 30 Days) */}
           <DashboardCard title="Received Coin History (Last 30 Days)" icon={Gift}>
             <div className="overflow-x-auto">
@@ -1477,14 +6323,9 @@ const App = () => {
           if (docSnap.exists()) {
             setSalespersonProfile(docSnap.data());
           } else {
-            // Fallback: try to find in salespersonRequests if approved but no profile created yet
-            const q = query(collection(dbRef.current, `artifacts/${appId}/public/data/salespersonRequests`), where('id', '==', userId));
-            const querySnapshot = await getDocs(q);
-            if (!querySnapshot.empty) {
-                setSalespersonProfile(querySnapshot.docs[0].data());
-            } else {
-                setSalespersonProfile(null);
-            }
+            // Fallback: use the salesperson's own application (keyed by UID) if no profile was created yet
+            const requestSnap = await getDoc(doc(dbRef.current, `artifacts/${appId}/public/data/salespersonRequests`, userId));
+            setSalespersonProfile(requestSnap.exists() ? requestSnap.data() : null);
           }
         } catch (error) {
           console.error("Error fetching salesperson profile:", error);
@@ -1494,42 +6335,25 @@ const App = () => {
       fetchSalespersonProfile();
     }, [userId, dbRef.current]);
 
-    const handleTakeOrderAppointment = async () => {
-      if (!dbRef.current || !userId || !qrCodeInput) {
-        displayMessage("Please enter QR code content.", 'error');
+    // Accepts content decoded by QRScanner, or falls back to the pasted text field
+    const handleTakeOrderAppointment = async (scannedContent) => {
+      const qrContent = typeof scannedContent === 'string' ? scannedContent : qrCodeInput;
+      if (!dbRef.current || !userId || !qrContent) {
+        displayMessage("Please scan or enter QR code content.", 'error');
         return;
       }
 
       try {
-        const qrData = JSON.parse(qrCodeInput);
-        const { orderId, patientOfferId } = qrData;
+        const envelope = await verifyQrEnvelope(dbRef.current, qrContent, QR_PURPOSES.SALESPERSON_PICKUP);
+        const { orderId, patientOfferId, pharmacyId } = envelope.data;
 
         let docRef;
         let type;
 
         if (orderId) {
-          // Assuming orders are stored under customer's path, need to query across collections
-          // This is a simplified approach, in a real app, orders might be in a central 'orders' collection
-          // For now, let's try to query all customer orders for this orderId
-          const allCustomerOrdersQuery = query(collection(dbRef.current, `artifacts/${appId}/users`), where('orders', 'array-contains', { id: orderId })); // This query won't work directly.
-          // A better approach would be a top-level 'orders' collection or a Cloud Function to find the order.
-          // For this sandbox, let's assume the orderId is unique enough to be found directly if it was a top-level collection.
-          // Since orders are under `users/${userId}/orders`, we need the customerId.
-          // For now, let's simulate by assuming the QR content provides enough info.
-          // Or, assume the salesperson scans a QR that directly gives them the full path to the order.
-
-          // Simplified: Assuming orderId is the doc ID in a global orders collection for now.
-          // In reality, you'd need to find which customer's order it is.
-          const ordersCollectionRef = collection(dbRef.current, `artifacts/${appId}/public/data/allOrders`); // Hypothetical global collection
-          const orderSnapshot = await getDocs(query(ordersCollectionRef, where('id', '==', orderId)));
-          if (!orderSnapshot.empty) {
-            docRef = doc(dbRef.current, ordersCollectionRef.path, orderSnapshot.docs[0].id);
-            type = 'order';
-          } else {
-            displayMessage("Order not found or not accessible.", 'error');
-            return;
-          }
-
+          // Orders live in the central store keyed by order ID
+          docRef = doc(dbRef.current, `artifacts/${appId}/public/data/orders`, orderId);
+          type = 'order';
         } else if (patientOfferId) {
           docRef = doc(dbRef.current, `artifacts/${appId}/public/data/patientOffers`, patientOfferId);
           type = 'appointment';
@@ -1538,54 +6362,122 @@ const App = () => {
           return;
         }
 
-        const docSnap = await getDoc(docRef);
+        // A checkup can't be read until it is assigned to this salesperson; its doctor issued the pickup
+        // code only while it was accepted, and the rules check both again on the write below
+        if (type === 'order') {
+          const docSnap = await getDoc(docRef);
 
-        if (!docSnap.exists()) {
-          displayMessage("Order/Appointment not found.", 'error');
-          return;
-        }
+          if (!docSnap.exists()) {
+            displayMessage("Order/Appointment not found.", 'error');
+            return;
+          }
 
-        const data = docSnap.data();
+          const data = docSnap.data();
 
-        // Validate status
-        if (type === 'order' && data.status !== 'pending_salesperson_pickup') {
-          displayMessage("Order is not pending salesperson pickup.", 'error');
-          return;
-        }
-        if (type === 'appointment' && data.status !== 'accepted') {
-          displayMessage("Appointment is not in 'accepted' status.", 'error');
-          return;
-        }
-        if (data.salespersonId) {
-          displayMessage("This has already been assigned to a salesperson.", 'error');
-          return;
+          // Status is guarded by the state machine below
+          if (data.salespersonId) {
+            displayMessage("This has already been assigned to a salesperson.", 'error');
+            return;
+          }
+          if (data.pharmacyId !== pharmacyId) {
+            displayMessage("QR code does not match the pharmacy that packed this order.", 'error');
+            return;
+          }
         }
 
-        await updateDoc(docRef, {
-          salespersonId: userId,
-          status: type === 'order' ? 'in_delivery' : 'assigned_to_salesperson',
-          pickupTime: serverTimestamp(),
+        const actor = { id: userId, role: userRole };
+        await runTransaction(dbRef.current, async (transaction) => {
+          const transition = type === 'order'
+            ? await prepareTransition(transaction, docRef, 'order', 'take', actor)
+            : prepareBlindTransition(transaction, docRef, 'patientOffer', 'assign', OFFER_STATUS.ACCEPTED, actor);
+          const commitNonce = await prepareQrEnvelopeUse(transaction, dbRef.current, envelope, userId);
+
+          transition.commit({
+            salespersonId: userId,
+            pickupTime: serverTimestamp(),
+            qrNonce: envelope.nonce,
+          });
+          commitNonce();
         });
 
         displayMessage(`${type === 'order' ? 'Order' : 'Appointment'} assigned to you!`, 'success');
         setQrCodeInput('');
       } catch (error) {
+        if (error instanceof QrVerificationError || error instanceof StateTransitionError) {
+          displayMessage(error.message, 'error');
+          return;
+        }
         console.error("Error taking order/appointment:", error);
         displayMessage(`Failed to take order/appointment: ${error.message}`, 'error');
       }
     };
 
-    const handleGenerateCustomerQr = (item) => {
-      const qrData = item.orderId ? { orderId: item.orderId, salespersonId: userId } : { patientOfferId: item.id, salespersonId: userId };
-      setCurrentQrContent(generateQRCodeContent(qrData));
-      setShowQrModal(true);
+    const handleGenerateCustomerQr = async (item) => {
+      try {
+        const qrData = item.orderId ? { orderId: item.orderId, salespersonId: userId } : { patientOfferId: item.id, salespersonId: userId };
+        const envelope = await createQrEnvelope(dbRef.current, QR_PURPOSES.DELIVERY_CONFIRMATION, qrData, userId);
+        setCurrentQrContent(generateQRCodeContent(envelope));
+        setShowQrModal(true);
+      } catch (error) {
+        console.error("Error generating customer QR:", error);
+        displayMessage(`Failed to generate QR code: ${error.message}`, 'error');
+      }
+    };
+
+    const handleReleaseAppointment = async (offer) => {
+      if (!dbRef.current || !userId) return;
+      const releaseReason = prompt("Why can't you attend this appointment? It will go back to the pool for another salesperson.");
+      if (releaseReason === null) return;
+      if (!releaseReason.trim()) {
+        displayMessage("A reason is required to release an appointment.", 'error');
+        return;
+      }
+      try {
+        const offerRef = doc(dbRef.current, `artifacts/${appId}/public/data/patientOffers`, offer.id);
+        await runTransaction(dbRef.current, async (transaction) => {
+          const transition = await prepareTransition(transaction, offerRef, 'patientOffer', 'release', { id: userId, role: userRole });
+          if (transition.data.salespersonId !== userId) {
+            throw new StateTransitionError("This appointment is assigned to another salesperson.");
+          }
+          transition.commit({
+            salespersonId: null,
+            pickupTime: null,
+            releasedAt: serverTimestamp(),
+            releaseReason: releaseReason.trim(),
+          }, releaseReason.trim());
+        });
+        displayMessage('Appointment released back to the pool.', 'success');
+      } catch (error) {
+        if (error instanceof StateTransitionError) {
+          displayMessage(error.message, 'error');
+          return;
+        }
+        console.error("Error releasing appointment:", error);
+        displayMessage(`Failed to release appointment: ${error.message}`, 'error');
+      }
     };
 
     const allAssignedItems = [
-      ...customerOrders.filter(order => order.salespersonId === userId && order.status === 'in_delivery'),
-      ...patientOffers.filter(offer => offer.salespersonId === userId && offer.status === 'assigned_to_salesperson')
+      ...customerOrders.filter(order => order.salespersonId === userId && order.status === ORDER_STATUS.IN_DELIVERY),
+      ...patientOffers.filter(offer => offer.salespersonId === userId && offer.status === OFFER_STATUS.ASSIGNED_TO_SALESPERSON)
     ];
 
+    // Delivery addresses of the orders this salesperson has taken, keyed by order ID
+    const [orderDeliveryAddresses, setOrderDeliveryAddresses] = useState({});
+    const assignedOrderIds = allAssignedItems.filter(item => item.orderId).map(item => item.id).join(',');
+
+    useEffect(() => {
+      const missing = assignedOrderIds.split(',').filter(orderId => orderId && !(orderId in orderDeliveryAddresses));
+      if (!dbRef.current || missing.length === 0) return;
+      Promise.all(missing.map(orderId => getDoc(orderDeliveryRef(dbRef.current, orderId))
+        .then(snap => [orderId, snap.exists() ? snap.data().deliveryAddress : null])))
+        .then(entries => setOrderDeliveryAddresses(prev => ({ ...prev, ...Object.fromEntries(entries) })))
+        .catch(error => console.error("Error fetching delivery addresses:", error));
+    }, [assignedOrderIds]);
+
+    // Orders placed before addresses moved to the private subdocument still carry them inline
+    const deliveryAddressFor = (item) => (item.orderId ? orderDeliveryAddresses[item.id] || item.deliveryAddress : null);
+
     return (
       <div className="p-6 bg-gray-50 min-h-[calc(100vh-160px)] rounded-xl shadow-inner">
         <h1 className="text-4xl font-bold text-gray-900 mb-8 flex items-center font-inter">
@@ -1610,8 +6502,9 @@ const App = () => {
 
         {/* Scan Pharmacy/Doctor QR (Take Order/Appointment) */}
         <DashboardCard title="Scan Pharmacy/Doctor QR (Take Order/Appointment)" icon={Scan}>
+          <QRScanner onScan={handleTakeOrderAppointment} buttonLabel="Scan Pharmacy/Doctor QR" />
           <InputField
-            label="Enter QR Code Content (Order/Appointment ID)"
+            label="Or paste QR content (Order/Appointment ID)"
             value={qrCodeInput}
             onChange={(e) => setQrCodeInput(e.target.value)}
             placeholder="Paste QR content here..."
@@ -1629,27 +6522,49 @@ const App = () => {
                 <tr>
                   <th className="py-2 px-4 text-left text-sm font-semibold text-gray-600">ID</th>
                   <th className="py-2 px-4 text-left text-sm font-semibold text-gray-600">Type</th>
-                  <th className="py-2 px-4 text-left text-sm font-semibold text-gray-600">Item Name</th>
+                  <th className="py-2 px-4 text-left text-sm font-semibold text-gray-600">Items / Reason</th>
                   <th className="py-2 px-4 text-left text-sm font-semibold text-gray-600">Customer/Patient</th>
+                  <th className="py-2 px-4 text-left text-sm font-semibold text-gray-600">Deliver To</th>
                   <th className="py-2 px-4 text-left text-sm font-semibold text-gray-600">Status</th>
+                  <th className="py-2 px-4 text-left text-sm font-semibold text-gray-600">Complete By</th>
                   <th className="py-2 px-4 text-left text-sm font-semibold text-gray-600">Actions</th>
                 </tr>
               </thead>
               <tbody>
                 {allAssignedItems.length === 0 ? (
-                  <tr><td colSpan="6" className="text-center py-4 text-gray-500">No assigned orders or appointments.</td></tr>
+                  <tr><td colSpan="8" className="text-center py-4 text-gray-500">No assigned orders or appointments.</td></tr>
                 ) : (
                   allAssignedItems.map((item) => (
                     <tr key={item.id} className="border-b border-gray-100 last:border-b-0">
                       <td className="py-2 px-4 text-gray-700 text-xs">{item.id}</td>
                       <td className="py-2 px-4 text-gray-700 capitalize">{item.orderId ? 'Order' : 'Appointment'}</td>
-                      <td className="py-2 px-4 text-gray-700">{item.productName || item.reason}</td>
+                      <td className="py-2 px-4 text-gray-700">{item.orderId ? describeOrderItems(item) : item.reason}</td>
                       <td className="py-2 px-4 text-gray-700">{item.customerId || item.patientId}</td>
+                      <td className="py-2 px-4 text-gray-700 text-sm">
+                        {deliveryAddressFor(item) ? (
+                          <>
+                            <p>{deliveryAddressFor(item).recipientName}</p>
+                            <p>{formatAddress(deliveryAddressFor(item))}</p>
+                            <a href={`tel:${deliveryAddressFor(item).phone}`} className="text-indigo-600 hover:underline">{deliveryAddressFor(item).phone}</a>
+                            <a href={getDirectionsUrl(deliveryAddressFor(item))} target="_blank" rel="noopener noreferrer" className="ml-2 text-indigo-600 hover:underline">
+                              Directions
+                            </a>
+                          </>
+                        ) : 'N/A'}
+                      </td>
                       <td className="py-2 px-4 text-gray-700 capitalize">{item.status?.replace(/_/g, ' ')}</td>
-                      <td className="py-2 px-4">
+                      <td className="py-2 px-4 text-gray-700">
+                        {item.pickupTime ? new Date(item.pickupTime.toMillis() + ASSIGNMENT_RELIST_AFTER_MS).toLocaleTimeString() : 'N/A'}
+                      </td>
+                      <td className="py-2 px-4 space-x-2 whitespace-nowrap">
                         <ActionButton onClick={() => handleGenerateCustomerQr(item)} className="text-xs px-2 py-1">
                           Generate Customer QR
                         </ActionButton>
+                        {!item.orderId && (
+                          <ActionButton onClick={() => handleReleaseAppointment(item)} className="text-xs px-2 py-1 bg-gray-500 hover:bg-gray-600">
+                            Release
+                          </ActionButton>
+                        )}
                       </td>
                     </tr>
                   ))
@@ -1658,8 +6573,8 @@ const App = () => {
             </table>
           </div>
           <p className="mt-4 text-sm text-gray-600">
-            Note: The 1-hour relist functionality for uncompleted tasks requires a server-side process
-            (e.g., Firebase Cloud Function) and cannot be reliably implemented purely client-side.
+            Note: Orders and appointments not completed within 1 hour of pickup are automatically released
+            back to the pool and recorded on your performance record.
           </p>
         </DashboardCard>
 
@@ -1706,6 +6621,56 @@ const App = () => {
             </table>
           </div>
         </DashboardCard>
+
+        {/* Payout Statements */}
+        <DashboardCard title="Your Payout Statements" icon={DollarSign}>
+          <p className="text-sm text-gray-600 mb-4">
+            Statements are issued every {payoutSettings.cycleDays} days. Next statement: {getNextStatementDate(payoutSettings).toLocaleDateString()}.
+          </p>
+          <div className="overflow-x-auto">
+            <table className="min-w-full bg-white rounded-lg overflow-hidden shadow-sm">
+              <thead className="bg-gray-100">
+                <tr>
+                  <th className="py-2 px-4 text-left text-sm font-semibold text-gray-600">Period</th>
+                  <th className="py-2 px-4 text-left text-sm font-semibold text-gray-600">Coins</th>
+                  <th className="py-2 px-4 text-left text-sm font-semibold text-gray-600">Net Payable</th>
+                  <th className="py-2 px-4 text-left text-sm font-semibold text-gray-600">Status</th>
+                  <th className="py-2 px-4 text-left text-sm font-semibold text-gray-600">Details</th>
+                </tr>
+              </thead>
+              <tbody>
+                {salespersonStatements.length === 0 ? (
+                  <tr><td colSpan="5" className="text-center py-4 text-gray-500">No statements yet.</td></tr>
+                ) : (
+                  salespersonStatements.map((statement) => (
+                    <tr key={statement.id} className="border-b border-gray-100 last:border-b-0">
+                      <td className="py-2 px-4 text-gray-700 text-sm">
+                        {statement.periodStart?.toDate().toLocaleDateString()} - {statement.periodEnd?.toDate().toLocaleDateString()}
+                      </td>
+                      <td className="py-2 px-4 text-gray-700">{statement.totalCoins}</td>
+                      <td className="py-2 px-4 text-gray-700">{formatPayoutAmount(statement.netPayable)}</td>
+                      <td className="py-2 px-4 text-gray-700 capitalize">
+                        {statement.status}{statement.payoutReference && ` (Ref: ${statement.payoutReference})`}
+                      </td>
+                      <td className="py-2 px-4 text-gray-700 text-xs">
+                        <details>
+                          <summary className="cursor-pointer text-indigo-600">{statement.entries?.length || 0} item(s)</summary>
+                          <ul className="mt-1 space-y-1">
+                            {statement.entries?.map((entry) => (
+                              <li key={entry.ledgerEntryId}>
+                                {entry.amount} coins - {entry.orderId ? `Order ${entry.orderId}` : `${entry.type === 'checkup_callout' ? 'Call-out for appointment' : 'Appointment'} ${entry.patientOfferId}`}
+                              </li>
+                            ))}
+                          </ul>
+                        </details>
+                      </td>
+                    </tr>
+                  ))
+                )}
+              </tbody>
+            </table>
+          </div>
+        </DashboardCard>
       </div>
     );
   };
@@ -1714,6 +6679,22 @@ const App = () => {
   const DoctorDashboard = () => {
     const [doctorProfile, setDoctorProfile] = useState(null);
     const [selectedProductToPurchase, setSelectedProductToPurchase] = useState('');
+    const [purchaseQuantity, setPurchaseQuantity] = useState('1');
+    const [prescriptionOfferId, setPrescriptionOfferId] = useState('');
+    const [prescriptionLines, setPrescriptionLines] = useState([]); // [{ productId, quantity, instructions }]
+    const [prescriptionNotes, setPrescriptionNotes] = useState('');
+    const [availabilityForm, setAvailabilityForm] = useState({ slotMinutes: String(DEFAULT_SLOT_MINUTES), days: {} });
+    const [reschedulingOfferId, setReschedulingOfferId] = useState('');
+    const [rescheduleSlot, setRescheduleSlot] = useState(null);
+    const [rescheduleReason, setRescheduleReason] = useState('');
+    const [historyOffer, setHistoryOffer] = useState(null); // Appointment whose patient history is open
+    const [patientHistory, setPatientHistory] = useState(null); // null while loading or not shared
+    const emptyVisitForm = { diagnosis: '', notes: '', bloodPressure: '', pulse: '', temperature: '', weight: '' };
+    const [visitOfferId, setVisitOfferId] = useState('');
+    const [visitForm, setVisitForm] = useState(emptyVisitForm);
+    const [visitLines, setVisitLines] = useState([]); // [{ productId, quantity, instructions }]
+    const [visitErrors, setVisitErrors] = useState({});
+    const [visitNoteExists, setVisitNoteExists] = useState(false);
     const [showQrModal, setShowQrModal] = useState(false);
     const [currentQrContent, setCurrentQrContent] = useState('');
 
@@ -1736,62 +6717,391 @@ const App = () => {
       fetchDoctorProfile();
     }, [userId, dbRef.current]);
 
+    // The form edits every weekday; days without a saved window start disabled with office hours prefilled
+    useEffect(() => {
+      const availability = doctorProfile?.availability;
+      const days = {};
+      WEEKDAYS.forEach((_, index) => {
+        const window = availability?.days?.[String(index)];
+        days[index] = window
+          ? { enabled: true, start: window.start, end: window.end }
+          : { enabled: false, start: '09:00', end: '17:00' };
+      });
+      setAvailabilityForm({ slotMinutes: String(getSlotMinutes(availability)), days });
+    }, [doctorProfile]);
+
+    const handleAvailabilityDayChange = (dayIndex, changes) => {
+      setAvailabilityForm(prev => ({
+        ...prev,
+        days: { ...prev.days, [dayIndex]: { ...prev.days[dayIndex], ...changes } },
+      }));
+    };
+
+    const handleSaveAvailability = async () => {
+      if (!dbRef.current || !userId || !doctorProfile) return;
+      const slotMinutes = Number(availabilityForm.slotMinutes);
+      const days = {};
+      for (const [dayIndex, day] of Object.entries(availabilityForm.days)) {
+        if (!day.enabled) continue;
+        if (!day.start || !day.end || minutesFromTimeOfDay(day.end) - minutesFromTimeOfDay(day.start) < slotMinutes) {
+          displayMessage(`${WEEKDAYS[dayIndex]} must end at least ${slotMinutes} minutes after it starts.`, 'error');
+          return;
+        }
+        days[dayIndex] = { start: day.start, end: day.end };
+      }
+      const availability = { slotMinutes, days };
+      try {
+        await updateDoc(doc(dbRef.current, `artifacts/${appId}/public/data/doctors`, userId), {
+          availability: availability,
+          availabilityUpdatedAt: serverTimestamp(),
+        });
+        setDoctorProfile(prev => ({ ...prev, availability }));
+        displayMessage('Availability updated. Existing appointments keep their times.', 'success');
+      } catch (error) {
+        console.error("Error saving availability:", error);
+        displayMessage(`Failed to save availability: ${error.message}`, 'error');
+      }
+    };
+
     const handlePurchaseProduct = async () => {
       if (!dbRef.current || !userId || !selectedProductToPurchase) {
         displayMessage("Please select a product to purchase.", 'error');
         return;
       }
       try {
-        const product = products.find(p => p.id === selectedProductToPurchase);
-        if (!product) {
-          displayMessage("Selected product not found.", 'error');
+        const product = products.find(p => p.id === selectedProductToPurchase);
+        const cartItem = { productId: selectedProductToPurchase, quantity: Number(purchaseQuantity) };
+        const problem = getCartItemProblem(cartItem, product) || getPlatformStockProblem(cartItem, product);
+        if (problem) {
+          displayMessage(problem, 'error');
+          return;
+        }
+
+        // Doctor purchases are handed over immediately, so stock is taken with the order
+        const orderRef = doc(collection(dbRef.current, `artifacts/${appId}/public/data/orders`));
+        const order = buildInitialDocument('order', 'purchase_by_doctor', { id: userId, role: userRole }, {
+          orderId: orderRef.id,
+          ...buildOrderLineItems([cartItem], products),
+          customerId: userId, // Doctor is acting as a customer here
+          doctorId: userId,
+          salespersonId: null,
+          orderDate: serverTimestamp(),
+        });
+        await runTransaction(dbRef.current, async (transaction) => {
+          const commitStock = await prepareStockDecrements(transaction, dbRef.current, order, orderRef.id);
+          transaction.set(orderRef, order);
+          commitStock();
+        });
+        displayMessage(`Product ${product.name} purchased successfully!`, 'success');
+        setSelectedProductToPurchase('');
+        setPurchaseQuantity('1');
+      } catch (error) {
+        if (error instanceof InsufficientStockError) {
+          displayMessage(error.message, 'error');
+          return;
+        }
+        console.error("Error purchasing product:", error);
+        displayMessage(`Failed to purchase product: ${error.message}`, 'error');
+      }
+    };
+
+    const handleAcceptOffer = async (offerId) => {
+      if (!dbRef.current || !userId) return;
+      try {
+        const offerRef = doc(dbRef.current, `artifacts/${appId}/public/data/patientOffers`, offerId);
+        await runTransaction(dbRef.current, async (transaction) => {
+          const transition = await prepareTransition(transaction, offerRef, 'patientOffer', 'accept', { id: userId, role: userRole });
+          transition.commit({ acceptedOn: serverTimestamp() });
+          grantCareTeamAccess(transaction, dbRef.current, transition.data, offerId);
+        });
+        displayMessage('Offer accepted!', 'success');
+        setPrescriptionOfferId(offerId);
+        // Immediately display QR for salesperson to scan
+        const envelope = await createQrEnvelope(dbRef.current, QR_PURPOSES.SALESPERSON_PICKUP, { patientOfferId: offerId, doctorId: userId }, userId);
+        setCurrentQrContent(generateQRCodeContent(envelope));
+        setShowQrModal(true);
+      } catch (error) {
+        if (error instanceof StateTransitionError) {
+          displayMessage(error.message, 'error');
+          return;
+        }
+        console.error("Error accepting offer:", error);
+        displayMessage(`Failed to accept offer: ${error.message}`, 'error');
+      }
+    };
+
+    const handleDeclineOffer = async (offer) => {
+      if (!dbRef.current || !userId) return;
+      const declineReason = prompt(`Why are you declining ${offer.patientName || offer.patientId}'s appointment?`);
+      if (declineReason === null) return;
+      if (!declineReason.trim()) {
+        displayMessage("A reason is required to decline an appointment.", 'error');
+        return;
+      }
+      try {
+        const offerRef = doc(dbRef.current, `artifacts/${appId}/public/data/patientOffers`, offer.id);
+        await runTransaction(dbRef.current, async (transaction) => {
+          const transition = await prepareTransition(transaction, offerRef, 'patientOffer', 'decline', { id: userId, role: userRole });
+          const commitRelease = await prepareSlotRelease(transaction, dbRef.current, transition.data, offer.id);
+          const commitRevoke = await prepareCareTeamRevoke(transaction, dbRef.current, transition.data, offer.id);
+          transition.commit({
+            declinedAt: serverTimestamp(),
+            declineReason: declineReason.trim(),
+          }, declineReason.trim());
+          commitRelease();
+          commitRevoke();
+        });
+        displayMessage('Appointment declined and the slot reopened.', 'success');
+      } catch (error) {
+        if (error instanceof StateTransitionError) {
+          displayMessage(error.message, 'error');
+          return;
+        }
+        console.error("Error declining appointment:", error);
+        displayMessage(`Failed to decline appointment: ${error.message}`, 'error');
+      }
+    };
+
+    const handleMarkNoShow = async (offer) => {
+      if (!dbRef.current || !userId) return;
+      if (offer.scheduledFor && offer.scheduledFor.toMillis() > Date.now()) {
+        displayMessage("You can only mark a no-show once the appointment time has passed.", 'error');
+        return;
+      }
+      try {
+        const offerRef = doc(dbRef.current, `artifacts/${appId}/public/data/patientOffers`, offer.id);
+        await runTransaction(dbRef.current, async (transaction) => {
+          const transition = await prepareTransition(transaction, offerRef, 'patientOffer', 'mark_no_show', { id: userId, role: userRole });
+          const commitCallout = await prepareCheckupCallout(transaction, dbRef.current, transition.data, offer.id, userId, `Call-out for no-show: ${transition.data.reason}`);
+          const commitRevoke = await prepareCareTeamRevoke(transaction, dbRef.current, transition.data, offer.id);
+          transition.commit({ noShowAt: serverTimestamp() });
+          if (commitCallout) commitCallout();
+          commitRevoke();
+        });
+        displayMessage('Appointment marked as a no-show.', 'success');
+      } catch (error) {
+        if (error instanceof StateTransitionError || error instanceof InsufficientFundsError) {
+          displayMessage(error.message, 'error');
+          return;
+        }
+        console.error("Error marking no-show:", error);
+        displayMessage(`Failed to mark no-show: ${error.message}`, 'error');
+      }
+    };
+
+    // Accepting a checkup shares the patient's record; without a care team entry there is nothing to show
+    const handleViewPatientHistory = async (offer) => {
+      if (!dbRef.current || !userId) return;
+      setHistoryOffer(offer);
+      setPatientHistory(null);
+      try {
+        const recordPath = `artifacts/${appId}/public/data/medicalRecords/${offer.patientId}`;
+        const memberSnap = await getDoc(careTeamRef(dbRef.current, offer.patientId, userId));
+        if (!memberSnap.exists()) {
+          displayMessage(`${offer.patientName || offer.patientId} has not shared their medical record with you.`, 'error');
+          setHistoryOffer(null);
+          return;
+        }
+        const visitsSnapshot = await getDocs(collection(dbRef.current, `${recordPath}/visits`));
+        setPatientHistory(visitsSnapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+      } catch (error) {
+        console.error("Error fetching patient history:", error);
+        displayMessage(`Failed to load patient history: ${error.message}`, 'error');
+        setHistoryOffer(null);
+      }
+    };
+
+    const handleOpenVisitNote = async (offer) => {
+      if (!dbRef.current || !userId) return;
+      setVisitOfferId(offer.id);
+      setVisitForm(emptyVisitForm);
+      setVisitLines([]);
+      setVisitErrors({});
+      setVisitNoteExists(false);
+      try {
+        const noteSnap = await getDoc(doc(dbRef.current, `artifacts/${appId}/public/data/medicalRecords/${offer.patientId}/visits`, offer.id));
+        if (!noteSnap.exists()) return;
+        const note = noteSnap.data();
+        setVisitNoteExists(true);
+        setVisitForm({
+          diagnosis: note.diagnosis || '',
+          notes: note.notes || '',
+          ...Object.fromEntries(VITAL_SIGNS.map(({ field }) => [field, note.vitals?.[field] ?? ''])),
+        });
+        setVisitLines((note.prescribedProducts || []).map(({ productId, quantity, instructions }) => ({ productId, quantity, instructions })));
+      } catch (error) {
+        console.error("Error loading visit notes:", error);
+        displayMessage(`Failed to load visit notes: ${error.message}`, 'error');
+      }
+    };
+
+    const handleSaveVisitNote = async (e) => {
+      e.preventDefault();
+      if (!dbRef.current || !userId) return;
+      const offer = patientOffers.find(item => item.id === visitOfferId);
+      if (!offer) return;
+      if (!VISIT_NOTE_STATUSES.includes(offer.status)) {
+        displayMessage(`Visit notes can't be written for a ${formatStatus(offer.status)} appointment.`, 'error');
+        return;
+      }
+      const fieldErrors = validateFields('visitNote', visitForm);
+      setVisitErrors(fieldErrors);
+      if (Object.keys(fieldErrors).length > 0) return;
+      const toNumber = (value) => (isBlank(value) ? null : Number(value));
+      try {
+        await setDoc(doc(dbRef.current, `artifacts/${appId}/public/data/medicalRecords/${offer.patientId}/visits`, offer.id), {
+          patientOfferId: offer.id,
+          patientId: offer.patientId,
+          patientName: offer.patientName || offer.patientId,
+          doctorId: userId,
+          doctorName: doctorProfile?.name || offer.doctorName,
+          specialty: doctorProfile?.specialty || null,
+          reason: offer.reason,
+          visitDate: offer.scheduledFor || offer.acceptedOn || Timestamp.now(),
+          vitals: {
+            bloodPressure: isBlank(visitForm.bloodPressure) ? null : String(visitForm.bloodPressure).trim(),
+            pulse: toNumber(visitForm.pulse),
+            temperature: toNumber(visitForm.temperature),
+            weight: toNumber(visitForm.weight),
+          },
+          diagnosis: visitForm.diagnosis.trim(),
+          notes: visitForm.notes.trim(),
+          prescribedProducts: visitLines.map(line => ({
+            ...line,
+            productName: products.find(p => p.id === line.productId)?.name || line.productId,
+          })),
+          ...(visitNoteExists ? {} : { recordedAt: serverTimestamp() }),
+          updatedAt: serverTimestamp(),
+        }, { merge: true });
+        displayMessage(`Visit notes saved to ${offer.patientName || offer.patientId}'s medical record.`, 'success');
+        setVisitOfferId('');
+      } catch (error) {
+        console.error("Error saving visit notes:", error);
+        displayMessage(`Failed to save visit notes: ${error.message}`, 'error');
+      }
+    };
+
+    const handleStartReschedule = (offerId) => {
+      setReschedulingOfferId(offerId);
+      setRescheduleSlot(null);
+      setRescheduleReason('');
+    };
+
+    const handleRescheduleOffer = async () => {
+      if (!dbRef.current || !userId || !reschedulingOfferId) return;
+      if (!rescheduleSlot) {
+        displayMessage("Please pick the new appointment time.", 'error');
+        return;
+      }
+      if (!rescheduleReason.trim()) {
+        displayMessage("Please tell the patient why the appointment is moving.", 'error');
+        return;
+      }
+      try {
+        const offerRef = doc(dbRef.current, `artifacts/${appId}/public/data/patientOffers`, reschedulingOfferId);
+        await runTransaction(dbRef.current, async (transaction) => {
+          const transition = await prepareTransition(transaction, offerRef, 'patientOffer', 'reschedule', { id: userId, role: userRole });
+          const slotMinutes = getSlotMinutes(doctorProfile.availability);
+          const commitSlot = await prepareSlotClaim(transaction, dbRef.current, userId, rescheduleSlot, slotMinutes, reschedulingOfferId);
+          const commitRelease = await prepareSlotRelease(transaction, dbRef.current, transition.data, reschedulingOfferId,
+            getSlotCellIds(userId, rescheduleSlot, slotMinutes));
+          transition.commit({
+            scheduledFor: Timestamp.fromDate(rescheduleSlot),
+            slotId: getSlotId(userId, rescheduleSlot),
+            slotMinutes: slotMinutes,
+            rescheduledAt: serverTimestamp(),
+            rescheduledBy: 'doctor',
+            rescheduleReason: rescheduleReason.trim(),
+          }, rescheduleReason.trim());
+          commitSlot();
+          commitRelease();
+          // Moving a pending checkup accepts it
+          if (transition.data.status === OFFER_STATUS.PENDING) {
+            grantCareTeamAccess(transaction, dbRef.current, transition.data, reschedulingOfferId);
+          }
+        });
+        displayMessage(`Appointment moved to ${formatSlot(rescheduleSlot)}.`, 'success');
+        setReschedulingOfferId('');
+        setRescheduleSlot(null);
+        setRescheduleReason('');
+      } catch (error) {
+        if (error instanceof StateTransitionError) {
+          displayMessage(error.message, 'error');
           return;
         }
+        console.error("Error rescheduling appointment:", error);
+        displayMessage(`Failed to reschedule appointment: ${error.message}`, 'error');
+      }
+    };
 
-        await addDoc(collection(dbRef.current, `artifacts/${appId}/users/${userId}/orders`), {
-          productId: selectedProductToPurchase,
-          productName: product.name,
-          price: product.price,
-          customerId: userId, // Doctor is acting as a customer here
-          status: 'purchased_by_doctor',
-          orderDate: serverTimestamp(),
-        });
-        displayMessage(`Product ${product.name} purchased successfully!`, 'success');
-        setSelectedProductToPurchase('');
+    const handleGenerateSalespersonQr = async (offerId) => {
+      try {
+        const envelope = await createQrEnvelope(dbRef.current, QR_PURPOSES.SALESPERSON_PICKUP, { patientOfferId: offerId, doctorId: userId }, userId);
+        setCurrentQrContent(generateQRCodeContent(envelope));
+        setShowQrModal(true);
       } catch (error) {
-        console.error("Error purchasing product:", error);
-        displayMessage(`Failed to purchase product: ${error.message}`, 'error');
+        console.error("Error generating salesperson QR:", error);
+        displayMessage(`Failed to generate QR code: ${error.message}`, 'error');
       }
     };
 
-    const handleAcceptOffer = async (offerId) => {
+    const byScheduledTime = (a, b) => (a.scheduledFor?.toMillis() || 0) - (b.scheduledFor?.toMillis() || 0);
+    const pendingOffers = patientOffers
+      .filter(offer => offer.status === OFFER_STATUS.PENDING && offer.doctorId === userId)
+      .sort(byScheduledTime);
+    const acceptedAppointments = patientOffers
+      .filter(offer => offer.status === OFFER_STATUS.ACCEPTED && offer.doctorId === userId)
+      .sort(byScheduledTime);
+    // Accepted visits plus those a salesperson has already picked up, which can still end in a no-show
+    const upcomingAppointments = patientOffers
+      .filter(offer => offer.doctorId === userId
+        && (offer.status === OFFER_STATUS.ACCEPTED || offer.status === OFFER_STATUS.ASSIGNED_TO_SALESPERSON))
+      .sort(byScheduledTime);
+    const closedAppointments = patientOffers
+      .filter(offer => offer.doctorId === userId && CLOSED_OFFER_STATUSES.includes(offer.status))
+      .sort((a, b) => byScheduledTime(b, a));
+    const reschedulingOffer = patientOffers.find(offer => offer.id === reschedulingOfferId);
+    const visitOffer = patientOffers.find(offer => offer.id === visitOfferId);
+    const rescheduleSlots = reschedulingOffer && doctorProfile?.availability
+      ? getOpenSlots({ id: userId, availability: doctorProfile.availability }, new Set(doctorSlots.filter(slot => slot.patientOfferId !== reschedulingOffer.id).map(slot => slot.id)))
+      : [];
+
+    // Issues an e-prescription for an accepted checkup; the patient can order the listed medicines without uploading a prescription
+    const handleIssueEPrescription = async () => {
       if (!dbRef.current || !userId) return;
+      const offer = acceptedAppointments.find(appointment => appointment.id === prescriptionOfferId);
+      if (!offer || prescriptionLines.length === 0) {
+        displayMessage("Select an appointment and add at least one medicine.", 'error');
+        return;
+      }
       try {
-        const offerRef = doc(dbRef.current, `artifacts/${appId}/public/data/patientOffers`, offerId);
-        await updateDoc(offerRef, {
-          status: 'accepted',
-          acceptedOn: serverTimestamp(),
+        const validUntil = new Date();
+        validUntil.setDate(validUntil.getDate() + E_PRESCRIPTION_VALID_DAYS);
+        await addDoc(collection(dbRef.current, `artifacts/${appId}/public/data/ePrescriptions`), {
+          doctorId: userId,
+          doctorName: doctorProfile?.name || userId,
+          patientId: offer.patientId,
+          patientName: offer.patientName || offer.patientId,
+          patientOfferId: offer.id,
+          items: prescriptionLines.map(line => ({
+            ...line,
+            productName: products.find(p => p.id === line.productId)?.name || line.productId,
+          })),
+          productIds: prescriptionLines.map(line => line.productId),
+          notes: prescriptionNotes.trim(),
+          issuedAt: serverTimestamp(),
+          validUntil: Timestamp.fromDate(validUntil),
         });
-        displayMessage('Offer accepted!', 'success');
-        // Immediately display QR for salesperson to scan
-        const qrData = { patientOfferId: offerId, doctorId: userId };
-        setCurrentQrContent(generateQRCodeContent(qrData));
-        setShowQrModal(true);
+        displayMessage(`e-Prescription issued to ${offer.patientName || offer.patientId}.`, 'success');
+        setPrescriptionOfferId('');
+        setPrescriptionLines([]);
+        setPrescriptionNotes('');
       } catch (error) {
-        console.error("Error accepting offer:", error);
-        displayMessage(`Failed to accept offer: ${error.message}`, 'error');
+        console.error("Error issuing e-prescription:", error);
+        displayMessage(`Failed to issue e-prescription: ${error.message}`, 'error');
       }
     };
 
-    const handleGenerateSalespersonQr = (offerId) => {
-      const qrData = { patientOfferId: offerId, doctorId: userId };
-      setCurrentQrContent(generateQRCodeContent(qrData));
-      setShowQrModal(true);
-    };
-
-    const pendingOffers = patientOffers.filter(offer => offer.status === 'pending' && offer.doctorId === userId);
-    const acceptedAppointments = patientOffers.filter(offer => offer.status === 'accepted' && offer.doctorId === userId);
-
     return (
       <div className="p-6 bg-gray-50 min-h-[calc(100vh-160px)] rounded-xl shadow-inner">
         <h1 className="text-4xl font-bold text-gray-900 mb-8 flex items-center font-inter">
@@ -1803,6 +7113,10 @@ const App = () => {
             <p className="text-gray-700"><span className="font-semibold">Name:</span> {doctorProfile.name}</p>
             <p className="text-gray-700"><span className="font-semibold">Specialty:</span> {doctorProfile.specialty}</p>
             <p className="text-gray-700"><span className="font-semibold">Contact:</span> {doctorProfile.contactInfo}</p>
+            <p className="text-gray-700">
+              <span className="font-semibold">Consultation Fee:</span> {getCheckupFees(doctorProfile, checkupFeeSettings).consultationFee} coins
+              ({getCheckupFees(doctorProfile, checkupFeeSettings).salespersonCommission} to the salesperson, the rest credited to you)
+            </p>
           </DashboardCard>
         ) : (
           <DashboardCard title="Your Profile Details" icon={Stethoscope}>
@@ -1810,18 +7124,77 @@ const App = () => {
           </DashboardCard>
         )}
 
+        {/* Weekly Availability */}
+        {doctorProfile && (
+          <DashboardCard title="Weekly Availability" icon={Clock}>
+            <p className="text-sm text-gray-600 mb-4">
+              Patients can book any open slot inside these hours (Pakistan time) for the next {BOOKING_WINDOW_DAYS} days.
+            </p>
+            <SelectField
+              label="Appointment Length"
+              value={availabilityForm.slotMinutes}
+              onChange={(e) => setAvailabilityForm(prev => ({ ...prev, slotMinutes: e.target.value }))}
+              options={SLOT_LENGTH_OPTIONS.map(minutes => ({ value: String(minutes), label: `${minutes} minutes` }))}
+              required
+            />
+            <div className="space-y-2 mb-4">
+              {WEEKDAYS.map((weekday, index) => {
+                const day = availabilityForm.days[index];
+                if (!day) return null;
+                return (
+                  <div key={weekday} className="flex flex-wrap items-center gap-3">
+                    <label className="w-32 flex items-center text-gray-700">
+                      <input
+                        type="checkbox"
+                        checked={day.enabled}
+                        onChange={(e) => handleAvailabilityDayChange(index, { enabled: e.target.checked })}
+                        className="mr-2"
+                      />
+                      {weekday}
+                    </label>
+                    <input
+                      type="time"
+                      value={day.start}
+                      onChange={(e) => handleAvailabilityDayChange(index, { start: e.target.value })}
+                      disabled={!day.enabled}
+                      className="border rounded px-2 py-1 text-sm disabled:bg-gray-100"
+                    />
+                    <span className="text-gray-500">to</span>
+                    <input
+                      type="time"
+                      value={day.end}
+                      onChange={(e) => handleAvailabilityDayChange(index, { end: e.target.value })}
+                      disabled={!day.enabled}
+                      className="border rounded px-2 py-1 text-sm disabled:bg-gray-100"
+                    />
+                  </div>
+                );
+              })}
+            </div>
+            <ActionButton onClick={handleSaveAvailability}>Save Availability</ActionButton>
+          </DashboardCard>
+        )}
+
         {/* Purchase Products Section */}
         <DashboardCard title="Purchase Products" icon={Package}>
           <SelectField
             label="Select Product"
             value={selectedProductToPurchase}
             onChange={(e) => setSelectedProductToPurchase(e.target.value)}
-            options={products.map(product => ({
+            options={products.filter(isProductAvailable).map(product => ({
               value: product.id,
-              label: `${product.name} ($${product.price?.toFixed(2)})`
+              label: `${product.name}${product.strength ? ` ${product.strength}` : ''} ($${product.price?.toFixed(2)})`
             }))}
             required
           />
+          <InputField
+            label="Quantity"
+            type="number"
+            value={purchaseQuantity}
+            onChange={(e) => setPurchaseQuantity(e.target.value)}
+            min="1"
+            required
+          />
           <ActionButton onClick={handlePurchaseProduct}>Purchase Product</ActionButton>
         </DashboardCard>
 
@@ -1833,23 +7206,41 @@ const App = () => {
                 <tr>
                   <th className="py-2 px-4 text-left text-sm font-semibold text-gray-600">Patient Name</th>
                   <th className="py-2 px-4 text-left text-sm font-semibold text-gray-600">Reason</th>
+                  <th className="py-2 px-4 text-left text-sm font-semibold text-gray-600">Scheduled For</th>
                   <th className="py-2 px-4 text-left text-sm font-semibold text-gray-600">Offered On</th>
                   <th className="py-2 px-4 text-left text-sm font-semibold text-gray-600">Actions</th>
                 </tr>
               </thead>
               <tbody>
                 {pendingOffers.length === 0 ? (
-                  <tr><td colSpan="4" className="text-center py-4 text-gray-500">No pending checkup offers.</td></tr>
+                  <tr><td colSpan="5" className="text-center py-4 text-gray-500">No pending checkup offers.</td></tr>
                 ) : (
                   pendingOffers.map((offer) => (
                     <tr key={offer.id} className="border-b border-gray-100 last:border-b-0">
                       <td className="py-2 px-4 text-gray-700">{offer.patientName}</td>
-                      <td className="py-2 px-4 text-gray-700">{offer.reason}</td>
+                      <td className="py-2 px-4 text-gray-700">
+                        {offer.reason}
+                        {offer.rescheduledBy === 'customer' && (
+                          <p className="text-xs text-blue-700">Patient asked for a new time: {offer.rescheduleReason}</p>
+                        )}
+                        {offer.previousVisitCount > 0 && (
+                          <button type="button" onClick={() => handleViewPatientHistory(offer)} className="block text-xs text-indigo-600 hover:underline">
+                            Returning patient · {offer.previousVisitCount} previous visit(s)
+                          </button>
+                        )}
+                      </td>
+                      <td className="py-2 px-4 text-gray-700">{offer.scheduledFor ? formatSlot(offer.scheduledFor.toDate()) : 'Not booked'}</td>
                       <td className="py-2 px-4 text-gray-700">{offer.offeredOn?.toDate().toLocaleDateString()}</td>
-                      <td className="py-2 px-4">
+                      <td className="py-2 px-4 space-x-2 whitespace-nowrap">
                         <ActionButton onClick={() => handleAcceptOffer(offer.id)} className="text-xs px-2 py-1">
                           Accept Offer
                         </ActionButton>
+                        <ActionButton onClick={() => handleStartReschedule(offer.id)} className="text-xs px-2 py-1 bg-yellow-500 hover:bg-yellow-600">
+                          Reschedule
+                        </ActionButton>
+                        <ActionButton onClick={() => handleDeclineOffer(offer)} className="text-xs px-2 py-1 bg-red-600 hover:bg-red-700">
+                          Decline
+                        </ActionButton>
                       </td>
                     </tr>
                   ))
@@ -1868,25 +7259,92 @@ const App = () => {
                   <th className="py-2 px-4 text-left text-sm font-semibold text-gray-600">Patient Name</th>
                   <th className="py-2 px-4 text-left text-sm font-semibold text-gray-600">Reason</th>
                   <th className="py-2 px-4 text-left text-sm font-semibold text-gray-600">Status</th>
+                  <th className="py-2 px-4 text-left text-sm font-semibold text-gray-600">Scheduled For</th>
                   <th className="py-2 px-4 text-left text-sm font-semibold text-gray-600">Accepted On</th>
                   <th className="py-2 px-4 text-left text-sm font-semibold text-gray-600">Actions</th>
                 </tr>
               </thead>
               <tbody>
-                {acceptedAppointments.length === 0 ? (
-                  <tr><td colSpan="5" className="text-center py-4 text-gray-500">No accepted appointments.</td></tr>
+                {upcomingAppointments.length === 0 ? (
+                  <tr><td colSpan="6" className="text-center py-4 text-gray-500">No accepted appointments.</td></tr>
                 ) : (
-                  acceptedAppointments.map((offer) => (
+                  upcomingAppointments.map((offer) => (
                     <tr key={offer.id} className="border-b border-gray-100 last:border-b-0">
                       <td className="py-2 px-4 text-gray-700">{offer.patientName}</td>
                       <td className="py-2 px-4 text-gray-700">{offer.reason}</td>
                       <td className="py-2 px-4 text-gray-700 capitalize">{offer.status?.replace(/_/g, ' ')}</td>
+                      <td className="py-2 px-4 text-gray-700">{offer.scheduledFor ? formatSlot(offer.scheduledFor.toDate()) : 'Not booked'}</td>
                       <td className="py-2 px-4 text-gray-700">{offer.acceptedOn?.toDate().toLocaleDateString()}</td>
-                      <td className="py-2 px-4">
-                        <ActionButton onClick={() => handleGenerateSalespersonQr(offer.id)} className="text-xs px-2 py-1">
-                          Generate Salesperson QR
+                      <td className="py-2 px-4 space-x-2 whitespace-nowrap">
+                        {offer.status === OFFER_STATUS.ACCEPTED && (
+                          <ActionButton onClick={() => handleGenerateSalespersonQr(offer.id)} className="text-xs px-2 py-1">
+                            Generate Salesperson QR
+                          </ActionButton>
+                        )}
+                        {VISIT_NOTE_STATUSES.includes(offer.status) && (
+                          <ActionButton onClick={() => handleOpenVisitNote(offer)} className="text-xs px-2 py-1 bg-indigo-600 hover:bg-indigo-700">
+                            Visit Notes
+                          </ActionButton>
+                        )}
+                        <ActionButton onClick={() => handleViewPatientHistory(offer)} className="text-xs px-2 py-1 bg-gray-500 hover:bg-gray-600">
+                          History
+                        </ActionButton>
+                        <ActionButton onClick={() => setPrescriptionOfferId(offer.id)} className="text-xs px-2 py-1 bg-green-600 hover:bg-green-700">
+                          Write e-Prescription
                         </ActionButton>
+                        {offer.status === OFFER_STATUS.ACCEPTED && (
+                          <>
+                            <ActionButton onClick={() => handleStartReschedule(offer.id)} className="text-xs px-2 py-1 bg-yellow-500 hover:bg-yellow-600">
+                              Reschedule
+                            </ActionButton>
+                            <ActionButton onClick={() => handleDeclineOffer(offer)} className="text-xs px-2 py-1 bg-red-600 hover:bg-red-700">
+                              Decline
+                            </ActionButton>
+                          </>
+                        )}
+                        {(!offer.scheduledFor || offer.scheduledFor.toMillis() <= Date.now()) && (
+                          <ActionButton onClick={() => handleMarkNoShow(offer)} className="text-xs px-2 py-1 bg-gray-500 hover:bg-gray-600">
+                            Mark No-Show
+                          </ActionButton>
+                        )}
+                      </td>
+                    </tr>
+                  ))
+                )}
+              </tbody>
+            </table>
+          </div>
+        </DashboardCard>
+
+        {/* Appointment History */}
+        <DashboardCard title="Appointment History" icon={Clock}>
+          <div className="overflow-x-auto">
+            <table className="min-w-full bg-white rounded-lg overflow-hidden shadow-sm">
+              <thead className="bg-gray-100">
+                <tr>
+                  <th className="py-2 px-4 text-left text-sm font-semibold text-gray-600">Patient Name</th>
+                  <th className="py-2 px-4 text-left text-sm font-semibold text-gray-600">Scheduled For</th>
+                  <th className="py-2 px-4 text-left text-sm font-semibold text-gray-600">Outcome</th>
+                  <th className="py-2 px-4 text-left text-sm font-semibold text-gray-600">History</th>
+                </tr>
+              </thead>
+              <tbody>
+                {closedAppointments.length === 0 ? (
+                  <tr><td colSpan="4" className="text-center py-4 text-gray-500">No past appointments.</td></tr>
+                ) : (
+                  closedAppointments.map((offer) => (
+                    <tr key={offer.id} className="border-b border-gray-100 last:border-b-0">
+                      <td className="py-2 px-4 text-gray-700">{offer.patientName}</td>
+                      <td className="py-2 px-4 text-gray-700">{offer.scheduledFor ? formatSlot(offer.scheduledFor.toDate()) : 'Not booked'}</td>
+                      <td className="py-2 px-4 text-gray-700 text-sm">
+                        {describeAppointmentOutcome(offer)}
+                        {VISIT_NOTE_STATUSES.includes(offer.status) && (
+                          <button type="button" onClick={() => handleOpenVisitNote(offer)} className="block text-xs text-indigo-600 hover:underline">
+                            Visit notes
+                          </button>
+                        )}
                       </td>
+                      <td className="py-2 px-4"><StatusTimeline history={offer.statusHistory} /></td>
                     </tr>
                   ))
                 )}
@@ -1895,6 +7353,120 @@ const App = () => {
           </div>
         </DashboardCard>
 
+        {/* Patient History */}
+        {historyOffer && (
+          <DashboardCard title={`Medical History: ${historyOffer.patientName || historyOffer.patientId}`} icon={Stethoscope}>
+            {patientHistory === null ? (
+              <p className="text-gray-500">Loading history...</p>
+            ) : (
+              <MedicalHistory visits={patientHistory} />
+            )}
+            <ActionButton onClick={() => setHistoryOffer(null)} className="mt-4 bg-gray-500 hover:bg-gray-600">Close</ActionButton>
+          </DashboardCard>
+        )}
+
+        {/* Visit Notes */}
+        {visitOffer && (
+          <DashboardCard title={`Visit Notes: ${visitOffer.patientName || visitOffer.patientId}`} icon={Stethoscope}>
+            <p className="text-sm text-gray-500 mb-4">
+              {visitOffer.scheduledFor ? formatSlot(visitOffer.scheduledFor.toDate()) : 'No time booked'} — {visitOffer.reason}
+            </p>
+            <form onSubmit={handleSaveVisitNote} noValidate>
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-x-4">
+                {VITAL_SIGNS.map(({ field, label, unit }) => (
+                  <InputField
+                    key={field}
+                    label={`${label} (${unit})`}
+                    type={field === 'bloodPressure' ? 'text' : 'number'}
+                    value={visitForm[field]}
+                    onChange={(e) => setVisitForm({ ...visitForm, [field]: e.target.value })}
+                    placeholder={field === 'bloodPressure' ? '120/80' : undefined}
+                    step={field === 'pulse' ? '1' : '0.1'}
+                    error={visitErrors[field]}
+                  />
+                ))}
+              </div>
+              <InputField label="Diagnosis" value={visitForm.diagnosis} onChange={(e) => setVisitForm({ ...visitForm, diagnosis: e.target.value })} required error={visitErrors.diagnosis} />
+              <InputField label="Visit Notes" value={visitForm.notes} onChange={(e) => setVisitForm({ ...visitForm, notes: e.target.value })} placeholder="Examination findings, advice, follow-up" />
+              <h3 className="font-semibold text-gray-700 mb-2">Prescribed Products</h3>
+              <MedicineLinesEditor lines={visitLines} onChange={setVisitLines} />
+              <div className="flex gap-2 mt-4">
+                <ActionButton type="submit">{visitNoteExists ? 'Update Visit Notes' : 'Save Visit Notes'}</ActionButton>
+                <ActionButton type="button" onClick={() => setVisitOfferId('')} className="bg-gray-500 hover:bg-gray-600">Cancel</ActionButton>
+              </div>
+            </form>
+          </DashboardCard>
+        )}
+
+        {/* Reschedule Appointment */}
+        {reschedulingOffer && (
+          <DashboardCard title="Reschedule Appointment" icon={Clock}>
+            <p className="text-gray-700 mb-1">
+              <span className="font-semibold">{reschedulingOffer.patientName || reschedulingOffer.patientId}</span>: {reschedulingOffer.reason}
+            </p>
+            <p className="text-sm text-gray-500 mb-4">
+              Currently {reschedulingOffer.scheduledFor ? formatSlot(reschedulingOffer.scheduledFor.toDate()) : 'not booked'}
+            </p>
+            {doctorProfile?.availability ? (
+              <SlotPicker slots={rescheduleSlots} selectedSlot={rescheduleSlot} onSelect={setRescheduleSlot} />
+            ) : (
+              <p className="text-sm text-gray-500">Publish your weekly availability before rescheduling.</p>
+            )}
+            <InputField
+              label="Reason (shown to the patient)"
+              value={rescheduleReason}
+              onChange={(e) => setRescheduleReason(e.target.value)}
+              placeholder="e.g., Emergency surgery that morning"
+              required
+            />
+            <div className="flex gap-2">
+              <ActionButton onClick={handleRescheduleOffer}>
+                {rescheduleSlot ? `Move to ${formatSlot(rescheduleSlot)}` : 'Pick a new time'}
+              </ActionButton>
+              <ActionButton onClick={() => setReschedulingOfferId('')} className="bg-gray-500 hover:bg-gray-600">
+                Cancel
+              </ActionButton>
+            </div>
+          </DashboardCard>
+        )}
+
+        {/* Issue e-Prescription */}
+        <DashboardCard title="Issue e-Prescription" icon={Stethoscope}>
+          <SelectField
+            label="Appointment"
+            value={prescriptionOfferId}
+            onChange={(e) => setPrescriptionOfferId(e.target.value)}
+            options={acceptedAppointments.map(offer => ({
+              value: offer.id,
+              label: `${offer.patientName || offer.patientId}: ${offer.reason}`,
+            }))}
+            required
+          />
+          <MedicineLinesEditor lines={prescriptionLines} onChange={setPrescriptionLines} />
+          <div className="mt-4">
+            <InputField label="Notes for the patient" value={prescriptionNotes} onChange={(e) => setPrescriptionNotes(e.target.value)} />
+          </div>
+          <ActionButton onClick={handleIssueEPrescription}>Issue e-Prescription</ActionButton>
+          <p className="mt-2 text-xs text-gray-500">Valid for {E_PRESCRIPTION_VALID_DAYS} days. The patient can order the listed medicines directly.</p>
+        </DashboardCard>
+
+        {/* Issued e-Prescriptions */}
+        <DashboardCard title="Issued e-Prescriptions" icon={CheckCircle}>
+          {ePrescriptions.length === 0 ? (
+            <p className="text-gray-600">No e-prescriptions issued yet.</p>
+          ) : (
+            <ul className="space-y-2 text-sm text-gray-700">
+              {ePrescriptions.map((prescription) => (
+                <li key={prescription.id} className="border-b border-gray-100 pb-2 last:border-b-0">
+                  <span className="font-semibold">{prescription.patientName}</span>
+                  <span className="text-xs text-gray-500"> · {prescription.issuedAt?.toDate().toLocaleDateString()}</span>
+                  <p>{prescription.items.map(item => `${item.productName} × ${item.quantity}`).join(', ')}</p>
+                </li>
+              ))}
+            </ul>
+          )}
+        </DashboardCard>
+
         {/* QR Code Modal */}
         {showQrModal && (
           <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
@@ -1914,6 +7486,378 @@ const App = () => {
     );
   };
 
+  // --- Pharmacy Dashboard ---
+  const PharmacyDashboard = () => {
+    const [stockInputs, setStockInputs] = useState({}); // { [productId]: quantity being edited }
+    const [stockErrors, setStockErrors] = useState({});
+    const [showQrModal, setShowQrModal] = useState(false);
+    const [currentQrContent, setCurrentQrContent] = useState('');
+
+    const quantityOnShelf = (productId) => pharmacyStock.find(item => item.id === productId)?.quantity || 0;
+    const packingOrders = customerOrders.filter(order => order.status === ORDER_STATUS.PACKING);
+    const readyOrders = customerOrders.filter(order => order.status === ORDER_STATUS.PENDING_SALESPERSON_PICKUP);
+    const handedOverOrders = customerOrders.filter(order => [ORDER_STATUS.IN_DELIVERY, ORDER_STATUS.DELIVERED].includes(order.status));
+    const stockedProducts = products
+      .filter(product => !product.archived || quantityOnShelf(product.id) > 0)
+      .sort((a, b) => a.name.localeCompare(b.name));
+
+    const orderRefFor = (order) => doc(dbRef.current, `artifacts/${appId}/public/data/orders`, order.id);
+
+    const handleAcceptOrder = async (order) => {
+      if (!dbRef.current || !userId) return;
+      try {
+        await runTransaction(dbRef.current, async (transaction) => {
+          const transition = await prepareTransition(transaction, orderRefFor(order), 'order', 'accept_for_packing', { id: userId, role: userRole });
+          const profileSnap = await transaction.get(userProfileRef(dbRef.current, userId));
+          transition.commit({
+            pharmacyId: userId,
+            pharmacyName: (profileSnap.exists() && profileSnap.data().name) || userId,
+            acceptedForPackingAt: serverTimestamp(),
+            packedItems: [],
+          });
+        });
+        displayMessage('Order accepted. Tick off each item as you pack it.', 'success');
+      } catch (error) {
+        if (error instanceof StateTransitionError) {
+          displayMessage(error.message, 'error');
+          return;
+        }
+        console.error("Error accepting order:", error);
+        displayMessage(`Failed to accept order: ${error.message}`, 'error');
+      }
+    };
+
+    const handleTogglePackedItem = async (order, index, packed) => {
+      if (!dbRef.current) return;
+      try {
+        await updateDoc(orderRefFor(order), { packedItems: packed ? arrayUnion(index) : arrayRemove(index) });
+      } catch (error) {
+        console.error("Error updating packed items:", error);
+        displayMessage(`Failed to update packed items: ${error.message}`, 'error');
+      }
+    };
+
+    const handlePackOrder = async (order) => {
+      if (!dbRef.current || !userId) return;
+      if (!isOrderFullyPacked(order)) {
+        displayMessage("Tick off every item before marking the order packed.", 'error');
+        return;
+      }
+      try {
+        await runTransaction(dbRef.current, async (transaction) => {
+          const transition = await prepareTransition(transaction, orderRefFor(order), 'order', 'pack', { id: userId, role: userRole });
+          if (transition.data.pharmacyId !== userId) {
+            throw new StateTransitionError("This order is being packed by another pharmacy.");
+          }
+          const commitStock = await preparePharmacyStockDecrements(transaction, dbRef.current, userId, transition.data);
+          transition.commit({
+            packedBy: userId,
+            packedAt: serverTimestamp(),
+          });
+          commitStock();
+        });
+        displayMessage('Order packed. Generate the pickup QR when the salesperson arrives.', 'success');
+      } catch (error) {
+        if (error instanceof StateTransitionError || error instanceof InsufficientStockError) {
+          displayMessage(error.message, 'error');
+          return;
+        }
+        console.error("Error packing order:", error);
+        displayMessage(`Failed to pack order: ${error.message}`, 'error');
+      }
+    };
+
+    const handleReturnOrder = async (order) => {
+      if (!dbRef.current || !userId) return;
+      const returnReason = prompt("Why can't you fill this order? It will go back to the queue for another pharmacy.");
+      if (returnReason === null) return;
+      if (!returnReason.trim()) {
+        displayMessage("A reason is required to return an order.", 'error');
+        return;
+      }
+      try {
+        await runTransaction(dbRef.current, async (transaction) => {
+          const transition = await prepareTransition(transaction, orderRefFor(order), 'order', 'return_to_queue', { id: userId, role: userRole });
+          if (transition.data.pharmacyId !== userId) {
+            throw new StateTransitionError("This order is being packed by another pharmacy.");
+          }
+          transition.commit({
+            pharmacyId: null,
+            pharmacyName: null,
+            packedItems: [],
+            pharmacyReturnReason: returnReason.trim(),
+          }, returnReason.trim());
+        });
+        displayMessage('Order returned to the queue.', 'success');
+      } catch (error) {
+        if (error instanceof StateTransitionError) {
+          displayMessage(error.message, 'error');
+          return;
+        }
+        console.error("Error returning order:", error);
+        displayMessage(`Failed to return order: ${error.message}`, 'error');
+      }
+    };
+
+    const handleGeneratePickupQr = async (order) => {
+      try {
+        const envelope = await createQrEnvelope(dbRef.current, QR_PURPOSES.SALESPERSON_PICKUP, { orderId: order.id, pharmacyId: userId }, userId);
+        setCurrentQrContent(generateQRCodeContent(envelope));
+        setShowQrModal(true);
+      } catch (error) {
+        console.error("Error generating pickup QR:", error);
+        displayMessage(`Failed to generate QR code: ${error.message}`, 'error');
+      }
+    };
+
+    const handleSaveStockLevel = async (product) => {
+      if (!dbRef.current || !userId) return;
+      const values = { quantity: stockInputs[product.id] };
+      const fieldErrors = validateFields('pharmacyStock', values);
+      setStockErrors(prev => ({ ...prev, [product.id]: fieldErrors.quantity }));
+      if (fieldErrors.quantity) return;
+      try {
+        await setDoc(doc(dbRef.current, pharmacyStockPath(userId), product.id), {
+          productId: product.id,
+          productName: product.name,
+          quantity: Number(values.quantity),
+          updatedAt: serverTimestamp(),
+        }, { merge: true });
+        setStockInputs(prev => Object.fromEntries(Object.entries(prev).filter(([id]) => id !== product.id)));
+        displayMessage(`Stock for ${product.name} updated.`, 'success');
+      } catch (error) {
+        console.error("Error updating stock:", error);
+        displayMessage(`Failed to update stock: ${error.message}`, 'error');
+      }
+    };
+
+    return (
+      <div className="p-6 bg-gray-50 min-h-[calc(100vh-160px)] rounded-xl shadow-inner">
+        <h1 className="text-4xl font-bold text-gray-900 mb-8 flex items-center font-inter">
+          <Pill className="mr-4 h-10 w-10 text-teal-600" /> Pharmacy Dashboard
+        </h1>
+
+        {/* Prescription Review */}
+        <PrescriptionReviewCard orders={prescriptionReviewOrders} />
+
+        {/* Incoming Orders */}
+        <DashboardCard title="Incoming Orders" icon={Package}>
+          <p className="text-sm text-gray-600 mb-4">
+            New customer orders waiting for a pharmacy. Accept the ones you can fill from your own stock.
+          </p>
+          <div className="overflow-x-auto">
+            <table className="min-w-full bg-white rounded-lg overflow-hidden shadow-sm">
+              <thead className="bg-gray-100">
+                <tr>
+                  <th className="py-2 px-4 text-left text-sm font-semibold text-gray-600">Order ID</th>
+                  <th className="py-2 px-4 text-left text-sm font-semibold text-gray-600">Items</th>
+                  <th className="py-2 px-4 text-left text-sm font-semibold text-gray-600">Deliver To</th>
+                  <th className="py-2 px-4 text-left text-sm font-semibold text-gray-600">Order Date</th>
+                  <th className="py-2 px-4 text-left text-sm font-semibold text-gray-600">Your Stock</th>
+                  <th className="py-2 px-4 text-left text-sm font-semibold text-gray-600">Actions</th>
+                </tr>
+              </thead>
+              <tbody>
+                {pharmacyOrderQueue.length === 0 ? (
+                  <tr><td colSpan="6" className="text-center py-4 text-gray-500">No orders waiting.</td></tr>
+                ) : (
+                  pharmacyOrderQueue.map((order) => {
+                    const shortages = getStockShortages(order, quantityOnShelf);
+                    return (
+                      <tr key={order.id} className="border-b border-gray-100 last:border-b-0">
+                        <td className="py-2 px-4 text-gray-700 text-xs">{order.id}</td>
+                        <td className="py-2 px-4 text-gray-700">{describeOrderItems(order)}</td>
+                        <td className="py-2 px-4 text-gray-700">{order.deliveryCity || order.deliveryAddress?.city || 'N/A'}</td>
+                        <td className="py-2 px-4 text-gray-700">{order.orderDate?.toDate().toLocaleDateString()}</td>
+                        <td className="py-2 px-4 text-sm">
+                          {shortages.length === 0 ? (
+                            <span className="text-green-600 font-semibold">In stock</span>
+                          ) : (
+                            <span className="text-red-600">Short: {shortages.map(line => `${line.productName} (${line.available}/${line.quantity})`).join(', ')}</span>
+                          )}
+                        </td>
+                        <td className="py-2 px-4">
+                          <ActionButton onClick={() => handleAcceptOrder(order)} className="text-xs px-2 py-1">
+                            Accept for Packing
+                          </ActionButton>
+                        </td>
+                      </tr>
+                    );
+                  })
+                )}
+              </tbody>
+            </table>
+          </div>
+        </DashboardCard>
+
+        {/* Orders Being Packed */}
+        <DashboardCard title="Orders Being Packed" icon={CheckCircle}>
+          {packingOrders.length === 0 ? (
+            <p className="text-gray-600">No orders being packed.</p>
+          ) : (
+            <div className="space-y-4">
+              {packingOrders.map((order) => (
+                <div key={order.id} className="border border-gray-200 rounded-lg p-4">
+                  <p className="text-xs text-gray-500 mb-2">Order {order.id}</p>
+                  <ul className="space-y-1 mb-3">
+                    {getOrderLineItems(order).map((item, index) => (
+                      <li key={index}>
+                        <label className="flex items-center text-gray-700">
+                          <input
+                            type="checkbox"
+                            checked={(order.packedItems || []).includes(index)}
+                            onChange={(e) => handleTogglePackedItem(order, index, e.target.checked)}
+                            className="mr-2"
+                          />
+                          {item.productName} × {item.quantity}
+                          <span className="ml-2 text-xs text-gray-500">({quantityOnShelf(item.productId)} on shelf)</span>
+                        </label>
+                      </li>
+                    ))}
+                  </ul>
+                  <div className="flex gap-2">
+                    <ActionButton onClick={() => handlePackOrder(order)} className="text-xs px-2 py-1">
+                      Mark Packed
+                    </ActionButton>
+                    <ActionButton onClick={() => handleReturnOrder(order)} className="text-xs px-2 py-1 bg-gray-500 hover:bg-gray-600">
+                      Return to Queue
+                    </ActionButton>
+                  </div>
+                </div>
+              ))}
+            </div>
+          )}
+        </DashboardCard>
+
+        {/* Ready for Pickup */}
+        <DashboardCard title="Ready for Pickup" icon={Scan}>
+          <p className="text-sm text-gray-600 mb-4">
+            Show the pickup QR to the salesperson collecting the order. Scanning it assigns the delivery to them.
+          </p>
+          {readyOrders.length === 0 ? (
+            <p className="text-gray-600">No packed orders waiting for a salesperson.</p>
+          ) : (
+            <ul className="space-y-2">
+              {readyOrders.map((order) => (
+                <li key={order.id} className="flex flex-wrap items-center justify-between gap-2 border-b border-gray-100 pb-2 last:border-b-0">
+                  <div className="text-gray-700">
+                    <p>{describeOrderItems(order)}</p>
+                    <p className="text-xs text-gray-500">Order {order.id} · packed {order.packedAt?.toDate().toLocaleString()}</p>
+                  </div>
+                  <ActionButton onClick={() => handleGeneratePickupQr(order)} className="text-xs px-2 py-1">
+                    Generate Pickup QR
+                  </ActionButton>
+                </li>
+              ))}
+            </ul>
+          )}
+        </DashboardCard>
+
+        {/* Handed Over */}
+        <DashboardCard title="Handed Over to Salespersons" icon={Briefcase}>
+          <div className="overflow-x-auto">
+            <table className="min-w-full bg-white rounded-lg overflow-hidden shadow-sm">
+              <thead className="bg-gray-100">
+                <tr>
+                  <th className="py-2 px-4 text-left text-sm font-semibold text-gray-600">Order ID</th>
+                  <th className="py-2 px-4 text-left text-sm font-semibold text-gray-600">Items</th>
+                  <th className="py-2 px-4 text-left text-sm font-semibold text-gray-600">Salesperson</th>
+                  <th className="py-2 px-4 text-left text-sm font-semibold text-gray-600">Status</th>
+                  <th className="py-2 px-4 text-left text-sm font-semibold text-gray-600">Timeline</th>
+                </tr>
+              </thead>
+              <tbody>
+                {handedOverOrders.length === 0 ? (
+                  <tr><td colSpan="5" className="text-center py-4 text-gray-500">No orders handed over yet.</td></tr>
+                ) : (
+                  handedOverOrders.map((order) => (
+                    <tr key={order.id} className="border-b border-gray-100 last:border-b-0">
+                      <td className="py-2 px-4 text-gray-700 text-xs">{order.id}</td>
+                      <td className="py-2 px-4 text-gray-700">{describeOrderItems(order)}</td>
+                      <td className="py-2 px-4 text-gray-700 text-xs">{order.salespersonId || 'N/A'}</td>
+                      <td className="py-2 px-4 text-gray-700 capitalize">{formatStatus(order.status)}</td>
+                      <td className="py-2 px-4 text-gray-700"><StatusTimeline history={order.statusHistory} /></td>
+                    </tr>
+                  ))
+                )}
+              </tbody>
+            </table>
+          </div>
+        </DashboardCard>
+
+        {/* Local Stock */}
+        <DashboardCard title="Local Stock" icon={Package}>
+          <p className="text-sm text-gray-600 mb-4">
+            Units on your own shelves. Packing an order takes its items off automatically; items at {LOW_PHARMACY_STOCK} or fewer are flagged.
+          </p>
+          <div className="overflow-x-auto">
+            <table className="min-w-full bg-white rounded-lg overflow-hidden shadow-sm">
+              <thead className="bg-gray-100">
+                <tr>
+                  <th className="py-2 px-4 text-left text-sm font-semibold text-gray-600">Product</th>
+                  <th className="py-2 px-4 text-left text-sm font-semibold text-gray-600">On Shelf</th>
+                  <th className="py-2 px-4 text-left text-sm font-semibold text-gray-600">Set Quantity</th>
+                </tr>
+              </thead>
+              <tbody>
+                {stockedProducts.length === 0 ? (
+                  <tr><td colSpan="3" className="text-center py-4 text-gray-500">No products in the catalogue.</td></tr>
+                ) : (
+                  stockedProducts.map((product) => {
+                    const onShelf = quantityOnShelf(product.id);
+                    return (
+                      <tr key={product.id} className="border-b border-gray-100 last:border-b-0">
+                        <td className="py-2 px-4 text-gray-700">
+                          {product.name}
+                          {product.archived && <span className="ml-2 text-xs text-gray-400">(archived)</span>}
+                        </td>
+                        <td className="py-2 px-4 text-gray-700">
+                          {onShelf}
+                          {onShelf <= LOW_PHARMACY_STOCK && <span className="ml-2 text-xs font-semibold text-red-600">Low</span>}
+                        </td>
+                        <td className="py-2 px-4">
+                          <div className="flex items-center gap-2">
+                            <input
+                              type="number"
+                              min="0"
+                              value={stockInputs[product.id] ?? String(onShelf)}
+                              onChange={(e) => setStockInputs(prev => ({ ...prev, [product.id]: e.target.value }))}
+                              className="w-24 border rounded px-2 py-1 text-sm"
+                            />
+                            <ActionButton onClick={() => handleSaveStockLevel(product)} className="text-xs px-2 py-1">
+                              Save
+                            </ActionButton>
+                          </div>
+                          {stockErrors[product.id] && <p className="text-xs text-red-600 mt-1">{stockErrors[product.id]}</p>}
+                        </td>
+                      </tr>
+                    );
+                  })
+                )}
+              </tbody>
+            </table>
+          </div>
+        </DashboardCard>
+
+        {/* QR Code Modal */}
+        {showQrModal && (
+          <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+            <div className="bg-white p-6 rounded-xl shadow-2xl relative">
+              <button
+                onClick={() => setShowQrModal(false)}
+                className="absolute top-3 right-3 text-gray-500 hover:text-gray-700 text-xl font-bold"
+              >
+                &times;
+              </button>
+              <h3 className="text-xl font-semibold mb-4 text-gray-800">Salesperson Pickup QR Code</h3>
+              <QRCodeDisplay content={currentQrContent} />
+            </div>
+          </div>
+        )}
+      </div>
+    );
+  };
+
   // --- Main App Render Logic ---
   return (
     <div className="min-h-screen bg-gray-100 font-inter antialiased flex flex-col">
@@ -1922,8 +7866,19 @@ const App = () => {
       <main className="flex-grow p-4">
         {loading ? (
           <LoadingSpinner />
+        ) : !user ? (
+          <LoginScreen auth={authRef.current} onMessage={displayMessage} />
         ) : userRole === null ? (
           <RoleSelection />
+        ) : !roleApproved ? (
+          <RoleApplicationScreen
+            role={userRole}
+            application={roleApplication}
+            db={dbRef.current}
+            storage={storageRef.current}
+            userId={userId}
+            onMessage={displayMessage}
+          />
         ) : userRole === 'admin' ? (
           <AdminDashboard />
         ) : userRole === 'customer' ? (
@@ -1934,6 +7889,8 @@ const App = () => {
           <SalespersonDashboard />
         ) : userRole === 'doctor' ? (
           <DoctorDashboard />
+        ) : userRole === 'pharmacy' ? (
+          <PharmacyDashboard />
         ) : (
           <div className="text-center text-lg text-gray-600 mt-20">
             Unknown role or no dashboard configured for this role.
@@ -1941,6 +7898,9 @@ const App = () => {
         )}
       </main>
       <Footer />
+      {showAccountUpgrade && (
+        <AccountUpgradePanel auth={authRef.current} onMessage={displayMessage} onClose={() => setShowAccountUpgrade(false)} />
+      )}
     </div>
   );
 };
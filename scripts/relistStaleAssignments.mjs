@@ -0,0 +1,158 @@
+// Relists stalled salesperson assignments.
+//
+// Orders stuck in `in_delivery` and patientOffers stuck in `assigned_to_salesperson` for longer than
+// an hour (measured from `pickupTime`) are released back to the pool: `salespersonId` is cleared,
+// the status returns to `pending_salesperson_pickup` / `accepted`, and the relist is recorded in the
+// item's statusHistory and in the salesperson's performance record. The transitions mirror the
+// `relist` entries of STATE_MACHINES in App.js.
+//
+// Install dependencies with `npm install` in the repository root, then run locally against the
+// Firestore emulator:
+//   FIRESTORE_EMULATOR_HOST=localhost:8080 GCLOUD_PROJECT=demo-mediquick APP_ID=default-app-id \
+//     node scripts/relistStaleAssignments.mjs [--dry-run] [--interval=5]
+//
+// Without --interval the job runs once and exits; with it, it repeats every N minutes.
+
+import { initializeApp } from 'firebase-admin/app';
+import { getFirestore, FieldValue, Timestamp } from 'firebase-admin/firestore';
+
+const RELIST_AFTER_MS = 60 * 60 * 1000; // 1 hour
+const RELIST_ACTOR_ID = 'system:relist-job';
+const MAX_RELIST_EVENTS = 50; // Most recent relists kept on each salesperson's performance record
+
+const ASSIGNMENT_TYPES = [
+  {
+    itemType: 'order',
+    collectionName: 'orders',
+    stalledStatus: 'in_delivery',
+    relistedStatus: 'pending_salesperson_pickup',
+  },
+  {
+    itemType: 'appointment',
+    collectionName: 'patientOffers',
+    stalledStatus: 'assigned_to_salesperson',
+    relistedStatus: 'accepted',
+  },
+];
+
+const parseArgs = (argv) => {
+  const options = { dryRun: false, intervalMinutes: null };
+  argv.forEach((arg) => {
+    if (arg === '--dry-run') {
+      options.dryRun = true;
+    } else if (arg.startsWith('--interval=')) {
+      options.intervalMinutes = Number(arg.slice('--interval='.length));
+      if (!Number.isFinite(options.intervalMinutes) || options.intervalMinutes <= 0) {
+        throw new Error(`Invalid --interval value: ${arg}`);
+      }
+    } else {
+      throw new Error(`Unknown argument: ${arg}`);
+    }
+  });
+  return options;
+};
+
+// Releases one stalled assignment. Re-checks the document inside the transaction so an item the
+// salesperson completed in the meantime is left alone.
+const relistAssignment = async (db, appId, assignment, itemRef, cutoff) =>
+  db.runTransaction(async (transaction) => {
+    const snap = await transaction.get(itemRef);
+    if (!snap.exists) return false;
+    const data = snap.data();
+    if (data.status !== assignment.stalledStatus || !data.pickupTime || data.pickupTime.toMillis() > cutoff.toMillis()) {
+      return false;
+    }
+
+    const salespersonId = data.salespersonId;
+    const performanceRef = salespersonId
+      ? db.doc(`artifacts/${appId}/public/data/salespersonPerformance/${salespersonId}`)
+      : null;
+    // Transactions must read everything before writing
+    const performanceSnap = performanceRef ? await transaction.get(performanceRef) : null;
+    const relistedAt = Timestamp.now();
+    const note = `Not completed within ${RELIST_AFTER_MS / 60000} minutes of pickup by ${salespersonId}`;
+
+    transaction.update(itemRef, {
+      status: assignment.relistedStatus,
+      salespersonId: null,
+      pickupTime: null,
+      relistCount: FieldValue.increment(1),
+      lastRelistedAt: relistedAt,
+      statusHistory: FieldValue.arrayUnion({
+        action: 'relist',
+        from: assignment.stalledStatus,
+        to: assignment.relistedStatus,
+        by: RELIST_ACTOR_ID,
+        role: 'system',
+        note,
+        at: relistedAt,
+      }),
+    });
+
+    if (performanceRef) {
+      const previousEvents = (performanceSnap.exists && performanceSnap.data().relistEvents) || [];
+      transaction.set(performanceRef, {
+        salespersonId,
+        relistCount: FieldValue.increment(1),
+        lastRelistedAt: relistedAt,
+        relistEvents: [...previousEvents, {
+          itemType: assignment.itemType,
+          itemId: itemRef.id,
+          pickupTime: data.pickupTime,
+          relistedAt,
+        }].slice(-MAX_RELIST_EVENTS),
+      }, { merge: true });
+    }
+    return true;
+  });
+
+const runOnce = async (db, appId, { dryRun }) => {
+  const cutoff = Timestamp.fromMillis(Date.now() - RELIST_AFTER_MS);
+  let relisted = 0;
+
+  for (const assignment of ASSIGNMENT_TYPES) {
+    const stalled = await db
+      .collection(`artifacts/${appId}/public/data/${assignment.collectionName}`)
+      .where('status', '==', assignment.stalledStatus)
+      .where('pickupTime', '<=', cutoff)
+      .get();
+
+    for (const itemDoc of stalled.docs) {
+      if (dryRun) {
+        console.log(`[dry-run] Would relist ${assignment.itemType} ${itemDoc.id} (salesperson ${itemDoc.data().salespersonId})`);
+        continue;
+      }
+      if (await relistAssignment(db, appId, assignment, itemDoc.ref, cutoff)) {
+        relisted++;
+        console.log(`Relisted ${assignment.itemType} ${itemDoc.id}`);
+      }
+    }
+  }
+
+  console.log(`${new Date().toISOString()} Relist run complete: ${relisted} assignment(s) released.`);
+  return relisted;
+};
+
+const main = async () => {
+  const options = parseArgs(process.argv.slice(2));
+  const appId = process.env.APP_ID || 'default-app-id';
+
+  if (!process.env.FIRESTORE_EMULATOR_HOST && !process.env.GOOGLE_APPLICATION_CREDENTIALS) {
+    throw new Error('Set FIRESTORE_EMULATOR_HOST to run against the emulator, or GOOGLE_APPLICATION_CREDENTIALS for a real project.');
+  }
+
+  initializeApp({ projectId: process.env.GCLOUD_PROJECT || 'demo-mediquick' });
+  const db = getFirestore();
+
+  await runOnce(db, appId, options);
+  if (options.intervalMinutes) {
+    setInterval(() => {
+      runOnce(db, appId, options).catch((error) => console.error('Relist run failed:', error));
+    }, options.intervalMinutes * 60 * 1000);
+  }
+};
+
+main().catch((error) => {
+  console.error(error.message);
+  process.exit(1);
+});
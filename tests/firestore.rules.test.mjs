@@ -0,0 +1,488 @@
+// Security rules tests: roles and profiles, coin balances and the ledger, order and checkup status
+// moves by role, visit notes and pharmacy shelves.
+//
+// Needs Java for the Firestore emulator. `npm test` starts the emulator and runs every file in tests/:
+//   firebase emulators:exec --only firestore --project demo-mediquick "node --test tests/"
+
+import { readFileSync } from 'node:fs';
+import { after, before, beforeEach, describe, test } from 'node:test';
+import { assertFails, assertSucceeds, initializeTestEnvironment } from '@firebase/rules-unit-testing';
+import {
+  collectionGroup, doc, getDoc, getDocs, increment, serverTimestamp, setDoc, updateDoc, writeBatch,
+} from 'firebase/firestore';
+
+const APP_ID = 'test-app';
+const CUSTOMER_ID = 'customer-1';
+const OTHER_CUSTOMER_ID = 'customer-2';
+const INSTITUTION_ID = 'institution-1';
+const BROKE_CUSTOMER_ID = 'customer-3';
+const BROKE_INSTITUTION_ID = 'institution-2';
+const DOCTOR_ID = 'doctor-1';
+const PHARMACY_ID = 'pharmacy-1';
+const SALESPERSON_ID = 'salesperson-1';
+const STARTING_COINS = 100;
+
+let testEnv;
+
+const profilePath = (uid) => `artifacts/${APP_ID}/users/${uid}/profile/${uid}`;
+const ledgerPath = (entryId) => `artifacts/${APP_ID}/public/data/ledger/${entryId}`;
+const withdrawalRequestPath = (requestId) => `artifacts/${APP_ID}/public/data/withdrawalRequests/${requestId}`;
+const orderPath = (orderId) => `artifacts/${APP_ID}/public/data/orders/${orderId}`;
+const patientOfferPath = (offerId) => `artifacts/${APP_ID}/public/data/patientOffers/${offerId}`;
+const visitPath = (patientId, offerId) => `artifacts/${APP_ID}/public/data/medicalRecords/${patientId}/visits/${offerId}`;
+const shelfPath = (pharmacyId, productId) => `artifacts/${APP_ID}/public/data/pharmacies/${pharmacyId}/stock/${productId}`;
+
+const ledgerEntry = ({ type, amount, debitAccountId, creditAccountId, initiatedBy }) => ({
+  type,
+  amount,
+  debitAccountId,
+  creditAccountId,
+  initiatedBy,
+  description: `Test ${type}`,
+  createdAt: serverTimestamp(),
+});
+
+// Writes a ledger entry and, unless `debit` is null, the debit of `debit.accountId` by `debit.amount`
+// in one batch, the way prepareCoinMovement in App.js does
+const writeMovement = (db, entryId, entry, debit) => {
+  const batch = writeBatch(db);
+  batch.set(doc(db, ledgerPath(entryId)), entry);
+  if (debit) {
+    batch.update(doc(db, profilePath(debit.accountId)), { coins: increment(-debit.amount), lastLedgerEntryId: entryId });
+  }
+  return batch.commit();
+};
+
+// What prepareTransition in App.js appends; the rules only check which keys change
+const statusHistory = (action, from, to, by, role) => [{ action, from, to, by, role, note: null }];
+
+before(async () => {
+  testEnv = await initializeTestEnvironment({
+    projectId: 'demo-mediquick',
+    firestore: { rules: readFileSync(new URL('../firestore.rules', import.meta.url), 'utf8') },
+  });
+});
+
+after(async () => {
+  await testEnv.cleanup();
+});
+
+beforeEach(async () => {
+  await testEnv.clearFirestore();
+  await testEnv.withSecurityRulesDisabled(async (context) => {
+    const db = context.firestore();
+    await setDoc(doc(db, profilePath(CUSTOMER_ID)), { role: 'customer', coins: STARTING_COINS });
+    await setDoc(doc(db, profilePath(OTHER_CUSTOMER_ID)), { role: 'customer', coins: STARTING_COINS });
+    await setDoc(doc(db, profilePath(INSTITUTION_ID)), {
+      role: 'institution',
+      grantedRoles: ['institution'],
+      coins: STARTING_COINS,
+    });
+    await setDoc(doc(db, profilePath(DOCTOR_ID)), { role: 'doctor', grantedRoles: ['doctor'], coins: 0 });
+    await setDoc(doc(db, profilePath(SALESPERSON_ID)), { role: 'salesperson', grantedRoles: ['salesperson'], coins: 0 });
+    await setDoc(doc(db, profilePath(PHARMACY_ID)), { role: 'pharmacy', grantedRoles: ['pharmacy'], coins: 0 });
+    await setDoc(doc(db, profilePath(BROKE_CUSTOMER_ID)), { role: 'customer', coins: 0 });
+    await setDoc(doc(db, profilePath(BROKE_INSTITUTION_ID)), {
+      role: 'institution',
+      grantedRoles: ['institution'],
+      coins: 0,
+    });
+  });
+});
+
+describe('profiles', () => {
+  const NEWCOMER_ID = 'newcomer-1';
+
+  test('can be created with a selectable role', async () => {
+    const db = testEnv.authenticatedContext(NEWCOMER_ID).firestore();
+    await assertSucceeds(setDoc(doc(db, profilePath(NEWCOMER_ID)), { role: 'salesperson' }));
+  });
+
+  test('are refused the admin role', async () => {
+    const db = testEnv.authenticatedContext(NEWCOMER_ID).firestore();
+    await assertFails(setDoc(doc(db, profilePath(NEWCOMER_ID)), { role: 'admin' }));
+  });
+
+  test('are refused a role their owner grants themselves', async () => {
+    const db = testEnv.authenticatedContext(NEWCOMER_ID).firestore();
+    await assertFails(setDoc(doc(db, profilePath(NEWCOMER_ID)), { role: 'salesperson', grantedRoles: ['salesperson'] }));
+  });
+
+  test('cannot be switched to admin', async () => {
+    const db = testEnv.authenticatedContext(CUSTOMER_ID).firestore();
+    await assertFails(updateDoc(doc(db, profilePath(CUSTOMER_ID)), { role: 'admin' }));
+  });
+
+  test('cannot grant or approve their own roles', async () => {
+    const db = testEnv.authenticatedContext(CUSTOMER_ID).firestore();
+    await assertFails(updateDoc(doc(db, profilePath(CUSTOMER_ID)), { grantedRoles: ['salesperson'] }));
+    await assertFails(updateDoc(doc(db, profilePath(CUSTOMER_ID)), { approved: true }));
+  });
+
+  test('cannot change coins without a ledger entry', async () => {
+    const db = testEnv.authenticatedContext(CUSTOMER_ID).firestore();
+    await assertFails(updateDoc(doc(db, profilePath(CUSTOMER_ID)), { coins: 1000 }));
+    await assertFails(updateDoc(doc(db, profilePath(CUSTOMER_ID)), { coins: 1000, lastLedgerEntryId: 'missing-entry' }));
+  });
+
+  test('are refused to anyone but their owner', async () => {
+    const db = testEnv.authenticatedContext(CUSTOMER_ID).firestore();
+    await assertFails(getDoc(doc(db, profilePath(OTHER_CUSTOMER_ID))));
+    await assertFails(updateDoc(doc(db, profilePath(OTHER_CUSTOMER_ID)), { name: 'Someone else' }));
+  });
+});
+
+describe('ledger', () => {
+  beforeEach(async () => {
+    await testEnv.withSecurityRulesDisabled(async (context) => {
+      await setDoc(doc(context.firestore(), ledgerPath('entry-1')), ledgerEntry({
+        type: 'donation',
+        amount: 10,
+        debitAccountId: OTHER_CUSTOMER_ID,
+        creditAccountId: INSTITUTION_ID,
+        initiatedBy: OTHER_CUSTOMER_ID,
+      }));
+    });
+  });
+
+  test("entries of other users can't be read", async () => {
+    const db = testEnv.authenticatedContext(CUSTOMER_ID).firestore();
+    await assertFails(getDoc(doc(db, ledgerPath('entry-1'))));
+  });
+
+  test('entries are never edited', async () => {
+    const db = testEnv.authenticatedContext(OTHER_CUSTOMER_ID).firestore();
+    await assertFails(updateDoc(doc(db, ledgerPath('entry-1')), { amount: 1 }));
+  });
+
+  test("entries are refused when initiated in another user's name", async () => {
+    const db = testEnv.authenticatedContext(CUSTOMER_ID).firestore();
+    await assertFails(writeMovement(db, 'donation-1', ledgerEntry({
+      type: 'donation',
+      amount: 30,
+      debitAccountId: CUSTOMER_ID,
+      creditAccountId: INSTITUTION_ID,
+      initiatedBy: OTHER_CUSTOMER_ID,
+    }), { accountId: CUSTOMER_ID, amount: 30 }));
+  });
+
+  test("can't credit the caller out of nothing", async () => {
+    const db = testEnv.authenticatedContext(CUSTOMER_ID).firestore();
+    const batch = writeBatch(db);
+    batch.set(doc(db, ledgerPath('reward-1')), ledgerEntry({
+      type: 'purchase_reward',
+      amount: 50,
+      debitAccountId: 'system:platform',
+      creditAccountId: CUSTOMER_ID,
+      initiatedBy: CUSTOMER_ID,
+    }));
+    batch.update(doc(db, profilePath(CUSTOMER_ID)), { coins: increment(50), lastLedgerEntryId: 'reward-1' });
+    await assertFails(batch.commit());
+  });
+
+  test("mirrors can't be added to another user's history without a new ledger entry", async () => {
+    const db = testEnv.authenticatedContext(CUSTOMER_ID).firestore();
+    await assertFails(setDoc(doc(db, `artifacts/${APP_ID}/users/${OTHER_CUSTOMER_ID}/transactions/tx-1`), {
+      ledgerEntryId: 'entry-1',
+      amount: -10,
+    }));
+  });
+});
+
+describe('donations', () => {
+  const donation = (amount, debitAccountId = CUSTOMER_ID, initiatedBy = CUSTOMER_ID, creditAccountId = INSTITUTION_ID) => ledgerEntry({
+    type: 'donation',
+    amount,
+    debitAccountId,
+    creditAccountId,
+    initiatedBy,
+  });
+
+  test('are allowed when they debit the caller by the donated amount', async () => {
+    const db = testEnv.authenticatedContext(CUSTOMER_ID).firestore();
+    await assertSucceeds(writeMovement(db, 'donation-1', donation(30), { accountId: CUSTOMER_ID, amount: 30 }));
+  });
+
+  test('are refused without the matching debit', async () => {
+    const db = testEnv.authenticatedContext(CUSTOMER_ID).firestore();
+    await assertFails(writeMovement(db, 'donation-1', donation(30), null));
+  });
+
+  test('are refused from a zero balance', async () => {
+    const db = testEnv.authenticatedContext(BROKE_CUSTOMER_ID).firestore();
+    await assertFails(writeMovement(db, 'donation-1', donation(30, BROKE_CUSTOMER_ID, BROKE_CUSTOMER_ID),
+      { accountId: BROKE_CUSTOMER_ID, amount: 30 }));
+  });
+
+  test('are refused beyond the balance', async () => {
+    const db = testEnv.authenticatedContext(CUSTOMER_ID).firestore();
+    await assertFails(writeMovement(db, 'donation-1', donation(STARTING_COINS + 1),
+      { accountId: CUSTOMER_ID, amount: STARTING_COINS + 1 }));
+  });
+
+  test('are refused to anyone but an institution', async () => {
+    const db = testEnv.authenticatedContext(CUSTOMER_ID).firestore();
+    await assertFails(writeMovement(db, 'donation-1', donation(30, CUSTOMER_ID, CUSTOMER_ID, OTHER_CUSTOMER_ID),
+      { accountId: CUSTOMER_ID, amount: 30 }));
+  });
+
+  test("are refused from another user's balance", async () => {
+    const db = testEnv.authenticatedContext(CUSTOMER_ID).firestore();
+    await assertFails(writeMovement(db, 'donation-1', donation(30, OTHER_CUSTOMER_ID), { accountId: OTHER_CUSTOMER_ID, amount: 30 }));
+  });
+});
+
+describe('withdrawal holds', () => {
+  const hold = (amount, institutionId = INSTITUTION_ID) => ledgerEntry({
+    type: 'withdrawal_hold',
+    amount,
+    debitAccountId: institutionId,
+    creditAccountId: 'system:withdrawal_hold',
+    initiatedBy: institutionId,
+  });
+
+  // The request itself is seeded so these tests don't depend on the monthly withdrawal window
+  beforeEach(async () => {
+    await testEnv.withSecurityRulesDisabled(async (context) => {
+      await setDoc(doc(context.firestore(), withdrawalRequestPath('request-1')), {
+        institutionId: INSTITUTION_ID,
+        amount: 40,
+        status: 'requested',
+        holdLedgerEntryId: 'hold-1',
+      });
+      await setDoc(doc(context.firestore(), withdrawalRequestPath('request-2')), {
+        institutionId: BROKE_INSTITUTION_ID,
+        amount: 40,
+        status: 'requested',
+        holdLedgerEntryId: 'hold-2',
+      });
+    });
+  });
+
+  const withHoldReference = (entry) => ({ ...entry, withdrawalRequestId: 'request-1' });
+
+  test("are allowed when they debit the institution's balance", async () => {
+    const db = testEnv.authenticatedContext(INSTITUTION_ID).firestore();
+    await assertSucceeds(writeMovement(db, 'hold-1', withHoldReference(hold(40)), { accountId: INSTITUTION_ID, amount: 40 }));
+  });
+
+  test('are refused without the matching debit', async () => {
+    const db = testEnv.authenticatedContext(INSTITUTION_ID).firestore();
+    await assertFails(writeMovement(db, 'hold-1', withHoldReference(hold(40)), null));
+  });
+
+  test('are refused beyond the balance', async () => {
+    const db = testEnv.authenticatedContext(INSTITUTION_ID).firestore();
+    await assertFails(writeMovement(db, 'hold-1', withHoldReference(hold(STARTING_COINS + 1)),
+      { accountId: INSTITUTION_ID, amount: STARTING_COINS + 1 }));
+  });
+
+  test('are refused from a zero balance', async () => {
+    const db = testEnv.authenticatedContext(BROKE_INSTITUTION_ID).firestore();
+    await assertFails(writeMovement(db, 'hold-2', { ...hold(40, BROKE_INSTITUTION_ID), withdrawalRequestId: 'request-2' },
+      { accountId: BROKE_INSTITUTION_ID, amount: 40 }));
+  });
+});
+
+describe('visit notes', () => {
+  // Shaped like handleSaveVisitNote in App.js
+  const visitNote = (offerId) => ({
+    patientOfferId: offerId,
+    patientId: CUSTOMER_ID,
+    patientName: CUSTOMER_ID,
+    doctorId: DOCTOR_ID,
+    doctorName: 'Dr. Test',
+    specialty: null,
+    reason: 'Follow-up',
+    visitDate: serverTimestamp(),
+    vitals: { bloodPressure: '120/80', pulse: 72, temperature: null, weight: null },
+    diagnosis: 'Recovering well',
+    notes: '',
+    prescribedProducts: [],
+    recordedAt: serverTimestamp(),
+    updatedAt: serverTimestamp(),
+  });
+
+  const seedOffer = (offerId, status) => testEnv.withSecurityRulesDisabled(async (context) => {
+    await setDoc(doc(context.firestore(), patientOfferPath(offerId)), {
+      patientId: CUSTOMER_ID,
+      doctorId: DOCTOR_ID,
+      reason: 'Follow-up',
+      status: status,
+    });
+  });
+
+  test('can be added by the doctor once the checkup is completed', async () => {
+    await seedOffer('offer-1', 'completed');
+    const db = testEnv.authenticatedContext(DOCTOR_ID).firestore();
+    await assertSucceeds(setDoc(doc(db, visitPath(CUSTOMER_ID, 'offer-1')), visitNote('offer-1')));
+  });
+
+  test('can be added while a salesperson is on the way', async () => {
+    await seedOffer('offer-1', 'assigned_to_salesperson');
+    const db = testEnv.authenticatedContext(DOCTOR_ID).firestore();
+    await assertSucceeds(setDoc(doc(db, visitPath(CUSTOMER_ID, 'offer-1')), visitNote('offer-1')));
+  });
+
+  test('are refused for a declined checkup', async () => {
+    await seedOffer('offer-1', 'declined');
+    const db = testEnv.authenticatedContext(DOCTOR_ID).firestore();
+    await assertFails(setDoc(doc(db, visitPath(CUSTOMER_ID, 'offer-1')), visitNote('offer-1')));
+  });
+});
+
+describe('pharmacy shelves', () => {
+  beforeEach(async () => {
+    await testEnv.withSecurityRulesDisabled(async (context) => {
+      await setDoc(doc(context.firestore(), shelfPath(PHARMACY_ID, 'product-1')), { productId: 'product-1', quantity: 2 });
+    });
+  });
+
+  test('can be read by customers across pharmacies', async () => {
+    const db = testEnv.authenticatedContext(CUSTOMER_ID).firestore();
+    await assertSucceeds(getDocs(collectionGroup(db, 'stock')));
+  });
+
+  test('are refused to customers writing them', async () => {
+    const db = testEnv.authenticatedContext(CUSTOMER_ID).firestore();
+    await assertFails(updateDoc(doc(db, shelfPath(PHARMACY_ID, 'product-1')), { quantity: 10 }));
+  });
+
+  test('never go below zero', async () => {
+    const db = testEnv.authenticatedContext(PHARMACY_ID).firestore();
+    await assertSucceeds(updateDoc(doc(db, shelfPath(PHARMACY_ID, 'product-1')), { quantity: 0 }));
+    await assertFails(updateDoc(doc(db, shelfPath(PHARMACY_ID, 'product-1')), { quantity: -1 }));
+  });
+});
+
+describe('checkup reads', () => {
+  const seedOffer = (fields) => testEnv.withSecurityRulesDisabled(async (context) => {
+    await setDoc(doc(context.firestore(), patientOfferPath('offer-1')), {
+      patientId: CUSTOMER_ID,
+      doctorId: DOCTOR_ID,
+      reason: 'Chest pain',
+      ...fields,
+    });
+  });
+
+  test('are refused to salespersons before the checkup is assigned to them', async () => {
+    await seedOffer({ status: 'accepted' });
+    const db = testEnv.authenticatedContext(SALESPERSON_ID).firestore();
+    await assertFails(getDoc(doc(db, patientOfferPath('offer-1'))));
+  });
+
+  test('are allowed to the assigned salesperson', async () => {
+    await seedOffer({ status: 'assigned_to_salesperson', salespersonId: SALESPERSON_ID });
+    const db = testEnv.authenticatedContext(SALESPERSON_ID).firestore();
+    await assertSucceeds(getDoc(doc(db, patientOfferPath('offer-1'))));
+  });
+});
+
+describe('order status moves', () => {
+  const seedOrder = (fields) => testEnv.withSecurityRulesDisabled(async (context) => {
+    await setDoc(doc(context.firestore(), orderPath('order-1')), {
+      customerId: CUSTOMER_ID,
+      items: [{ productId: 'product-1', productName: 'Test', price: 5, coinsAssigned: 1, quantity: 1 }],
+      deliveryCity: 'Lahore',
+      doctorId: null,
+      salespersonId: null,
+      ...fields,
+    });
+  });
+
+  const acceptForPacking = (db) => updateDoc(doc(db, orderPath('order-1')), {
+    status: 'packing',
+    pharmacyId: PHARMACY_ID,
+    pharmacyName: 'Test Pharmacy',
+    acceptedForPackingAt: serverTimestamp(),
+    packedItems: [],
+    statusHistory: statusHistory('accept_for_packing', 'pending_pharmacy', 'packing', PHARMACY_ID, 'pharmacy'),
+  });
+
+  test('a pharmacy can accept a queued order for packing', async () => {
+    await seedOrder({ status: 'pending_pharmacy' });
+    await assertSucceeds(acceptForPacking(testEnv.authenticatedContext(PHARMACY_ID).firestore()));
+  });
+
+  test("the customer can't accept their own order for packing", async () => {
+    await seedOrder({ status: 'pending_pharmacy' });
+    await assertFails(acceptForPacking(testEnv.authenticatedContext(CUSTOMER_ID).firestore()));
+  });
+
+  test('orders awaiting pickup are only visible to salespersons granted the role', async () => {
+    await seedOrder({ status: 'pending_salesperson_pickup', pharmacyId: PHARMACY_ID });
+    await testEnv.withSecurityRulesDisabled(async (context) => {
+      await setDoc(doc(context.firestore(), profilePath(OTHER_CUSTOMER_ID)), { role: 'salesperson', coins: 0 });
+    });
+    await assertSucceeds(getDoc(doc(testEnv.authenticatedContext(SALESPERSON_ID).firestore(), orderPath('order-1'))));
+    await assertFails(getDoc(doc(testEnv.authenticatedContext(OTHER_CUSTOMER_ID).firestore(), orderPath('order-1'))));
+  });
+
+  test("the customer can't mark an order delivered without the salesperson's code", async () => {
+    await seedOrder({ status: 'in_delivery', pharmacyId: PHARMACY_ID, salespersonId: SALESPERSON_ID });
+    const db = testEnv.authenticatedContext(CUSTOMER_ID).firestore();
+    await assertFails(updateDoc(doc(db, orderPath('order-1')), {
+      status: 'delivered',
+      deliveredDate: serverTimestamp(),
+      statusHistory: statusHistory('deliver', 'in_delivery', 'delivered', CUSTOMER_ID, 'customer'),
+    }));
+  });
+});
+
+describe('checkup status moves', () => {
+  const seedOffer = (fields) => testEnv.withSecurityRulesDisabled(async (context) => {
+    await setDoc(doc(context.firestore(), patientOfferPath('offer-1')), {
+      patientId: CUSTOMER_ID,
+      doctorId: DOCTOR_ID,
+      reason: 'Follow-up',
+      ...fields,
+    });
+  });
+
+  const accept = (db, by, role) => updateDoc(doc(db, patientOfferPath('offer-1')), {
+    status: 'accepted',
+    acceptedOn: serverTimestamp(),
+    statusHistory: statusHistory('accept', 'pending', 'accepted', by, role),
+  });
+
+  test('the doctor can accept a pending checkup', async () => {
+    await seedOffer({ status: 'pending' });
+    await assertSucceeds(accept(testEnv.authenticatedContext(DOCTOR_ID).firestore(), DOCTOR_ID, 'doctor'));
+  });
+
+  test("the patient can't accept their own checkup", async () => {
+    await seedOffer({ status: 'pending' });
+    await assertFails(accept(testEnv.authenticatedContext(CUSTOMER_ID).firestore(), CUSTOMER_ID, 'customer'));
+  });
+
+  test('the patient can cancel an accepted checkup', async () => {
+    await seedOffer({ status: 'accepted' });
+    const db = testEnv.authenticatedContext(CUSTOMER_ID).firestore();
+    await assertSucceeds(updateDoc(doc(db, patientOfferPath('offer-1')), {
+      status: 'cancelled',
+      cancelledAt: serverTimestamp(),
+      cancellationReason: 'Feeling better',
+      statusHistory: statusHistory('cancel', 'accepted', 'cancelled', CUSTOMER_ID, 'customer'),
+    }));
+  });
+
+  test("the doctor can't mark a no-show before the appointment time", async () => {
+    await seedOffer({ status: 'accepted', scheduledFor: new Date(Date.now() + 24 * 60 * 60 * 1000) });
+    const db = testEnv.authenticatedContext(DOCTOR_ID).firestore();
+    await assertFails(updateDoc(doc(db, patientOfferPath('offer-1')), {
+      status: 'no_show',
+      noShowAt: serverTimestamp(),
+      statusHistory: statusHistory('mark_no_show', 'accepted', 'no_show', DOCTOR_ID, 'doctor'),
+    }));
+  });
+
+  test("a salesperson can't complete a checkup for the patient", async () => {
+    await seedOffer({ status: 'assigned_to_salesperson', salespersonId: SALESPERSON_ID });
+    const db = testEnv.authenticatedContext(SALESPERSON_ID).firestore();
+    await assertFails(updateDoc(doc(db, patientOfferPath('offer-1')), {
+      status: 'completed',
+      deliveredDate: serverTimestamp(),
+      statusHistory: statusHistory('complete', 'assigned_to_salesperson', 'completed', SALESPERSON_ID, 'salesperson'),
+    }));
+  });
+});